@@ -0,0 +1,714 @@
+#!/usr/bin/env node
+// Command-line runner for the AlgoLab simulators. Every command reads its input from a file
+// argument (or stdin when it is omitted or `-`), runs the same engine as the web app, and prints
+// a plain-text report or, with --json, a JSON document. Output is deterministic so it can be
+// diffed across submissions.
+
+import { readFileSync } from 'node:fs';
+import {
+  algorithmOptions,
+  buildExport,
+  checkSafety,
+  checkSequence,
+  comparisonMetrics,
+  computeNeed,
+  createHoles,
+  defaultMaxCylinder,
+  defaultSettings,
+  deriveAvailable,
+  detectBelady,
+  diskAlgorithmOptions,
+  enumerateSafeSequences,
+  fitAlgorithms,
+  formatSequence,
+  freeBlock,
+  allocateBlock,
+  memoryStats,
+  pageAlgorithmOptions,
+  parseReference,
+  parseBankersScript,
+  parseRequests,
+  parseSequence,
+  parseWorkload,
+  rankComparison,
+  replayBankersScript,
+  requestResources,
+  resourceName,
+  runStrategy,
+  schedulingStrategies,
+  simulateDisk,
+  simulatePaging,
+  validateBankersState,
+} from '../src/engine/index.js';
+
+const usage = `Usage: algolab <command> [options] [file]
+
+Commands:
+  schedule  CPU scheduling on a CSV/JSON workload (same format as the web import)
+            --alg fcfs|sjf|srtf|priority|ppriority|rr|mlfq|hrrn|lottery|stride|edf|rm|all
+            --quantum Q  --levels 2,4,8  --policies rr,rr,fcfs  --boost S  --preempt
+            --accounting  --switch C  --aging N  --starvation T  --seed S  --cores N
+            --queues global|balance|steal  --rank averageWaiting (with --alg all)
+  paging    Page replacement on a reference string
+            --alg fifo|lru|mru|clock|wsclock|opt  --frames N
+  disk      Disk scheduling on a list of cylinder requests
+            --alg fcfs|sstf|scan|cscan|look|clook  --head H  --direction right|left  --max 199
+  bankers   Banker's safety check on a state file (JSON or max/allocation/available
+            sections; a total section may replace available)
+            --request "P1 1 0 2" (repeatable; also read from "request" lines in the file)
+            --trace  print every Need <= Work comparison of the safety check
+            --sequences  list every safe sequence (--limit N, default 100)
+            --check "P1 P3 P4 P0 P2" (repeatable) test a candidate ordering
+            --script "P1 req 1 0 2; P4 req 3 3 0; P1 rel 1 0 0; P0 finish" replays events
+  fit       First/Best/Worst/Next Fit on a list of request sizes and "free P2" lines
+            --alg first|best|worst|next  --holes 100,500,200,300,600
+
+Options:
+  --json    Print JSON instead of text tables
+  --help    Show this message
+
+Input is read from stdin when the file is omitted or "-".`;
+
+class UsageError extends Error {}
+
+const booleanFlags = new Set(['json', 'help', 'preempt', 'accounting', 'trace', 'sequences']);
+const repeatableFlags = new Set(['request', 'check']);
+const valueFlags = new Set([
+  'alg',
+  'quantum',
+  'levels',
+  'policies',
+  'boost',
+  'switch',
+  'aging',
+  'starvation',
+  'seed',
+  'cores',
+  'queues',
+  'rank',
+  'frames',
+  'head',
+  'direction',
+  'max',
+  'limit',
+  'script',
+  'holes',
+]);
+
+const parseArgs = (argv) => {
+  const options = { request: [], check: [] };
+  const positional = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (![booleanFlags, repeatableFlags, valueFlags].some((flags) => flags.has(key))) {
+      throw new UsageError(`Unknown option "--${key}".`);
+    }
+    let value = inline;
+    if (booleanFlags.has(key)) {
+      value = inline === undefined ? true : inline !== 'false';
+    } else if (value === undefined) {
+      if (i + 1 >= argv.length) throw new UsageError(`--${key} needs a value.`);
+      i += 1;
+      value = argv[i];
+    }
+    if (repeatableFlags.has(key)) {
+      options[key].push(value);
+    } else {
+      options[key] = value;
+    }
+  }
+  return { command: positional[0], file: positional[1], extra: positional.slice(2), options };
+};
+
+const readInput = (file) => readFileSync(file === undefined || file === '-' ? 0 : file, 'utf8');
+
+const pickAlgorithm = (value, aliases, options, fallback) => {
+  const key = aliases[value ?? fallback] ?? value;
+  if (!options.some((option) => option.value === key)) {
+    throw new UsageError(
+      `Unknown algorithm "${value}". Choose one of: ${Object.keys(aliases).join(', ')}.`,
+    );
+  }
+  return key;
+};
+
+const numberOption = (options, key, fallback) => {
+  if (options[key] === undefined) return fallback;
+  const value = Number(options[key]);
+  if (!Number.isFinite(value)) throw new UsageError(`--${key} must be a number.`);
+  return value;
+};
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value !== 'number') return String(value);
+  return String(Math.round(value * 1000) / 1000);
+};
+
+const formatTable = (headers, rows) => {
+  const cells = rows.map((row) => row.map(formatNumber));
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...cells.map((row) => row[column].length)),
+  );
+  const line = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+  return [line(headers), line(widths.map((width) => '-'.repeat(width))), ...cells.map(line)].join(
+    '\n',
+  );
+};
+
+const labelOf = (options, value) => options.find((option) => option.value === value).label;
+
+// --- schedule ---
+
+const scheduleAliases = {
+  fcfs: 'fcfs',
+  sjf: 'sjfNonPreemptive',
+  srtf: 'sjfPreemptive',
+  priority: 'priorityNonPreemptive',
+  ppriority: 'priorityPreemptive',
+  rr: 'roundRobin',
+  mlfq: 'mlfq',
+  hrrn: 'hrrn',
+  lottery: 'lottery',
+  stride: 'stride',
+  edf: 'edf',
+  rm: 'rateMonotonic',
+};
+
+const settingFlags = {
+  quantum: 'rrQuantum',
+  levels: 'mlfqLevels',
+  policies: 'mlfqPolicies',
+  boost: 'mlfqBoost',
+  preempt: 'mlfqPreempt',
+  accounting: 'mlfqAccounting',
+  switch: 'contextSwitch',
+  aging: 'agingInterval',
+  starvation: 'starvationThreshold',
+  seed: 'lotterySeed',
+  cores: 'cores',
+  queues: 'coreQueues',
+};
+
+const loadWorkload = (text) => {
+  const { processes, errors } = parseWorkload(text, 0);
+  if (errors.length) throw new Error(errors.join('\n'));
+  if (!processes.length) throw new Error('The workload has no processes.');
+  return processes.map((process, index) => ({ ...process, id: index + 1 }));
+};
+
+const scheduleRows = (result) =>
+  result.schedule.map((process) => [
+    process.name,
+    process.arrival,
+    process.burst,
+    process.priority,
+    process.startTime,
+    process.completionTime,
+    process.waitingTime,
+    process.turnaroundTime,
+    process.responseTime,
+  ]);
+
+const ganttLine = (slices) =>
+  slices
+    .filter((slice) => slice.type !== 'switch')
+    .map((slice) => {
+      const core = slice.core > 1 ? `@${slice.core}` : '';
+      return `${slice.type === 'idle' ? 'IDLE' : slice.name}${core} ${formatNumber(slice.start)}-${formatNumber(slice.end)}`;
+    })
+    .join(' | ');
+
+const runSchedule = (text, options) => {
+  const processes = loadWorkload(text);
+  const settings = {
+    ...defaultSettings,
+    ...Object.fromEntries(
+      Object.entries(settingFlags)
+        .filter(([flag]) => options[flag] !== undefined)
+        .map(([flag, key]) => [key, options[flag]]),
+    ),
+  };
+
+  if (options.alg === 'all') {
+    const rankBy = options.rank ?? 'averageWaiting';
+    if (!comparisonMetrics.some((metric) => metric.key === rankBy)) {
+      throw new UsageError(
+        `--rank must be one of: ${comparisonMetrics.map((metric) => metric.key).join(', ')}.`,
+      );
+    }
+    const rows = algorithmOptions.map((option) => {
+      try {
+        const result = runStrategy(schedulingStrategies[option.value], processes, settings);
+        return { ...result, key: option.value, label: option.label };
+      } catch (error) {
+        return { key: option.value, label: option.label, error: error.message };
+      }
+    });
+    const ranked = rankComparison(rows, rankBy);
+    if (options.json) {
+      return {
+        rankBy,
+        settings,
+        algorithms: ranked.map((row) => ({
+          algorithm: row.key,
+          ...(row.error
+            ? { error: row.error }
+            : Object.fromEntries(comparisonMetrics.map((metric) => [metric.key, row[metric.key]]))),
+        })),
+      };
+    }
+    return formatTable(
+      ['Algorithm', ...comparisonMetrics.map((metric) => metric.label)],
+      ranked.map((row) => [
+        row.label,
+        ...comparisonMetrics.map((metric) => (row.error ? row.error : row[metric.key])),
+      ]),
+    );
+  }
+
+  const algorithm = pickAlgorithm(options.alg, scheduleAliases, algorithmOptions, 'fcfs');
+  const result = runStrategy(schedulingStrategies[algorithm], processes, settings);
+  if (options.json) {
+    return buildExport(processes, { ...result, algorithmKey: algorithm }, settings).schedule;
+  }
+  return [
+    labelOf(algorithmOptions, algorithm),
+    formatTable(
+      [
+        'Name',
+        'Arrival',
+        'Burst',
+        'Priority',
+        'Start',
+        'Finish',
+        'Waiting',
+        'Turnaround',
+        'Response',
+      ],
+      scheduleRows(result),
+    ),
+    '',
+    `Gantt: ${ganttLine(result.slices)}`,
+    '',
+    formatTable(
+      ['Metric', 'Value'],
+      [
+        ...comparisonMetrics.map((metric) => [metric.label, result[metric.key]]),
+        ['Context Switches', result.contextSwitches],
+        ['Makespan', result.makespan],
+        ...(result.realtime ? [['Deadline Misses', result.realtime.misses]] : []),
+      ],
+    ),
+  ].join('\n');
+};
+
+// --- paging ---
+
+const pageAliases = Object.fromEntries(
+  pageAlgorithmOptions.map((option) => [option.value, option.value]),
+);
+
+const runPaging = (text, options) => {
+  const algorithm = pickAlgorithm(options.alg, pageAliases, pageAlgorithmOptions, 'fifo');
+  const frames = numberOption(options, 'frames', 3);
+  if (!Number.isInteger(frames) || frames < 1)
+    throw new UsageError('--frames must be a positive whole number.');
+  const refs = parseReference(text);
+  if (!refs.length) throw new Error('The reference string is empty.');
+
+  const result = simulatePaging(algorithm, frames, refs);
+  const belady = detectBelady(refs, frames);
+  if (options.json) {
+    return { algorithm, frames, references: refs, ...result, belady };
+  }
+  return [
+    `${labelOf(pageAlgorithmOptions, algorithm)}, ${frames} frames`,
+    formatTable(
+      ['#', 'Page', 'Result', 'Frames'],
+      result.timeline.map((step) => [
+        step.index + 1,
+        step.page,
+        step.fault ? 'Fault' : 'Hit',
+        step.frames.map((frame) => (frame === null ? '-' : frame)).join(' '),
+      ]),
+    ),
+    '',
+    `Faults: ${result.faults}  Hits: ${result.hits}  Hit ratio: ${formatNumber(result.hits / result.references)}`,
+    ...(belady
+      ? [
+          `Belady's anomaly: FIFO faults ${belady.smaller} with ${frames} frames, ${belady.larger} with ${frames + 1}.`,
+        ]
+      : []),
+  ].join('\n');
+};
+
+// --- disk ---
+
+const diskAliases = Object.fromEntries(
+  diskAlgorithmOptions.map((option) => [option.value, option.value]),
+);
+
+const runDisk = (text, options) => {
+  const algorithm = pickAlgorithm(options.alg, diskAliases, diskAlgorithmOptions, 'fcfs');
+  const maxCyl = numberOption(options, 'max', defaultMaxCylinder);
+  const head = numberOption(options, 'head', 53);
+  const direction = options.direction ?? 'right';
+  if (!['left', 'right'].includes(direction))
+    throw new UsageError('--direction must be left or right.');
+  if (head < 0 || head > maxCyl) throw new UsageError(`--head must be between 0 and ${maxCyl}.`);
+  const requests = parseRequests(text, maxCyl);
+  if (!requests.length) throw new Error(`No requests between 0 and ${maxCyl} were found.`);
+
+  const result = simulateDisk(algorithm, head, direction, requests, maxCyl);
+  if (options.json) {
+    return { algorithm, head, direction, maxCylinder: maxCyl, requests, ...result };
+  }
+  return [
+    `${labelOf(diskAlgorithmOptions, algorithm)}, head ${head} moving ${direction}`,
+    formatTable(
+      ['#', 'Position', 'Move', 'Cumulative'],
+      result.timeline.map((step) => [step.index + 1, step.position, step.move, step.cumulative]),
+    ),
+    '',
+    `Path: ${result.path.join(' -> ')}`,
+    `Total seek: ${result.total}  Average seek: ${formatNumber(result.total / result.served)}`,
+  ].join('\n');
+};
+
+// --- bankers ---
+
+const sectionNames = ['max', 'allocation', 'available', 'total'];
+
+const parseVector = (text) =>
+  text
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+
+const parseRequestLine = (line) => {
+  const match = line.trim().match(/^P?(\d+)\s*:?\s*(.+)$/i);
+  if (!match) throw new Error(`Cannot read request "${line}". Use "P1 1 0 2".`);
+  return { process: Number(match[1]), resources: parseVector(match[2]) };
+};
+
+const parseBankersState = (text) => {
+  if (text.trim().startsWith('{')) {
+    const { max = [], allocation = [], available, total, requests = [] } = JSON.parse(text);
+    return withAvailable(
+      { max, allocation, available: available ?? [], total: total ?? [] },
+      requests,
+    );
+  }
+  const state = { max: [], allocation: [], available: [], total: [], requests: [] };
+  let section = null;
+  text.split(/\r?\n/).forEach((raw) => {
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+    const [word] = line.toLowerCase().split(/[\s:]+/);
+    const rest = line.slice(word.length).replace(/^\s*:?/, '');
+    if (word === 'request') {
+      state.requests.push(parseRequestLine(rest));
+      return;
+    }
+    if (sectionNames.includes(word)) {
+      section = word;
+      if (rest.trim()) state[section].push(parseVector(rest));
+      return;
+    }
+    if (!section)
+      throw new Error(`Expected a max, allocation, available, or total section before "${line}".`);
+    state[section].push(parseVector(line));
+  });
+  return withAvailable(
+    { ...state, available: state.available.flat(), total: state.total.flat() },
+    state.requests,
+  );
+};
+
+// A Total vector stands in for Available: what is left after every allocation.
+const withAvailable = ({ total, ...state }, requests) => ({
+  ...state,
+  available:
+    total.length && !state.available.length
+      ? deriveAvailable(total, state.allocation)
+      : state.available,
+  requests,
+});
+
+const runBankers = (text, options) => {
+  const parsed = parseBankersState(text);
+  const errors = validateBankersState(parsed);
+  if (errors.length) throw new Error(errors.join('\n'));
+  const requests = [...parsed.requests, ...options.request.map(parseRequestLine)];
+  let { max, allocation, available } = parsed;
+
+  const need = computeNeed(max, allocation);
+  const safety = checkSafety(available, allocation, need);
+  const limit = Number(options.limit ?? 100);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new UsageError('--limit must be a positive whole number.');
+  }
+  const safeSequences = options.sequences
+    ? enumerateSafeSequences(available, allocation, need, limit)
+    : null;
+  const checks = options.check.map((ordering) => ({
+    ordering,
+    ...checkSequence(available, allocation, need, parseSequence(ordering)),
+  }));
+  const script = options.script === undefined ? null : runScript(parsed, options.script);
+  const outcomes = requests.map((request) => {
+    const result = requestResources(
+      { max, allocation, available },
+      request.process,
+      request.resources,
+    );
+    if (result.granted) {
+      ({ allocation, available } = result);
+    }
+    return { ...request, granted: result.granted, message: result.message };
+  });
+
+  if (options.json) {
+    return {
+      max: parsed.max,
+      allocation: parsed.allocation,
+      available: parsed.available,
+      need,
+      safe: safety.safe,
+      sequence: safety.sequence,
+      steps: safety.steps,
+      stuck: safety.stuck,
+      ...(safeSequences && { safeSequences }),
+      checks: checks.map(({ ordering, safe, failedAt, message }) => ({
+        ordering,
+        safe,
+        failedAt,
+        message,
+      })),
+      requests: outcomes,
+      ...(script && { script }),
+      final: { allocation, available },
+    };
+  }
+  const resourceHeaders = parsed.available.map((_, index) => resourceName(index));
+  return [
+    formatTable(
+      [
+        'Process',
+        ...resourceHeaders.map((r) => `Max ${r}`),
+        ...resourceHeaders.map((r) => `Alloc ${r}`),
+        ...resourceHeaders.map((r) => `Need ${r}`),
+      ],
+      parsed.max.map((row, index) => [
+        `P${index}`,
+        ...row,
+        ...parsed.allocation[index],
+        ...need[index],
+      ]),
+    ),
+    '',
+    `Available: ${parsed.available.join(' ')}`,
+    ...(options.trace ? ['', formatSafetyTrace(safety.steps, resourceHeaders), ''] : []),
+    safety.safe
+      ? `Safe. Sequence: ${formatSequence(safety.sequence)}`
+      : `Unsafe: no safe ordering. ${formatStuck(safety.stuck, resourceHeaders)}`,
+    ...(safeSequences ? ['', formatSafeSequences(safeSequences)] : []),
+    ...checks.map((check) => `Check ${check.ordering}: ${check.message}`),
+    ...(script ? ['', formatScript(script)] : []),
+    ...outcomes.map(
+      (outcome) =>
+        `Request P${outcome.process} (${outcome.resources.join(' ')}): ${outcome.message}`,
+    ),
+  ].join('\n');
+};
+
+const formatSafetyTrace = (steps, resourceHeaders) =>
+  formatTable(
+    ['Pass', 'Process', 'Need', 'Work', 'Need <= Work', 'Work after'],
+    steps.map((step) => [
+      step.pass,
+      `P${step.process}`,
+      step.need.join(' '),
+      step.work.join(' '),
+      step.accepted
+        ? 'yes'
+        : `no (${step.short.map((index) => resourceHeaders[index]).join(', ')})`,
+      step.workAfter.join(' '),
+    ]),
+  );
+
+// Replays from the state in the file, before any `request` lines are applied.
+const runScript = ({ max, allocation, available }, text) => {
+  const { events, errors } = parseBankersScript(text);
+  if (errors.length) throw new UsageError(errors.join('\n'));
+  const replay = replayBankersScript({ max, allocation, available }, events);
+  return {
+    steps: replay.steps.map((step) => ({
+      event: step.event.text,
+      outcome: step.outcome,
+      reason: step.reason,
+      retried: step.retried.map((retry) => ({
+        event: retry.event.text,
+        outcome: retry.outcome,
+        reason: retry.reason,
+      })),
+      waiting: step.queue.map((event) => event.text),
+      available: step.state.available,
+    })),
+    waiting: replay.queue.map((event) => event.text),
+    final: { allocation: replay.state.allocation, available: replay.state.available },
+  };
+};
+
+const formatScript = ({ steps, waiting }) =>
+  [
+    formatTable(
+      ['#', 'Event', 'Outcome', 'Available after', 'Reason'],
+      steps.flatMap((step, index) => [
+        [index + 1, step.event, step.outcome, step.available.join(' '), step.reason],
+        ...step.retried.map((retry) => [
+          '',
+          `retry ${retry.event}`,
+          retry.outcome,
+          '',
+          retry.reason,
+        ]),
+      ]),
+    ),
+    '',
+    `Still waiting: ${waiting.length ? waiting.join(', ') : 'nothing'}`,
+  ].join('\n');
+
+const formatSafeSequences = ({ count, countCapped, sequences, capped }) =>
+  [
+    `${countCapped ? 'At least ' : ''}${count} safe sequence${count === 1 ? '' : 's'}${
+      capped ? ` (first ${sequences.length})` : ''
+    }:`,
+    ...sequences.map((sequence) => `  ${formatSequence(sequence)}`),
+  ].join('\n');
+
+const formatStuck = (stuck, resourceHeaders) =>
+  stuck
+    .map(
+      ({ process, resources }) =>
+        `P${process} waits on ${resources.map((index) => resourceHeaders[index]).join(', ')}.`,
+    )
+    .join(' ');
+
+// --- fit ---
+
+const fitAliases = Object.fromEntries(fitAlgorithms.map((option) => [option.value, option.value]));
+
+const parseFitSteps = (text) =>
+  text
+    .split(/[\n,;]+/)
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .flatMap((line) => {
+      const free = line.match(/^free\s+(\S+)$/i);
+      if (free) return [{ action: 'free', label: free[1].toUpperCase() }];
+      return line.split(/\s+/).map((token) => {
+        const size = Number(token);
+        if (!(size > 0)) throw new Error(`"${token}" is not a positive request size or "free Pn".`);
+        return { action: 'allocate', size };
+      });
+    });
+
+const runFit = (text, options) => {
+  const algorithm = pickAlgorithm(options.alg, fitAliases, fitAlgorithms, 'first');
+  const holes = parseVector(options.holes ?? '200');
+  if (!holes.length || !holes.every((size) => size > 0)) {
+    throw new UsageError('--holes must list positive hole sizes, e.g. 100,500,200.');
+  }
+  let blocks = createHoles(holes);
+  let nextId = holes.length + 1;
+  let nextFitStart = 0;
+  let pidCounter = 1;
+  const steps = parseFitSteps(text).map((step) => {
+    if (step.action === 'free') {
+      const target = blocks.find((block) => !block.free && block.label === step.label);
+      if (!target) return { ...step, result: `${step.label} is not allocated.` };
+      blocks = freeBlock(blocks, target.id);
+      return { ...step, result: `Freed ${target.size}.` };
+    }
+    const label = `P${pidCounter}`;
+    pidCounter += 1;
+    const allocation = allocateBlock(blocks, step.size, {
+      algorithm,
+      label,
+      id: nextId,
+      nextFitStart,
+    });
+    nextId += 2;
+    if (!allocation) return { ...step, label, result: 'Denied: no suitable hole.' };
+    ({ blocks, nextFitStart } = allocation);
+    return {
+      ...step,
+      label,
+      hole: allocation.block.hole,
+      result: `Placed in hole ${allocation.block.hole}.`,
+    };
+  });
+  const stats = memoryStats(blocks);
+
+  if (options.json) {
+    return {
+      algorithm,
+      holes,
+      steps,
+      blocks: blocks.map(({ label, size, free, hole }) => ({ label, size, free, hole })),
+      stats,
+    };
+  }
+  return [
+    `${labelOf(fitAlgorithms, algorithm)}, holes ${holes.join(' ')}`,
+    formatTable(
+      ['#', 'Action', 'Process', 'Size', 'Result'],
+      steps.map((step, index) => [index + 1, step.action, step.label, step.size, step.result]),
+    ),
+    '',
+    `Layout: ${blocks.map((block) => `[${block.free ? 'free' : block.label} ${block.size}]`).join(' ')}`,
+    `Free: ${stats.totalFree}  Largest hole: ${stats.largestHole}  External fragmentation: ${stats.externalFragmentation}`,
+  ].join('\n');
+};
+
+const commands = {
+  schedule: runSchedule,
+  paging: runPaging,
+  disk: runDisk,
+  bankers: runBankers,
+  fit: runFit,
+};
+
+const main = (argv) => {
+  const { command, file, extra, options } = parseArgs(argv);
+  if (options.help || !command) {
+    console.log(usage);
+    return 0;
+  }
+  if (!commands[command]) throw new UsageError(`Unknown command "${command}".`);
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}".`);
+
+  const output = commands[command](readInput(file), options);
+  console.log(options.json ? JSON.stringify(output, null, 2) : output);
+  return 0;
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(`algolab: ${error.message}`);
+  if (error instanceof UsageError) console.error('Run "algolab --help" for usage.');
+  process.exitCode = error instanceof UsageError ? 2 : 1;
+}
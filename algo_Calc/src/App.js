@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import './App.css';
 import {
   ProcessScheduling,
@@ -9,7 +9,18 @@ import {
   DiskScheduling,
   FileAllocations,
   MftMvt,
+  ScenarioBar,
 } from './components';
+import {
+  deleteScenario,
+  loadPersistPreference,
+  loadScenarios,
+  loadSession,
+  savePersistPreference,
+  saveScenario,
+  saveSession,
+} from './sessionStore';
+import { buildHash, parseHash } from './urlState';
 
 const views = [
   { id: 'home', label: 'Home' },
@@ -26,9 +37,82 @@ const views = [
 const featured = views.filter((view) => view.id !== 'home');
 
 function App() {
-  const [active, setActive] = useState('home');
+  const [location, setLocation] = useState(() => parseHash(window.location.hash));
+  const [visit, setVisit] = useState(0);
+  // Encoded state per view, so leaving a tab and coming back restores its inputs.
+  const [moduleStates, setModuleStates] = useState(() =>
+    location.query ? { [location.view]: location.query } : {},
+  );
+  const [persist, setPersist] = useState(loadPersistPreference);
+  const [lastSession, setLastSession] = useState(loadSession);
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const active = views.some((view) => view.id === location.view) ? location.view : 'home';
   const ActiveComponent = views.find((view) => view.id === active)?.component;
 
+  // Back/forward (or an edited hash) remounts the view so it re-reads its state from the URL.
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = parseHash(window.location.hash);
+      setLocation(next);
+      if (next.query) {
+        setModuleStates((prev) => ({ ...prev, [next.view]: next.query }));
+      }
+      setVisit((prev) => prev + 1);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // The previous session is only offered until this one has edits of its own to save; opening a
+  // view reports its defaults, which must not overwrite the stored session.
+  useEffect(() => {
+    if (persist && !lastSession && Object.keys(moduleStates).length) {
+      saveSession(active, moduleStates);
+    }
+  }, [persist, lastSession, active, moduleStates]);
+
+  const openView = (view, query = moduleStates[view] ?? '') => {
+    window.history.pushState(null, '', buildHash(view, query));
+    setLocation({ view, query });
+    setVisit((prev) => prev + 1);
+  };
+
+  const setActive = (view) => {
+    if (view !== active) openView(view);
+  };
+
+  const handleStateChange = useCallback(
+    (query, edited) => {
+      window.history.replaceState(null, '', buildHash(active, query));
+      setModuleStates((prev) => (prev[active] === query ? prev : { ...prev, [active]: query }));
+      if (edited) setLastSession(null);
+    },
+    [active],
+  );
+
+  const handlePersistChange = (enabled) => {
+    savePersistPreference(enabled);
+    setPersist(enabled);
+  };
+
+  const restoreSession = () => {
+    setModuleStates(lastSession.modules);
+    setLastSession(null);
+    const view = lastSession.active in lastSession.modules ? lastSession.active : 'home';
+    openView(view, lastSession.modules[view] ?? '');
+  };
+
+  const handleSaveScenario = (name) =>
+    setScenarios(saveScenario(name, active, moduleStates[active] ?? ''));
+
+  const handleDeleteScenario = (scenario) => setScenarios(deleteScenario(scenario.name, active));
+
+  const loadScenario = (scenario) => {
+    setModuleStates((prev) => ({ ...prev, [scenario.view]: scenario.query }));
+    setLastSession(null);
+    openView(scenario.view, scenario.query);
+  };
+
   return (
     <div className="App">
       <nav className="navbar" aria-label="Algorithm sections">
@@ -52,6 +136,27 @@ function App() {
       </nav>
 
       <main>
+        {active === 'home' && lastSession && (
+          <div className="notice restore-prompt">
+            <span>
+              Restore your last session ({Object.keys(lastSession.modules).length} module
+              {Object.keys(lastSession.modules).length === 1 ? '' : 's'}, saved{' '}
+              {new Date(lastSession.savedAt).toLocaleString()})?
+            </span>
+            <div className="button-row">
+              <button type="button" className="btn primary small" onClick={restoreSession}>
+                Restore
+              </button>
+              <button
+                type="button"
+                className="btn ghost small"
+                onClick={() => setLastSession(null)}
+              >
+                Start fresh
+              </button>
+            </div>
+          </div>
+        )}
         {active === 'home' ? (
           <section className="content-section home-hero">
             <div className="hero-grid">
@@ -101,7 +206,24 @@ function App() {
             </div>
           </section>
         ) : (
-          ActiveComponent && <ActiveComponent />
+          ActiveComponent && (
+            <>
+              <ScenarioBar
+                key={active}
+                scenarios={scenarios.filter((scenario) => scenario.view === active)}
+                persist={persist}
+                onSave={handleSaveScenario}
+                onLoad={loadScenario}
+                onDelete={handleDeleteScenario}
+                onPersistChange={handlePersistChange}
+              />
+              <ActiveComponent
+                key={`${active}-${visit}`}
+                urlState={moduleStates[active] ?? ''}
+                onUrlStateChange={handleStateChange}
+              />
+            </>
+          )
         )}
       </main>
     </div>
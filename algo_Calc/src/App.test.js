@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
 test('renders learn react link', () => {
@@ -6,3 +6,23 @@ test('renders learn react link', () => {
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('opening a module keeps the saved session until something is edited', () => {
+  const session = {
+    active: 'page-replacement',
+    modules: { 'page-replacement': 'refs=1+2+3&frames=4&alg=lru' },
+    savedAt: '2024-01-01T00:00:00.000Z',
+  };
+  window.localStorage.setItem('algolab.persist', 'true');
+  window.localStorage.setItem('algolab.session', JSON.stringify(session));
+  window.history.replaceState(null, '', '#/');
+  render(<App />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Page Replacement' }));
+  expect(JSON.parse(window.localStorage.getItem('algolab.session'))).toEqual(session);
+
+  fireEvent.change(screen.getByLabelText('Reference String'), { target: { value: '4 5' } });
+  const saved = JSON.parse(window.localStorage.getItem('algolab.session'));
+  expect(saved.active).toBe('page-replacement');
+  expect(saved.modules['page-replacement']).toMatch(/^refs=4(\+|%20)5&/);
+});
@@ -1,4 +1,21 @@
 import { useMemo, useState } from 'react';
+import {
+  checkSafety,
+  checkSequence,
+  computeNeed,
+  deriveAvailable,
+  enumerateSafeSequences,
+  formatSequence,
+  parseBankersScript,
+  parseSequence,
+  replayBankersScript,
+  requestResources,
+  resourceName,
+  validateBankersState,
+  validateDetectionState,
+} from '../engine';
+import { decodeState, isOneOf, useUrlState } from '../urlState';
+import DeadlockDetection from './DeadlockDetection';
 
 const sampleMax = [
   [7, 5, 3],
@@ -18,24 +35,297 @@ const sampleAllocation = [
 
 const sampleAvailable = [3, 3, 2];
 
-const BanksAlgorithm = () => {
-  const [maxMatrix, setMaxMatrix] = useState(sampleMax);
-  const [allocation, setAllocation] = useState(sampleAllocation);
-  const [available, setAvailable] = useState(sampleAvailable);
-  const [request, setRequest] = useState({ process: 0, resources: [0, 1, 0] });
+const sampleTotal = [10, 5, 7];
+
+const sampleRequest = { process: 0, resources: [0, 1, 0] };
+
+// Outstanding requests for detection mode. With nothing available (Total 7 2 5), P2's extra
+// instance of C deadlocks P1 through P4.
+const sampleRequestMatrix = [
+  [0, 0, 0],
+  [2, 0, 2],
+  [0, 0, 1],
+  [1, 0, 0],
+  [0, 0, 2],
+];
+
+const deadlockAvailable = [0, 0, 0];
+
+const deadlockTotal = [7, 2, 5];
+
+const listLimits = [10, 100, 1000];
+
+const sampleScript = 'P1 req 1 0 2; P4 req 3 3 0; P1 rel 1 0 0; P0 finish';
+
+const outcomeLabels = {
+  grant: 'Granted',
+  deny: 'Denied',
+  wait: 'Waits',
+  release: 'Released',
+  finish: 'Finished',
+};
+
+// `source` says whether the user edits Available directly or a Total vector it is derived from;
+// `mode` switches between avoidance (Max/Need) and detection (current Request matrix).
+const urlDefaults = {
+  mode: 'avoidance',
+  max: sampleMax,
+  allocation: sampleAllocation,
+  available: sampleAvailable,
+  total: sampleTotal,
+  source: 'available',
+  request: sampleRequest,
+  requestMatrix: sampleRequestMatrix,
+  listAll: false,
+  listLimit: 100,
+  candidate: '',
+  script: sampleScript,
+};
+
+const isNumberRow = (row, length) =>
+  Array.isArray(row) && row.length === length && row.every((value) => Number.isFinite(value));
+
+// Every matrix and vector has to match the others' dimensions before the view can index into
+// them, so a link where any of them disagrees falls back to the sample state as a whole.
+const matricesFit = ({ max, allocation, available, total, request, requestMatrix }) => {
+  const resources = available.length;
+  const fits = (matrix) =>
+    matrix.length === max.length && matrix.every((row) => isNumberRow(row, resources));
+  return (
+    resources > 0 &&
+    max.length > 0 &&
+    [max, allocation, requestMatrix].every(fits) &&
+    isNumberRow(available, resources) &&
+    isNumberRow(total, resources) &&
+    Number.isInteger(request.process) &&
+    request.process >= 0 &&
+    request.process < max.length &&
+    isNumberRow(request.resources, resources)
+  );
+};
+
+const urlChecks = {
+  mode: isOneOf(['avoidance', 'detection']),
+  source: isOneOf(['available', 'total']),
+  listLimit: isOneOf(listLimits),
+  ...Object.fromEntries(
+    ['max', 'allocation', 'available', 'total', 'request', 'requestMatrix'].map((key) => [
+      key,
+      (_, decoded) => matricesFit(decoded),
+    ]),
+  ),
+};
+
+const BanksAlgorithm = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [mode, setMode] = useState(restored.mode);
+  const [maxMatrix, setMaxMatrix] = useState(restored.max);
+  const [allocation, setAllocation] = useState(restored.allocation);
+  const [availableInput, setAvailableInput] = useState(restored.available);
+  const [total, setTotal] = useState(restored.total);
+  const [source, setSource] = useState(restored.source);
+  const [request, setRequest] = useState(restored.request);
+  const [requestMatrix, setRequestMatrix] = useState(restored.requestMatrix);
   const [message, setMessage] = useState('');
+  const [stepIndex, setStepIndex] = useState(0);
+  const [listAll, setListAll] = useState(restored.listAll);
+  const [listLimit, setListLimit] = useState(restored.listLimit);
+  const [candidate, setCandidate] = useState(restored.candidate);
+  const [script, setScript] = useState(restored.script);
+  const [scriptIndex, setScriptIndex] = useState(0);
+
+  useUrlState(
+    {
+      mode,
+      max: maxMatrix,
+      allocation,
+      available: availableInput,
+      total,
+      source,
+      request,
+      requestMatrix,
+      listAll,
+      listLimit,
+      candidate,
+      script,
+    },
+    onUrlStateChange,
+  );
+
+  const available = useMemo(
+    () => (source === 'total' ? deriveAvailable(total, allocation) : availableInput),
+    [source, total, allocation, availableInput],
+  );
+  const headers = available.map((_, index) => resourceName(index));
 
-  const need = useMemo(
+  const detection = mode === 'detection';
+  const errors = useMemo(
     () =>
-      maxMatrix.map((row, i) => row.map((value, j) => Math.max(value - allocation[i][j], 0))),
-    [maxMatrix, allocation],
+      detection
+        ? validateDetectionState({ allocation, request: requestMatrix, available })
+        : validateBankersState({ max: maxMatrix, allocation, available }),
+    [detection, maxMatrix, allocation, requestMatrix, available],
   );
 
+  const need = useMemo(() => computeNeed(maxMatrix, allocation), [maxMatrix, allocation]);
+
   const safetyResult = useMemo(
-    () => checkSafety(available, allocation, need),
-    [available, allocation, need],
+    () => (detection || errors.length ? null : checkSafety(available, allocation, need)),
+    [detection, errors, available, allocation, need],
+  );
+  // Enumeration can be expensive for many processes, so it only runs while the list is shown.
+  const allSequences = useMemo(
+    () =>
+      safetyResult && listAll
+        ? enumerateSafeSequences(available, allocation, need, listLimit)
+        : null,
+    [safetyResult, listAll, available, allocation, need, listLimit],
   );
 
+  const candidateCheck = useMemo(
+    () =>
+      safetyResult && candidate.trim()
+        ? checkSequence(available, allocation, need, parseSequence(candidate))
+        : null,
+    [safetyResult, candidate, available, allocation, need],
+  );
+
+  const parsedScript = useMemo(() => parseBankersScript(script), [script]);
+  const replay = useMemo(
+    () =>
+      safetyResult
+        ? replayBankersScript({ max: maxMatrix, allocation, available }, parsedScript.events)
+        : null,
+    [safetyResult, maxMatrix, allocation, available, parsedScript],
+  );
+  const scriptSteps = replay?.steps ?? [];
+  const scriptStepIndex = Math.min(scriptIndex, scriptSteps.length - 1);
+  const scriptStep = scriptSteps[scriptStepIndex];
+
+  const steps = safetyResult?.steps ?? [];
+  const traceIndex = Math.min(stepIndex, steps.length - 1);
+  const currentStep = steps[traceIndex];
+  const blocking = new Map(
+    (safetyResult?.stuck ?? []).map(({ process, resources }) => [process, resources]),
+  );
+
+  // Any change to the state restarts the trace and clears the last request's outcome.
+  const clearFeedback = () => {
+    setMessage('');
+    setStepIndex(0);
+    setScriptIndex(0);
+  };
+
+  const editMatrix = (setter) => (rowIndex, colIndex, value) => {
+    setter((prev) =>
+      prev.map((row, i) =>
+        i === rowIndex ? row.map((cell, j) => (j === colIndex ? toCount(value) : cell)) : row,
+      ),
+    );
+    clearFeedback();
+  };
+
+  const editVector = (setter) => (_, colIndex, value) => {
+    setter((prev) => prev.map((cell, j) => (j === colIndex ? toCount(value) : cell)));
+    clearFeedback();
+  };
+
+  const handleAddProcess = () => {
+    const blank = headers.map(() => 0);
+    setMaxMatrix((prev) => [...prev, blank]);
+    setAllocation((prev) => [...prev, blank]);
+    setRequestMatrix((prev) => [...prev, blank]);
+    clearFeedback();
+  };
+
+  const handleRemoveProcess = () => {
+    if (maxMatrix.length <= 1) return;
+    setMaxMatrix((prev) => prev.slice(0, -1));
+    setAllocation((prev) => prev.slice(0, -1));
+    setRequestMatrix((prev) => prev.slice(0, -1));
+    setRequest((prev) => ({ ...prev, process: Math.min(prev.process, maxMatrix.length - 2) }));
+    clearFeedback();
+  };
+
+  const handleAddResource = () => {
+    const addColumn = (rows) => rows.map((row) => [...row, 0]);
+    setMaxMatrix(addColumn);
+    setAllocation(addColumn);
+    setRequestMatrix(addColumn);
+    setAvailableInput((prev) => [...prev, 0]);
+    setTotal((prev) => [...prev, 0]);
+    setRequest((prev) => ({ ...prev, resources: [...prev.resources, 0] }));
+    clearFeedback();
+  };
+
+  const handleRemoveResource = () => {
+    if (headers.length <= 1) return;
+    const dropColumn = (rows) => rows.map((row) => row.slice(0, -1));
+    setMaxMatrix(dropColumn);
+    setAllocation(dropColumn);
+    setRequestMatrix(dropColumn);
+    setAvailableInput((prev) => prev.slice(0, -1));
+    setTotal((prev) => prev.slice(0, -1));
+    setRequest((prev) => ({ ...prev, resources: prev.resources.slice(0, -1) }));
+    clearFeedback();
+  };
+
+  // Switching keeps the same Available: Total starts as Available plus what is allocated, and
+  // the direct vector starts from the derived one.
+  const handleSourceChange = (event) => {
+    const next = event.target.value;
+    if (next === 'total') {
+      setTotal(
+        availableInput.map(
+          (amount, j) => amount + allocation.reduce((sum, row) => sum + row[j], 0),
+        ),
+      );
+    } else {
+      setAvailableInput(available.map((amount) => Math.max(amount, 0)));
+    }
+    setSource(next);
+    clearFeedback();
+  };
+
+  const handleModeChange = (event) => {
+    setMode(event.target.value);
+    clearFeedback();
+  };
+
+  const handleLoadDeadlockExample = () => {
+    setMaxMatrix(sampleMax);
+    setAllocation(sampleAllocation);
+    setRequestMatrix(sampleRequestMatrix);
+    setAvailableInput(deadlockAvailable);
+    setTotal(deadlockTotal);
+    clearFeedback();
+  };
+
+  // Recovery changes what is held and requested; a derived Available follows on its own.
+  const handleRecover = (next) => {
+    setAllocation(next.allocation);
+    setRequestMatrix(next.request);
+    if (source === 'available') {
+      setAvailableInput(next.available);
+    }
+    clearFeedback();
+  };
+
+  const handleScriptChange = (event) => {
+    setScript(event.target.value);
+    setScriptIndex(0);
+  };
+
+  // Finishing only moves resources back to Available, so a Total vector stays correct as is.
+  const handleUseFinalState = () => {
+    setMaxMatrix(replay.state.max);
+    setAllocation(replay.state.allocation);
+    if (source === 'available') {
+      setAvailableInput(replay.state.available);
+    }
+    clearFeedback();
+  };
+
   const handleRequestChange = (index, value) => {
     const amount = Number(value);
     if (Number.isNaN(amount) || amount < 0) return;
@@ -53,131 +343,590 @@ const BanksAlgorithm = () => {
   const handleReset = () => {
     setMaxMatrix(sampleMax);
     setAllocation(sampleAllocation);
-    setAvailable(sampleAvailable);
-    setRequest({ process: 0, resources: [0, 1, 0] });
-    setMessage('');
+    setAvailableInput(sampleAvailable);
+    setTotal(sampleTotal);
+    setSource('available');
+    setRequest(sampleRequest);
+    setRequestMatrix(sampleRequestMatrix);
+    setCandidate('');
+    setScript(sampleScript);
+    clearFeedback();
   };
 
   const handleSubmitRequest = () => {
-    setMessage('');
-    const { process: pid, resources: req } = request;
-
-    if (pid < 0 || pid >= allocation.length) {
-      setMessage('Select a valid process.');
-      return;
-    }
-
-    const needRow = need[pid];
-    if (!req.every((r, i) => r <= needRow[i])) {
-      setMessage('Request exceeds process need. Denied.');
-      return;
-    }
-
-    if (!req.every((r, i) => r <= available[i])) {
-      setMessage('Request exceeds available resources. Denied.');
+    if (errors.length) {
+      setMessage('Fix the state above before making a request.');
       return;
     }
-
-    const newAvailable = available.map((a, i) => a - req[i]);
-    const newAllocation = allocation.map((row, i) =>
-      i === pid ? row.map((a, j) => a + req[j]) : row,
+    const result = requestResources(
+      { max: maxMatrix, allocation, available },
+      request.process,
+      request.resources,
     );
-    const newNeed = need.map((row, i) =>
-      i === pid ? row.map((n, j) => n - req[j]) : row,
-    );
-
-    const tentative = checkSafety(newAvailable, newAllocation, newNeed);
-    if (!tentative.safe) {
-      setMessage('Request would lead to an unsafe state. Denied.');
-      return;
+    if (result.granted) {
+      setStepIndex(0);
+      setAllocation(result.allocation);
+      if (source === 'available') {
+        setAvailableInput(result.available);
+      }
     }
-
-    setAvailable(newAvailable);
-    setAllocation(newAllocation);
-    setMessage(
-      `Request granted. Safe sequence: ${tentative.sequence.map((p) => `P${p}`).join(' → ')}`,
-    );
+    setMessage(result.message);
   };
 
   return (
     <section id="banks-algorithm" className="content-section">
       <h2>Bank&apos;s Algorithm</h2>
-      <p>Evaluate system safety and handle resource requests using Banker&apos;s Algorithm.</p>
+      <p>
+        Evaluate system safety and handle resource requests using Banker&apos;s Algorithm, or switch
+        to detection mode to find deadlocked processes and recover from them. Edit any cell; the
+        results re-run as you type.
+      </p>
 
       <div className="section-card">
         <h3>Current State</h3>
+        <div className="bank-toolbar">
+          <div className="button-row">
+            <span className="muted-text">Processes: {maxMatrix.length}</span>
+            <button type="button" className="btn ghost small" onClick={handleAddProcess}>
+              Add Process
+            </button>
+            <button
+              type="button"
+              className="btn ghost small"
+              onClick={handleRemoveProcess}
+              disabled={maxMatrix.length <= 1}
+            >
+              Remove P{maxMatrix.length - 1}
+            </button>
+          </div>
+          <div className="button-row">
+            <span className="muted-text">Resources: {headers.length}</span>
+            <button type="button" className="btn ghost small" onClick={handleAddResource}>
+              Add Resource
+            </button>
+            <button
+              type="button"
+              className="btn ghost small"
+              onClick={handleRemoveResource}
+              disabled={headers.length <= 1}
+            >
+              Remove {headers[headers.length - 1]}
+            </button>
+          </div>
+          <label>
+            Mode
+            <select value={mode} onChange={handleModeChange}>
+              <option value="avoidance">Avoidance (Max and Need)</option>
+              <option value="detection">Detection (current Requests)</option>
+            </select>
+          </label>
+          <label>
+            Available from
+            <select value={source} onChange={handleSourceChange}>
+              <option value="available">Enter Available directly</option>
+              <option value="total">Derive from Total (Total − Allocation)</option>
+            </select>
+          </label>
+        </div>
+
         <div className="bank-grid">
-          <MatrixTable title="Available" headers={['A', 'B', 'C']} rows={[available]} />
-          <MatrixTable title="Max" headers={['A', 'B', 'C']} rows={maxMatrix} />
-          <MatrixTable title="Allocation" headers={['A', 'B', 'C']} rows={allocation} />
-          <MatrixTable title="Need (Max - Allocation)" headers={['A', 'B', 'C']} rows={need} />
+          {source === 'total' ? (
+            <>
+              <MatrixTable
+                title="Total"
+                headers={headers}
+                rows={[total]}
+                rowLabels={['']}
+                onCellChange={editVector(setTotal)}
+              />
+              <MatrixTable
+                title="Available (derived)"
+                headers={headers}
+                rows={[available]}
+                rowLabels={['']}
+                cellClass={(_, j) => (available[j] < 0 ? 'invalid' : undefined)}
+              />
+            </>
+          ) : (
+            <MatrixTable
+              title="Available"
+              headers={headers}
+              rows={[availableInput]}
+              rowLabels={['']}
+              onCellChange={editVector(setAvailableInput)}
+            />
+          )}
+          {!detection && (
+            <MatrixTable
+              title="Max"
+              headers={headers}
+              rows={maxMatrix}
+              onCellChange={editMatrix(setMaxMatrix)}
+            />
+          )}
+          <MatrixTable
+            title="Allocation"
+            headers={headers}
+            rows={allocation}
+            onCellChange={editMatrix(setAllocation)}
+            cellClass={(i, j) =>
+              !detection && allocation[i][j] > maxMatrix[i][j] ? 'invalid' : undefined
+            }
+          />
+          {detection ? (
+            <MatrixTable
+              title="Request"
+              headers={headers}
+              rows={requestMatrix}
+              onCellChange={editMatrix(setRequestMatrix)}
+            />
+          ) : (
+            <MatrixTable
+              title="Need (Max - Allocation)"
+              headers={headers}
+              rows={need}
+              cellClass={(i, j) => (blocking.get(i)?.includes(j) ? 'blocked' : undefined)}
+            />
+          )}
         </div>
 
-        <div className="summary-grid">
-          <div>
-            <p className="summary-label">System Safety</p>
-            <p className="summary-value">
-              {safetyResult.safe ? 'Safe' : 'Unsafe'}
-            </p>
+        {errors.length > 0 && (
+          <ul className="form-error">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        {detection ? (
+          <div className="button-row">
+            <button type="button" className="btn ghost small" onClick={handleLoadDeadlockExample}>
+              Load Deadlock Example
+            </button>
           </div>
-          <div>
-            <p className="summary-label">Safe Sequence</p>
-            <p className="summary-value">
-              {safetyResult.safe
-                ? safetyResult.sequence.map((p) => `P${p}`).join(' → ')
-                : 'No safe ordering'}
-            </p>
+        ) : (
+          <div className="summary-grid">
+            <div>
+              <p className="summary-label">System Safety</p>
+              <p className="summary-value">
+                {safetyResult ? (safetyResult.safe ? 'Safe' : 'Unsafe') : 'Invalid state'}
+              </p>
+            </div>
+            <div>
+              <p className="summary-label">Safe Sequence</p>
+              <p className="summary-value">
+                {safetyResult?.safe ? formatSequence(safetyResult.sequence) : 'No safe ordering'}
+              </p>
+            </div>
           </div>
-        </div>
+        )}
       </div>
 
-      <div className="section-card">
-        <h3>Request Resources</h3>
-        <p className="muted-text">
-          Enter a request vector. It will be granted only if it does not exceed the process Need or
-          current Available and leaves the system in a safe state.
-        </p>
-        <div className="bank-request">
-          <label>
-            Process
-            <select value={request.process} onChange={handleProcessChange}>
-              {allocation.map((_, idx) => (
-                <option key={idx} value={idx}>{`P${idx}`}</option>
-              ))}
-            </select>
-          </label>
+      {detection &&
+        (errors.length ? (
+          <div className="section-card">
+            <p className="muted-text">Fix the state above to run deadlock detection.</p>
+          </div>
+        ) : (
+          <DeadlockDetection
+            allocation={allocation}
+            request={requestMatrix}
+            available={available}
+            onRecover={handleRecover}
+          />
+        ))}
+
+      {!detection && (
+        <>
+          <div className="section-card">
+            <h3>Safety Algorithm Trace</h3>
+            {currentStep ? (
+              <>
+                <p className="muted-text">
+                  Each pass examines every unfinished process in order. A process is accepted when
+                  its Need fits in Work; it then releases its Allocation back into Work.
+                </p>
+                <div className="timeline-controls">
+                  <button
+                    type="button"
+                    className="btn ghost small"
+                    onClick={() => setStepIndex(Math.max(traceIndex - 1, 0))}
+                    disabled={traceIndex === 0}
+                  >
+                    Prev
+                  </button>
+                  <span className="muted-text">
+                    Step {traceIndex + 1} / {steps.length}
+                  </span>
+                  <button
+                    type="button"
+                    className="btn ghost small"
+                    onClick={() => setStepIndex(Math.min(traceIndex + 1, steps.length - 1))}
+                    disabled={traceIndex >= steps.length - 1}
+                  >
+                    Next
+                  </button>
+                </div>
+                <p className="trace-detail">
+                  Pass {currentStep.pass}: is Need<sub>P{currentStep.process}</sub>{' '}
+                  {formatVector(currentStep.need)} ≤ Work {formatVector(currentStep.work)}?{' '}
+                  {currentStep.accepted ? (
+                    <>
+                      <span className="badge">Yes</span> P{currentStep.process} finishes and Work
+                      becomes {formatVector(currentStep.workAfter)}.
+                    </>
+                  ) : (
+                    <>
+                      <span className="badge fault">No</span> short of{' '}
+                      {currentStep.short.map(resourceName).join(', ')}.
+                    </>
+                  )}
+                </p>
+                <div className="table-wrapper">
+                  <table className="process-table">
+                    <thead>
+                      <tr>
+                        <th>Pass</th>
+                        <th>Process</th>
+                        <th>Need</th>
+                        <th>Work</th>
+                        <th>Need ≤ Work</th>
+                        <th>Work After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {steps.map((step, index) => (
+                        <tr
+                          key={index}
+                          className={index === traceIndex ? 'active-row' : ''}
+                          onClick={() => setStepIndex(index)}
+                        >
+                          <td>{step.pass}</td>
+                          <td>P{step.process}</td>
+                          <td>
+                            <span className="frame-seq">
+                              {step.need.map((value, j) => (
+                                <span key={j} className={step.short.includes(j) ? 'short' : ''}>
+                                  {value}
+                                  {j < step.need.length - 1 ? ' ' : ''}
+                                </span>
+                              ))}
+                            </span>
+                          </td>
+                          <td className="frame-seq">{step.work.join(' ')}</td>
+                          <td>
+                            {step.accepted ? (
+                              <span className="badge">Accepted</span>
+                            ) : (
+                              <span className="badge fault">Waits</span>
+                            )}
+                          </td>
+                          <td className="frame-seq">{step.workAfter.join(' ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {safetyResult.safe ? (
+                  <p className="notice success">
+                    Every process finished. Safe sequence: {formatSequence(safetyResult.sequence)}.
+                  </p>
+                ) : (
+                  <div className="notice warning stuck-list">
+                    <p>
+                      Unsafe: no process can proceed once Work reaches{' '}
+                      {formatVector(safetyResult.work)}. Blocked entries are marked in the Need
+                      matrix.
+                    </p>
+                    <ul>
+                      {safetyResult.stuck.map(({ process, resources }) => (
+                        <li key={process}>
+                          P{process} can never finish: it needs more{' '}
+                          {resources.map(resourceName).join(', ')} than Work can supply.
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="muted-text">Fix the state above to see the safety trace.</p>
+            )}
+          </div>
 
-          <div className="request-row">
-            {request.resources.map((value, index) => (
-              <label key={index}>
-                {String.fromCharCode(65 + index)}
+          <div className="section-card">
+            <h3>Safe Sequences</h3>
+            <p className="muted-text">
+              The trace above stops at the first safe sequence it finds; a state usually has
+              several. List them all, or check an ordering from an answer key.
+            </p>
+            <div className="bank-toolbar">
+              <label className="checkbox-label">
                 <input
-                  type="number"
-                  min="0"
-                  value={value}
-                  onChange={(event) => handleRequestChange(index, event.target.value)}
+                  type="checkbox"
+                  checked={listAll}
+                  onChange={(event) => setListAll(event.target.checked)}
                 />
+                List every safe sequence
               </label>
-            ))}
+              <label>
+                Show at most
+                <select
+                  value={listLimit}
+                  onChange={(event) => setListLimit(Number(event.target.value))}
+                  disabled={!listAll}
+                >
+                  {listLimits.map((limit) => (
+                    <option key={limit} value={limit}>
+                      {limit}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {allSequences && (
+              <div className="sequence-list">
+                <p className="stat-label">
+                  {allSequences.countCapped && 'At least '}
+                  {allSequences.count === 1
+                    ? '1 safe sequence'
+                    : `${allSequences.count.toLocaleString()} safe sequences`}
+                  {allSequences.capped && ` (showing the first ${allSequences.sequences.length})`}
+                </p>
+                {allSequences.sequences.length > 0 && (
+                  <ol>
+                    {allSequences.sequences.map((sequence) => {
+                      const text = formatSequence(sequence);
+                      return (
+                        <li key={text}>
+                          <span className="frame-seq">{text}</span>
+                          {text === formatSequence(safetyResult.sequence) && (
+                            <span className="badge">Trace</span>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ol>
+                )}
+              </div>
+            )}
+
+            <div className="bank-request">
+              <label>
+                Candidate ordering
+                <input
+                  type="text"
+                  value={candidate}
+                  onChange={(event) => setCandidate(event.target.value)}
+                  placeholder="P1 → P3 → P4 → P0 → P2"
+                />
+              </label>
+            </div>
+            {candidateCheck && (
+              <div className={`notice ${candidateCheck.safe ? 'success' : 'warning'}`}>
+                {candidateCheck.steps.length > 0 && (
+                  <div className="badge-row">
+                    {candidateCheck.steps.map((step) => (
+                      <span key={step.process} className={`badge ${step.accepted ? '' : 'fault'}`}>
+                        P{step.process} {step.accepted ? '✓' : '✗'}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <p>{candidateCheck.message}</p>
+              </div>
+            )}
+            {!safetyResult && candidate.trim() && (
+              <p className="muted-text">Fix the state above to check the ordering.</p>
+            )}
           </div>
 
-          <div className="button-row">
-            <button type="button" className="btn primary" onClick={handleSubmitRequest}>
-              Submit Request
-            </button>
-            <button type="button" className="btn ghost" onClick={handleReset}>
-              Reset Sample Data
-            </button>
+          <div className="section-card">
+            <h3>Request Resources</h3>
+            <p className="muted-text">
+              Enter a request vector. It will be granted only if it does not exceed the process Need
+              or current Available and leaves the system in a safe state.
+            </p>
+            <div className="bank-request">
+              <label>
+                Process
+                <select value={request.process} onChange={handleProcessChange}>
+                  {allocation.map((_, idx) => (
+                    <option key={idx} value={idx}>{`P${idx}`}</option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="request-row">
+                {request.resources.map((value, index) => (
+                  <label key={index}>
+                    {resourceName(index)}
+                    <input
+                      type="number"
+                      min="0"
+                      value={value}
+                      onChange={(event) => handleRequestChange(index, event.target.value)}
+                    />
+                  </label>
+                ))}
+              </div>
+
+              <div className="button-row">
+                <button type="button" className="btn primary" onClick={handleSubmitRequest}>
+                  Submit Request
+                </button>
+                <button type="button" className="btn ghost" onClick={handleReset}>
+                  Reset Sample Data
+                </button>
+              </div>
+
+              {message && <p className="form-error">{message}</p>}
+            </div>
           </div>
 
-          {message && <p className="form-error">{message}</p>}
-        </div>
-      </div>
+          <div className="section-card">
+            <h3>Event Script</h3>
+            <p className="muted-text">
+              Replay requests, releases, and finishes from the state above, separated by semicolons
+              or new lines. A request waits when it exceeds Available or would be unsafe; waiting
+              requests are retried in order whenever resources come back.
+            </p>
+            <div className="scheduler-form">
+              <label>
+                Script
+                <textarea
+                  value={script}
+                  onChange={handleScriptChange}
+                  rows={3}
+                  placeholder={sampleScript}
+                />
+              </label>
+            </div>
+            {parsedScript.errors.length > 0 && (
+              <ul className="form-error">
+                {parsedScript.errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+            {!replay && <p className="muted-text">Fix the state above to replay the script.</p>}
+
+            {scriptStep && (
+              <>
+                <div className="timeline-controls">
+                  <button
+                    type="button"
+                    className="btn ghost small"
+                    onClick={() => setScriptIndex(Math.max(scriptStepIndex - 1, 0))}
+                    disabled={scriptStepIndex === 0}
+                  >
+                    Prev
+                  </button>
+                  <span className="muted-text">
+                    Step {scriptStepIndex + 1} / {scriptSteps.length}
+                  </span>
+                  <button
+                    type="button"
+                    className="btn ghost small"
+                    onClick={() =>
+                      setScriptIndex(Math.min(scriptStepIndex + 1, scriptSteps.length - 1))
+                    }
+                    disabled={scriptStepIndex >= scriptSteps.length - 1}
+                  >
+                    Next
+                  </button>
+                  <button type="button" className="btn ghost small" onClick={handleUseFinalState}>
+                    Use Final State
+                  </button>
+                </div>
+
+                <div className="trace-detail">
+                  <strong>{scriptStep.event.text}</strong>{' '}
+                  <OutcomeBadge outcome={scriptStep.outcome} /> {scriptStep.reason}
+                  {scriptStep.retried.map((retry) => (
+                    <p key={retry.event.text}>
+                      Retried {retry.event.text}: <OutcomeBadge outcome={retry.outcome} />{' '}
+                      {retry.reason}
+                    </p>
+                  ))}
+                  <p className="muted-text">
+                    Waiting:{' '}
+                    {scriptStep.queue.length
+                      ? scriptStep.queue.map((event) => event.text).join(', ')
+                      : 'nothing'}
+                  </p>
+                </div>
+
+                <div className="bank-grid">
+                  <MatrixTable
+                    title="Available"
+                    headers={headers}
+                    rows={[scriptStep.state.available]}
+                    rowLabels={['']}
+                  />
+                  <MatrixTable
+                    title="Allocation"
+                    headers={headers}
+                    rows={scriptStep.state.allocation}
+                  />
+                  <MatrixTable title="Need" headers={headers} rows={scriptStep.state.need} />
+                </div>
+
+                <div className="table-wrapper">
+                  <table className="process-table">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Event</th>
+                        <th>Outcome</th>
+                        <th>Reason</th>
+                        <th>Waiting After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {scriptSteps.map((step, index) => (
+                        <tr
+                          key={index}
+                          className={index === scriptStepIndex ? 'active-row' : ''}
+                          onClick={() => setScriptIndex(index)}
+                        >
+                          <td>{index + 1}</td>
+                          <td className="frame-seq">{step.event.text}</td>
+                          <td>
+                            <OutcomeBadge outcome={step.outcome} />
+                          </td>
+                          <td>
+                            {step.reason}
+                            {step.retried.map((retry) => (
+                              <div key={retry.event.text} className="muted-text">
+                                Retried {retry.event.text}: {outcomeLabels[retry.outcome]} —{' '}
+                                {retry.reason}
+                              </div>
+                            ))}
+                          </td>
+                          <td className="frame-seq">
+                            {step.queue.map((event) => event.text).join(', ') || '—'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </>
+      )}
     </section>
   );
 };
 
-const MatrixTable = ({ title, headers, rows }) => (
+const OutcomeBadge = ({ outcome }) => (
+  <span className={`badge outcome-${outcome}`}>{outcomeLabels[outcome]}</span>
+);
+
+const MatrixTable = ({ title, headers, rows, rowLabels, onCellChange, cellClass }) => (
   <div>
     <div className="matrix-title">{title}</div>
     <table className="matrix-table">
@@ -190,43 +939,36 @@ const MatrixTable = ({ title, headers, rows }) => (
         </tr>
       </thead>
       <tbody>
-        {rows.map((row, rowIndex) => (
-          <tr key={`${title}-${rowIndex}`}>
-            <td className="row-label">{row.length === headers.length ? `P${rowIndex}` : ''}</td>
-            {row.map((value, colIndex) => (
-              <td key={colIndex}>{value}</td>
-            ))}
-          </tr>
-        ))}
+        {rows.map((row, rowIndex) => {
+          const label = rowLabels ? rowLabels[rowIndex] : `P${rowIndex}`;
+          return (
+            <tr key={`${title}-${rowIndex}`}>
+              <td className="row-label">{label}</td>
+              {row.map((value, colIndex) => (
+                <td key={colIndex} className={cellClass?.(rowIndex, colIndex)}>
+                  {onCellChange ? (
+                    <input
+                      type="number"
+                      min="0"
+                      value={value}
+                      aria-label={`${title} ${label} ${headers[colIndex]}`.replace(/\s+/g, ' ')}
+                      onChange={(event) => onCellChange(rowIndex, colIndex, event.target.value)}
+                    />
+                  ) : (
+                    value
+                  )}
+                </td>
+              ))}
+            </tr>
+          );
+        })}
       </tbody>
     </table>
   </div>
 );
 
-const checkSafety = (available, allocation, need) => {
-  const work = [...available];
-  const finish = allocation.map(() => false);
-  const sequence = [];
-
-  let progress = true;
-  while (progress) {
-    progress = false;
-    for (let i = 0; i < allocation.length; i += 1) {
-      if (finish[i]) continue;
-      const canFinish = need[i].every((required, idx) => required <= work[idx]);
-      if (canFinish) {
-        work.forEach((_, idx) => {
-          work[idx] += allocation[i][idx];
-        });
-        finish[i] = true;
-        sequence.push(i);
-        progress = true;
-      }
-    }
-  }
+const formatVector = (vector) => `(${vector.join(' ')})`;
 
-  const safe = finish.every(Boolean);
-  return { safe, sequence };
-};
+const toCount = (value) => Math.max(0, Math.floor(Number(value) || 0));
 
 export default BanksAlgorithm;
@@ -0,0 +1,9 @@
+import { render, screen } from '@testing-library/react';
+import BanksAlgorithm from './BanksAlgorithm';
+
+test('a link whose Allocation rows do not match Max falls back to the sample state', () => {
+  render(<BanksAlgorithm urlState="allocation=[[0,1,0]]" onUrlStateChange={() => {}} />);
+  expect(
+    screen.getByText('Every process finished. Safe sequence:', { exact: false }),
+  ).toHaveTextContent('P1 → P3 → P4 → P0 → P2');
+});
@@ -0,0 +1,488 @@
+import { useMemo, useState } from 'react';
+import {
+  abortProcess,
+  allocationGraph,
+  detectDeadlock,
+  findCycles,
+  formatSequence,
+  preemptResources,
+  resourceName,
+  waitForGraph,
+} from '../engine';
+
+// Detection mode of the Banker's view: runs the detection algorithm on the Allocation and
+// Request matrices it is given, draws both graphs, and hands recovery results back through
+// `onRecover`.
+const DeadlockDetection = ({ allocation, request, available, onRecover }) => {
+  const [victim, setVictim] = useState(0);
+  const [amounts, setAmounts] = useState(() => available.map(() => 0));
+  const [log, setLog] = useState([]);
+
+  const result = useMemo(
+    () => detectDeadlock(available, allocation, request),
+    [available, allocation, request],
+  );
+  const allocationEdges = useMemo(
+    () => allocationGraph(allocation, request),
+    [allocation, request],
+  );
+  const waitEdges = useMemo(
+    () => waitForGraph(available, allocation, request),
+    [available, allocation, request],
+  );
+  const allocationCycles = useMemo(() => findCycles(allocationEdges), [allocationEdges]);
+  const waitCycles = useMemo(() => findCycles(waitEdges), [waitEdges]);
+
+  const state = { allocation, request, available };
+  const instances = available.map(
+    (amount, j) => amount + allocation.reduce((sum, row) => sum + row[j], 0),
+  );
+  const preemptTarget = Math.min(victim, allocation.length - 1);
+
+  // What aborting each deadlocked process alone would leave behind, to help pick a victim.
+  const abortOutcomes = result.deadlocked.map((pid) => {
+    const next = abortProcess(state, pid);
+    return {
+      pid,
+      remaining: detectDeadlock(next.available, next.allocation, next.request).deadlocked,
+    };
+  });
+
+  const recover = (next, action) => {
+    const remaining = detectDeadlock(next.available, next.allocation, next.request).deadlocked;
+    const recheck = remaining.length
+      ? `${remaining.map((pid) => `P${pid}`).join(', ')} still deadlocked.`
+      : 'no deadlock.';
+    setLog((prev) => [...prev, `${action} Re-check: ${recheck}`]);
+    onRecover(next);
+  };
+
+  const handleAbort = (pid) =>
+    recover(
+      abortProcess(state, pid),
+      `Aborted P${pid}, releasing ${formatVector(allocation[pid])}.`,
+    );
+
+  const handlePreempt = () => {
+    const next = preemptResources(state, preemptTarget, amounts);
+    const taken = allocation[preemptTarget].map(
+      (held, j) => held - next.allocation[preemptTarget][j],
+    );
+    if (taken.every((amount) => amount === 0)) {
+      setLog((prev) => [...prev, `P${preemptTarget} holds none of the selected resources.`]);
+      return;
+    }
+    recover(
+      next,
+      `Preempted ${formatVector(taken)} from P${preemptTarget}; it was rolled back and must ` +
+        'request them again.',
+    );
+  };
+
+  const handleAmountChange = (index, value) => {
+    const amount = Number(value);
+    if (Number.isNaN(amount) || amount < 0) return;
+    setAmounts((prev) => available.map((_, j) => (j === index ? amount : (prev[j] ?? 0))));
+  };
+
+  const deadlockedIds = result.deadlocked.map((pid) => `P${pid}`);
+
+  return (
+    <>
+      <div className="section-card">
+        <h3>Detection Result</h3>
+        <div className="summary-grid">
+          <div>
+            <p className="summary-label">Deadlocked</p>
+            <p className="summary-value">
+              {deadlockedIds.length ? deadlockedIds.join(', ') : 'None'}
+            </p>
+          </div>
+          <div>
+            <p className="summary-label">Can Finish</p>
+            <p className="summary-value">
+              {result.sequence.length ? formatSequence(result.sequence) : '—'}
+            </p>
+          </div>
+        </div>
+        <p className="muted-text">
+          A process with a pending Request is accepted when the Request fits in Work, then releases
+          its Allocation. Processes holding nothing cannot be part of a deadlock and are skipped.
+        </p>
+        {result.steps.length > 0 && (
+          <div className="table-wrapper">
+            <table className="process-table">
+              <thead>
+                <tr>
+                  <th>Pass</th>
+                  <th>Process</th>
+                  <th>Request</th>
+                  <th>Work</th>
+                  <th>Request ≤ Work</th>
+                  <th>Work After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.steps.map((step, index) => (
+                  <tr key={index}>
+                    <td>{step.pass}</td>
+                    <td>P{step.process}</td>
+                    <td>
+                      <span className="frame-seq">
+                        {step.request.map((value, j) => (
+                          <span key={j} className={step.short.includes(j) ? 'short' : ''}>
+                            {value}
+                            {j < step.request.length - 1 ? ' ' : ''}
+                          </span>
+                        ))}
+                      </span>
+                    </td>
+                    <td className="frame-seq">{step.work.join(' ')}</td>
+                    <td>
+                      {step.accepted ? (
+                        <span className="badge">Accepted</span>
+                      ) : (
+                        <span className="badge fault">Waits</span>
+                      )}
+                    </td>
+                    <td className="frame-seq">{step.workAfter.join(' ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="section-card">
+        <h3>Graphs</h3>
+        <p className="muted-text">
+          Cycles are drawn in red. With several instances per resource a cycle is necessary but not
+          sufficient for deadlock, so compare it with the detection result above.
+        </p>
+        <div className="graph-grid">
+          <div>
+            <div className="stat-label">Resource-allocation graph</div>
+            <AllocationGraph
+              processes={allocation.length}
+              instances={instances}
+              edges={allocationEdges}
+              cycles={allocationCycles}
+              deadlocked={deadlockedIds}
+            />
+            <CycleList cycles={allocationCycles} />
+          </div>
+          <div>
+            <div className="stat-label">Wait-for graph</div>
+            <WaitForGraph
+              processes={allocation.length}
+              edges={waitEdges}
+              cycles={waitCycles}
+              deadlocked={deadlockedIds}
+            />
+            <CycleList cycles={waitCycles} />
+          </div>
+        </div>
+      </div>
+
+      <div className="section-card">
+        <h3>Recovery</h3>
+        {abortOutcomes.length ? (
+          <>
+            <p className="muted-text">Abort a victim: it releases everything it holds.</p>
+            <div className="button-row">
+              {abortOutcomes.map(({ pid, remaining }) => (
+                <button
+                  key={pid}
+                  type="button"
+                  className="btn ghost small"
+                  onClick={() => handleAbort(pid)}
+                  title={
+                    remaining.length
+                      ? `${remaining.map((other) => `P${other}`).join(', ')} would stay deadlocked`
+                      : 'Clears the deadlock on its own'
+                  }
+                >
+                  Abort P{pid}
+                  {remaining.length ? '' : ' ✓'}
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p className="muted-text">No process is deadlocked.</p>
+        )}
+
+        <p className="muted-text">
+          Or preempt resources: they go back to Available and the victim is rolled back to request
+          them again.
+        </p>
+        <div className="bank-request">
+          <label>
+            Victim
+            <select
+              value={preemptTarget}
+              onChange={(event) => setVictim(Number(event.target.value))}
+            >
+              {allocation.map((_, idx) => (
+                <option key={idx} value={idx}>{`P${idx}`}</option>
+              ))}
+            </select>
+          </label>
+          <div className="request-row">
+            {available.map((_, index) => (
+              <label key={index}>
+                {resourceName(index)}
+                <input
+                  type="number"
+                  min="0"
+                  value={amounts[index] ?? 0}
+                  onChange={(event) => handleAmountChange(index, event.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="button-row">
+            <button type="button" className="btn primary" onClick={handlePreempt}>
+              Preempt
+            </button>
+          </div>
+        </div>
+
+        {log.length > 0 && (
+          <div className="log-panel">
+            <div className="stat-label">Recovery Log</div>
+            <ul className="log-list">
+              {log.map((entry, index) => (
+                <li key={index}>{entry}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+const graphWidth = 600;
+const graphHeight = 260;
+const nodeRadius = 18;
+
+// Processes across the top, resource types (with one dot per instance) along the bottom.
+const AllocationGraph = ({ processes, instances, edges, cycles, deadlocked }) => {
+  const processNodes = Array.from({ length: processes }, (_, i) => ({
+    id: `P${i}`,
+    x: ((i + 0.5) * graphWidth) / processes,
+    y: 50,
+  }));
+  const resourceNodes = instances.map((count, j) => ({
+    id: resourceName(j),
+    count,
+    x: ((j + 0.5) * graphWidth) / instances.length,
+    y: 200,
+  }));
+  const positions = new Map([...processNodes, ...resourceNodes].map((node) => [node.id, node]));
+  const onCycle = cycleMembership(cycles);
+
+  return (
+    <svg
+      className="line-chart deadlock-graph"
+      viewBox={`0 0 ${graphWidth} ${graphHeight}`}
+      role="img"
+      aria-label="Resource-allocation graph"
+    >
+      <ArrowMarkers id="rag" />
+      {edges.map((edge) => {
+        const from = positions.get(edge.from);
+        const to = positions.get(edge.to);
+        // Request and assignment edges between the same pair sit side by side.
+        const shift = edge.kind === 'request' ? -6 : 6;
+        const line = trimLine(
+          { x: from.x + shift, y: from.y },
+          { x: to.x + shift, y: to.y },
+          nodeRadius,
+        );
+        const cyclic = onCycle(edge);
+        return (
+          <g key={`${edge.from}-${edge.to}`}>
+            <line
+              {...line}
+              className={`graph-edge ${edge.kind} ${cyclic ? 'cycle' : ''}`}
+              markerEnd={`url(#rag-arrow${cyclic ? '-cycle' : ''})`}
+            >
+              <title>
+                {edge.kind === 'request'
+                  ? `${edge.from} requests ${edge.count} × ${edge.to}`
+                  : `${edge.count} × ${edge.from} held by ${edge.to}`}
+              </title>
+            </line>
+            {edge.count > 1 && (
+              <text
+                x={(line.x1 + line.x2) / 2 + shift}
+                y={(line.y1 + line.y2) / 2}
+                className="axis-label"
+                textAnchor="middle"
+              >
+                {edge.count}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      {processNodes.map(({ id, x, y }) => (
+        <ProcessNode
+          key={id}
+          id={id}
+          x={x}
+          y={y}
+          deadlocked={deadlocked.includes(id)}
+          cyclic={cycles.some((cycle) => cycle.nodes.includes(id))}
+        />
+      ))}
+      {resourceNodes.map(({ id, count, x, y }) => (
+        <g key={id}>
+          <rect
+            x={x - 28}
+            y={y - nodeRadius}
+            width={56}
+            height={nodeRadius * 2}
+            rx={4}
+            className={`graph-node resource ${
+              cycles.some((cycle) => cycle.nodes.includes(id)) ? 'cycle' : ''
+            }`}
+          />
+          {count <= 6 ? (
+            Array.from({ length: count }, (_, k) => (
+              <circle
+                key={k}
+                cx={x - ((count - 1) * 8) / 2 + k * 8}
+                cy={y}
+                r={2.5}
+                className="graph-instance"
+              />
+            ))
+          ) : (
+            <text x={x} y={y + 4} textAnchor="middle" className="graph-label">
+              ×{count}
+            </text>
+          )}
+          <text x={x} y={y + nodeRadius + 16} textAnchor="middle" className="graph-label">
+            {id}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Processes on a circle; edges bend slightly so Pi → Pj and Pj → Pi do not overlap.
+const WaitForGraph = ({ processes, edges, cycles, deadlocked }) => {
+  const centre = { x: graphWidth / 2, y: graphHeight / 2 };
+  const radius = graphHeight / 2 - nodeRadius - 14;
+  const position = (id) => {
+    const angle = (2 * Math.PI * Number(id.slice(1))) / processes - Math.PI / 2;
+    return { x: centre.x + radius * Math.cos(angle), y: centre.y + radius * Math.sin(angle) };
+  };
+  const onCycle = cycleMembership(cycles);
+
+  return (
+    <svg
+      className="line-chart deadlock-graph"
+      viewBox={`0 0 ${graphWidth} ${graphHeight}`}
+      role="img"
+      aria-label="Wait-for graph"
+    >
+      <ArrowMarkers id="wfg" />
+      {edges.map((edge) => {
+        const { x1, y1, x2, y2 } = trimLine(position(edge.from), position(edge.to), nodeRadius);
+        const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+        const bend = {
+          x: (x1 + x2) / 2 + ((y2 - y1) / length) * 18,
+          y: (y1 + y2) / 2 - ((x2 - x1) / length) * 18,
+        };
+        const cyclic = onCycle(edge);
+        return (
+          <path
+            key={`${edge.from}-${edge.to}`}
+            d={`M ${x1} ${y1} Q ${bend.x} ${bend.y} ${x2} ${y2}`}
+            className={`graph-edge ${cyclic ? 'cycle' : ''}`}
+            markerEnd={`url(#wfg-arrow${cyclic ? '-cycle' : ''})`}
+          >
+            <title>{`${edge.from} waits for ${edge.to} (${edge.resources.join(', ')})`}</title>
+          </path>
+        );
+      })}
+      {Array.from({ length: processes }, (_, i) => {
+        const id = `P${i}`;
+        return (
+          <ProcessNode
+            key={id}
+            id={id}
+            {...position(id)}
+            deadlocked={deadlocked.includes(id)}
+            cyclic={cycles.some((cycle) => cycle.nodes.includes(id))}
+          />
+        );
+      })}
+    </svg>
+  );
+};
+
+const ProcessNode = ({ id, x, y, deadlocked, cyclic }) => (
+  <g>
+    <circle
+      cx={x}
+      cy={y}
+      r={nodeRadius}
+      className={`graph-node ${deadlocked ? 'deadlocked' : ''} ${cyclic ? 'cycle' : ''}`}
+    />
+    <text x={x} y={y + 4} textAnchor="middle" className="graph-label">
+      {id}
+    </text>
+  </g>
+);
+
+const ArrowMarkers = ({ id }) => (
+  <defs>
+    {['', '-cycle'].map((suffix) => (
+      <marker
+        key={suffix}
+        id={`${id}-arrow${suffix}`}
+        viewBox="0 0 10 10"
+        refX="9"
+        refY="5"
+        markerWidth="7"
+        markerHeight="7"
+        orient="auto"
+      >
+        <path d="M 0 0 L 10 5 L 0 10 z" className={`graph-arrow${suffix ? ' cycle' : ''}`} />
+      </marker>
+    ))}
+  </defs>
+);
+
+const CycleList = ({ cycles }) => (
+  <p className="muted-text">
+    {cycles.length
+      ? `Cycle${cycles.length > 1 ? 's' : ''}: ${cycles
+          .map((cycle) => cycle.path.join(' → '))
+          .join('; ')}`
+      : 'No cycles.'}
+  </p>
+);
+
+// An edge lies on a cycle when both ends belong to the same strongly connected component.
+const cycleMembership = (cycles) => (edge) =>
+  cycles.some((cycle) => cycle.nodes.includes(edge.from) && cycle.nodes.includes(edge.to));
+
+// Shortens a segment at both ends so arrows stop at the node outline.
+const trimLine = (from, to, by) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+  const dx = ((to.x - from.x) / length) * by;
+  const dy = ((to.y - from.y) / length) * by;
+  return { x1: from.x + dx, y1: from.y + dy, x2: to.x - dx, y2: to.y - dy };
+};
+
+const formatVector = (vector) => `(${vector.join(' ')})`;
+
+export default DeadlockDetection;
@@ -0,0 +1,347 @@
+import { useEffect, useMemo, useState } from 'react';
+import { diningLimits, diningStrategyOptions, simulateDining } from '../engine';
+
+const settingLimits = {
+  count: { label: 'Philosophers', ...diningLimits.philosophers },
+  ticks: { label: 'Ticks', ...diningLimits.ticks },
+  starvationLimit: { label: 'Starving after (ticks hungry)', ...diningLimits.starvationLimit },
+};
+
+// Dining Philosophers card of the synchronization view. Its settings live in the parent (they
+// are part of the URL) and change through `onChange`; the run is replayed tick by tick here.
+const DiningPhilosophers = ({
+  count,
+  strategy,
+  seed,
+  synchronized,
+  ticks,
+  starvationLimit,
+  onChange,
+}) => {
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [autoPlay, setAutoPlay] = useState(false);
+
+  const results = useMemo(
+    () =>
+      Object.fromEntries(
+        diningStrategyOptions.map((option) => [
+          option.value,
+          simulateDining({
+            philosophers: count,
+            strategy: option.value,
+            ticks,
+            seed,
+            synchronized,
+            starvationLimit,
+          }),
+        ]),
+      ),
+    [count, ticks, seed, synchronized, starvationLimit],
+  );
+  const result = results[strategy] ?? results.naive;
+  const { frames, deadlock } = result;
+  const currentIndex = Math.min(frameIndex, frames.length - 1);
+  const frame = frames[currentIndex];
+
+  useEffect(() => {
+    let timer;
+    if (autoPlay) {
+      timer = setInterval(() => {
+        setFrameIndex((prev) => {
+          const next = prev + 1;
+          if (next >= frames.length) {
+            setAutoPlay(false);
+            return prev;
+          }
+          return next;
+        });
+      }, 500);
+    }
+    return () => {
+      if (timer) clearInterval(timer);
+    };
+  }, [autoPlay, frames]);
+
+  const update = (changes) => {
+    onChange(changes);
+    setFrameIndex(0);
+    setAutoPlay(false);
+  };
+
+  const handleLimitChange = (key) => (event) => {
+    const value = Number(event.target.value);
+    const { min, max } = settingLimits[key];
+    if (Number.isInteger(value) && value >= min && value <= max) update({ [key]: value });
+  };
+
+  const deadlockShown = deadlock && currentIndex === frames.length - 1;
+
+  return (
+    <div className="section-card">
+      <h3>Dining Philosophers Simulator</h3>
+      <p className="muted-text">
+        Each philosopher needs the forks on both sides: P0 uses F0 and F1, P1 uses F1 and F2, and so
+        on around the table. Each tick every philosopher takes one turn; pick a strategy and watch
+        for deadlock and starvation.
+      </p>
+
+      <div className="sim-grid">
+        {Object.entries(settingLimits).map(([key, { label, min, max }]) => (
+          <div key={key} className="stat-card">
+            <div className="stat-label">{label}</div>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              value={{ count, ticks, starvationLimit }[key]}
+              onChange={handleLimitChange(key)}
+              className="stat-input"
+            />
+          </div>
+        ))}
+        <div className="stat-card">
+          <div className="stat-label">Seed</div>
+          <input
+            type="text"
+            value={seed}
+            onChange={(event) => update({ seed: event.target.value })}
+            className="stat-input"
+          />
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Strategy</div>
+          <select
+            value={strategy}
+            onChange={(event) => update({ strategy: event.target.value })}
+            className="stat-input"
+          >
+            {diningStrategyOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={synchronized}
+          onChange={(event) => update({ synchronized: event.target.checked })}
+        />
+        Everyone gets hungry at the first tick
+      </label>
+
+      {deadlock && (
+        <div className="notice warning">
+          Deadlock at tick {deadlock.tick}:{' '}
+          {deadlock.waits
+            .map(
+              ({ philosopher, holding, waitsFor }) =>
+                `P${philosopher} holds ${
+                  holding.length ? holding.map((fork) => `F${fork}`).join(', ') : 'nothing'
+                } and waits for F${waitsFor}`,
+            )
+            .join('; ')}
+          . Nobody can move again.
+        </div>
+      )}
+      {result.starved.length > 0 ? (
+        <div className="notice warning">
+          Starvation: {result.starved.map((i) => `P${i}`).join(', ')} stayed hungry for{' '}
+          {starvationLimit} ticks or more (longest:{' '}
+          {Math.max(...result.starved.map((i) => result.longestHunger[i]))} ticks).
+        </div>
+      ) : (
+        !deadlock && (
+          <div className="notice success">
+            No deadlock, and nobody stayed hungry for {starvationLimit} ticks.
+          </div>
+        )
+      )}
+
+      <div className="timeline-controls">
+        <button
+          type="button"
+          className="btn ghost small"
+          onClick={() => setFrameIndex(Math.max(currentIndex - 1, 0))}
+          disabled={currentIndex === 0}
+        >
+          Prev
+        </button>
+        <span className="muted-text">
+          Tick {frame.tick} / {frames[frames.length - 1].tick}
+        </span>
+        <button
+          type="button"
+          className="btn ghost small"
+          onClick={() => setFrameIndex(Math.min(currentIndex + 1, frames.length - 1))}
+          disabled={currentIndex === frames.length - 1}
+        >
+          Next
+        </button>
+        <button
+          type="button"
+          className="btn secondary small"
+          onClick={() => {
+            if (!autoPlay && currentIndex === frames.length - 1) setFrameIndex(0);
+            setAutoPlay((prev) => !prev);
+          }}
+        >
+          {autoPlay ? 'Pause' : 'Play'}
+        </button>
+      </div>
+
+      <div className="pc-layout">
+        <div className="stat-card">
+          <div className="stat-label">Table at tick {frame.tick}</div>
+          <DiningTable frame={frame} deadlocked={deadlockShown} />
+        </div>
+        <div className="log-panel">
+          <div className="stat-label">Tick {frame.tick} Events</div>
+          <ul className="log-list">
+            {frame.events.length ? (
+              frame.events.map((entry, index) => <li key={index}>{entry}</li>)
+            ) : (
+              <li>Everyone keeps thinking, eating, or waiting.</li>
+            )}
+          </ul>
+        </div>
+      </div>
+
+      <div className="table-wrapper">
+        <table className="process-table">
+          <thead>
+            <tr>
+              <th>Philosopher</th>
+              <th>State</th>
+              <th>Holding</th>
+              <th>Meals</th>
+              <th>Hungry For</th>
+            </tr>
+          </thead>
+          <tbody>
+            {frame.philosophers.map((philosopher, i) => (
+              <tr key={i}>
+                <td>P{i}</td>
+                <td>
+                  <span className={`badge dining-${philosopher.state}`}>{philosopher.state}</span>
+                  {philosopher.seated && <span className="muted-text small-text"> seated</span>}
+                </td>
+                <td>{philosopher.holding.map((fork) => `F${fork}`).join(', ') || '—'}</td>
+                <td>{philosopher.meals}</td>
+                <td>
+                  {philosopher.hungryFor}
+                  {philosopher.starving && <span className="badge fault">starving</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="stat-label">Strategy Comparison (same seed and start)</div>
+      <div className="table-wrapper">
+        <table className="process-table">
+          <thead>
+            <tr>
+              <th>Strategy</th>
+              <th>Total Meals</th>
+              <th>Fewest Meals</th>
+              <th>Deadlock</th>
+              <th>Starved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diningStrategyOptions.map((option) => {
+              const run = results[option.value];
+              return (
+                <tr key={option.value} className={option.value === strategy ? 'active-row' : ''}>
+                  <td>{option.label}</td>
+                  <td>{run.meals.reduce((sum, meals) => sum + meals, 0)}</td>
+                  <td>{Math.min(...run.meals)}</td>
+                  <td>{run.deadlock ? `tick ${run.deadlock.tick}` : '—'}</td>
+                  <td>{run.starved.map((i) => `P${i}`).join(', ') || '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const tableView = 320;
+const seatRadius = 115;
+const seatSize = 22;
+
+// Philosophers sit clockwise from the top with their meal count. Fork f lies between P(f−1) and Pf and leans toward
+// whoever holds it; a Chandy–Misra fork is drawn dashed while dirty.
+const DiningTable = ({ frame, deadlocked }) => {
+  const center = tableView / 2;
+  const count = frame.philosophers.length;
+  const angleOf = (seat) => (2 * Math.PI * seat) / count - Math.PI / 2;
+  const at = (angle, radius) => ({
+    x: center + radius * Math.cos(angle),
+    y: center + radius * Math.sin(angle),
+  });
+
+  return (
+    <svg
+      className="line-chart dining-table"
+      viewBox={`0 0 ${tableView} ${tableView}`}
+      role="img"
+      aria-label="Dining table"
+    >
+      <circle cx={center} cy={center} r={seatRadius - 40} className="table-top" />
+      {frame.forks.map((fork, f) => {
+        const middle = angleOf(f) - Math.PI / count;
+        let lean = 0;
+        if (fork.holder === f) lean = 0.55;
+        else if (fork.holder !== null) lean = -0.55;
+        const angle = middle + (lean * Math.PI) / count;
+        const inner = at(angle, seatRadius - 65);
+        const outer = at(angle, seatRadius - 42);
+        const label = at(middle, seatRadius - 78);
+        return (
+          <g key={f}>
+            <line
+              x1={inner.x}
+              y1={inner.y}
+              x2={outer.x}
+              y2={outer.y}
+              className={`fork ${fork.holder === null ? '' : 'held'} ${fork.dirty ? 'dirty' : ''}`}
+            />
+            <text x={label.x} y={label.y + 3} textAnchor="middle" className="fork-label">
+              F{f}
+            </text>
+          </g>
+        );
+      })}
+      {frame.philosophers.map((philosopher, i) => {
+        const seat = at(angleOf(i), seatRadius);
+        return (
+          <g key={i}>
+            <circle
+              cx={seat.x}
+              cy={seat.y}
+              r={seatSize}
+              className={`seat ${philosopher.state} ${philosopher.starving ? 'starving' : ''} ${
+                deadlocked ? 'deadlocked' : ''
+              }`}
+            />
+            <text x={seat.x} y={seat.y - 2} textAnchor="middle" className="seat-label">
+              P{i}
+            </text>
+            <text x={seat.x} y={seat.y + 11} textAnchor="middle" className="fork-label">
+              ×{philosopher.meals}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default DiningPhilosophers;
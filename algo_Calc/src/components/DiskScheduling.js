@@ -1,26 +1,33 @@
 import { useEffect, useMemo, useState } from 'react';
-
-const algorithmOptions = [
-  { value: 'fcfs', label: 'FCFS' },
-  { value: 'sstf', label: 'SSTF' },
-  { value: 'scan', label: 'SCAN' },
-  { value: 'cscan', label: 'CSCAN' },
-  { value: 'look', label: 'LOOK' },
-  { value: 'clook', label: 'CLOOK' },
-];
+import { defaultMaxCylinder, diskAlgorithmOptions, parseRequests, simulateDisk } from '../engine';
+import { decodeState, isIntegerIn, isOneOf, useUrlState } from '../urlState';
 
 const defaultRequests = '98 183 37 122 14 124 65 67';
-const maxCyl = 199;
+const maxCyl = defaultMaxCylinder;
+
+const urlDefaults = { requests: defaultRequests, head: 53, direction: 'right', alg: 'fcfs' };
 
-const DiskScheduling = () => {
-  const [requestsInput, setRequestsInput] = useState(defaultRequests);
-  const [head, setHead] = useState(53);
-  const [direction, setDirection] = useState('right');
-  const [algorithm, setAlgorithm] = useState('fcfs');
+const urlChecks = {
+  head: isIntegerIn(0, maxCyl),
+  direction: isOneOf(['left', 'right']),
+  alg: isOneOf(diskAlgorithmOptions.map((option) => option.value)),
+};
+
+const DiskScheduling = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [requestsInput, setRequestsInput] = useState(restored.requests);
+  const [head, setHead] = useState(restored.head);
+  const [direction, setDirection] = useState(restored.direction);
+  const [algorithm, setAlgorithm] = useState(restored.alg);
   const [result, setResult] = useState(null);
   const [stepIndex, setStepIndex] = useState(0);
   const [autoPlay, setAutoPlay] = useState(false);
 
+  useUrlState(
+    { requests: requestsInput, head, direction, alg: algorithm },
+    onUrlStateChange,
+  );
+
   const requests = useMemo(() => parseRequests(requestsInput, maxCyl), [requestsInput]);
 
   useEffect(() => {
@@ -43,7 +50,7 @@ const DiskScheduling = () => {
   }, [autoPlay, result]);
 
   const runSimulation = () => {
-    const sim = simulate(algorithm, head, direction, requests);
+    const sim = simulateDisk(algorithm, head, direction, requests, maxCyl);
     setResult(sim);
     setStepIndex(0);
     setAutoPlay(false);
@@ -94,7 +101,7 @@ const DiskScheduling = () => {
               <label>
                 Algorithm
                 <select value={algorithm} onChange={(event) => setAlgorithm(event.target.value)}>
-                  {algorithmOptions.map((opt) => (
+                  {diskAlgorithmOptions.map((opt) => (
                     <option key={opt.value} value={opt.value}>
                       {opt.label}
                     </option>
@@ -214,79 +221,4 @@ const DiskScheduling = () => {
   );
 };
 
-const parseRequests = (input, max) =>
-  input
-    .split(/[\s,]+/)
-    .map((token) => token.trim())
-    .filter(Boolean)
-    .map((token) => Number(token))
-    .filter((num) => Number.isFinite(num) && num >= 0 && num <= max);
-
-const simulate = (algorithm, head, direction, requests) => {
-  const order = orderRequests(algorithm, head, direction, requests);
-  const path = [head, ...order];
-  const timeline = [];
-  let total = 0;
-
-  for (let i = 1; i < path.length; i += 1) {
-    const move = Math.abs(path[i] - path[i - 1]);
-    total += move;
-    timeline.push({
-      index: i - 1,
-      position: path[i],
-      move,
-      cumulative: total,
-    });
-  }
-
-  return { path, timeline, total, served: order.length };
-};
-
-const orderRequests = (algorithm, head, direction, reqs) => {
-  const left = reqs.filter((r) => r < head).sort((a, b) => a - b);
-  const right = reqs.filter((r) => r >= head).sort((a, b) => a - b);
-
-  switch (algorithm) {
-    case 'fcfs':
-      return reqs;
-    case 'sstf':
-      return sstf(head, reqs);
-    case 'scan':
-      return direction === 'right'
-        ? [...right, maxCyl, ...left.reverse()]
-        : [...left.reverse(), 0, ...right];
-    case 'cscan':
-      return direction === 'right'
-        ? [...right, maxCyl, 0, ...left]
-        : [...left.reverse(), 0, maxCyl, ...right.reverse()];
-    case 'look':
-      return direction === 'right' ? [...right, ...left.reverse()] : [...left.reverse(), ...right];
-    case 'clook':
-      return direction === 'right' ? [...right, ...left] : [...left.reverse(), ...right.reverse()];
-    default:
-      return reqs;
-  }
-};
-
-const sstf = (head, reqs) => {
-  const pending = [...reqs];
-  let current = head;
-  const order = [];
-  while (pending.length) {
-    let bestIdx = 0;
-    let bestDist = Math.abs(pending[0] - current);
-    for (let i = 1; i < pending.length; i += 1) {
-      const dist = Math.abs(pending[i] - current);
-      if (dist < bestDist) {
-        bestDist = dist;
-        bestIdx = i;
-      }
-    }
-    const [next] = pending.splice(bestIdx, 1);
-    order.push(next);
-    current = next;
-  }
-  return order;
-};
-
 export default DiskScheduling;
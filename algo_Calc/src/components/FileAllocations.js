@@ -1,4 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
+import { decodeState, isIntegerIn, isOneOf, useUrlState } from '../urlState';
 
 const strategies = [
   { value: 'contiguous', label: 'Contiguous' },
@@ -8,14 +9,42 @@ const strategies = [
 
 const totalBlocks = 48;
 
-const FileAllocations = () => {
-  const [disk, setDisk] = useState(buildInitialDisk());
-  const [strategy, setStrategy] = useState('contiguous');
-  const [fileSize, setFileSize] = useState(6);
-  const [indexBlockSize, setIndexBlockSize] = useState(1);
+const urlDefaults = { disk: [], strategy: 'contiguous', size: 6, index: 1 };
+
+const isDiskBlock = (block) =>
+  typeof block === 'object' &&
+  block !== null &&
+  Number.isFinite(block.id) &&
+  typeof block.free === 'boolean' &&
+  typeof block.label === 'string';
+
+// An empty or malformed disk is replaced by a fresh random one below.
+const urlChecks = {
+  disk: (value) =>
+    value.length === totalBlocks &&
+    value.every(isDiskBlock) &&
+    new Set(value.map((block) => block.id)).size === totalBlocks,
+  strategy: isOneOf(strategies.map((item) => item.value)),
+  size: isIntegerIn(1, totalBlocks),
+  index: isIntegerIn(1, totalBlocks),
+};
+
+const FileAllocations = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [disk, setDisk] = useState(() =>
+    restored.disk.length === totalBlocks ? restored.disk : buildInitialDisk(),
+  );
+  const [strategy, setStrategy] = useState(restored.strategy);
+  const [fileSize, setFileSize] = useState(restored.size);
+  const [indexBlockSize, setIndexBlockSize] = useState(restored.index);
   const [log, setLog] = useState(['Initialized disk with some blocks in use.']);
   const [flashIds, setFlashIds] = useState([]);
 
+  useUrlState(
+    { disk, strategy, size: fileSize, index: indexBlockSize },
+    onUrlStateChange,
+  );
+
   const freeBlocks = useMemo(() => disk.filter((b) => b.free).length, [disk]);
   const usedBlocks = totalBlocks - freeBlocks;
 
@@ -1,84 +1,68 @@
 import { useMemo, useState } from 'react';
+import { allocateBlock, createHoles, fitAlgorithms, freeBlock, memoryStats } from '../engine';
+import { decodeState, isIntegerIn, isOneOf, useUrlState } from '../urlState';
+
+const initialBlocks = createHoles([200]);
+
+const urlDefaults = { blocks: initialBlocks, size: 30, alg: 'first', next: 0, pid: 1 };
+
+// The memory bar is rebuilt from `blocks` before the first render, so every block must be
+// drawable and addressable by its id.
+const isBlock = (block) =>
+  typeof block === 'object' &&
+  block !== null &&
+  Number.isFinite(block.id) &&
+  Number.isFinite(block.size) &&
+  block.size > 0 &&
+  typeof block.free === 'boolean' &&
+  typeof block.label === 'string';
+
+const blocksFit = (blocks) =>
+  blocks.length > 0 &&
+  blocks.every(isBlock) &&
+  new Set(blocks.map((block) => block.id)).size === blocks.length;
+
+const urlChecks = {
+  blocks: blocksFit,
+  size: (value) => Number.isFinite(value) && value > 0,
+  alg: isOneOf(fitAlgorithms.map((alg) => alg.value)),
+  next: (value, decoded) =>
+    blocksFit(decoded.blocks) && isIntegerIn(0, decoded.blocks.length - 1)(value),
+  pid: isIntegerIn(1, Infinity),
+};
 
-const algorithms = [
-  { value: 'first', label: 'First Fit' },
-  { value: 'best', label: 'Best Fit' },
-  { value: 'worst', label: 'Worst Fit' },
-  { value: 'next', label: 'Next Fit' },
-];
-
-const initialBlocks = [{ id: 1, label: 'Free', size: 200, free: true, requested: 0 }];
-
-const FitAlgorithm = () => {
-  const [blocks, setBlocks] = useState(initialBlocks);
-  const [requestSize, setRequestSize] = useState(30);
-  const [selectedAlgorithm, setSelectedAlgorithm] = useState('first');
-  const [nextFitStart, setNextFitStart] = useState(0);
-  const [log, setLog] = useState(['Initialized memory with 200 units free.']);
+const FitAlgorithm = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [blocks, setBlocks] = useState(restored.blocks);
+  const [requestSize, setRequestSize] = useState(restored.size);
+  const [selectedAlgorithm, setSelectedAlgorithm] = useState(restored.alg);
+  const [nextFitStart, setNextFitStart] = useState(restored.next);
+  const [log, setLog] = useState([
+    `Initialized memory with ${memoryStats(restored.blocks).totalFree} units free.`,
+  ]);
   const [flashId, setFlashId] = useState(null);
-  const [pidCounter, setPidCounter] = useState(1);
+  const [pidCounter, setPidCounter] = useState(restored.pid);
   const [freeTarget, setFreeTarget] = useState(null);
 
-  const totalMemory = useMemo(() => blocks.reduce((sum, block) => sum + block.size, 0), [blocks]);
-  const allocatedBlocks = blocks.filter((block) => !block.free);
-
-  const freeBlocks = blocks.filter((block) => block.free);
-  const totalFree = freeBlocks.reduce((sum, block) => sum + block.size, 0);
-  const largestHole = freeBlocks.length ? Math.max(...freeBlocks.map((block) => block.size)) : 0;
-  const internalFragmentation = allocatedBlocks.reduce(
-    (sum, block) => sum + Math.max(block.size - (block.requested || 0), 0),
-    0,
+  useUrlState(
+    {
+      blocks,
+      size: requestSize,
+      alg: selectedAlgorithm,
+      next: nextFitStart,
+      pid: pidCounter,
+    },
+    onUrlStateChange,
   );
-  const externalFragmentation = totalFree - largestHole;
+
+  const allocatedBlocks = blocks.filter((block) => !block.free);
+  const { totalMemory, totalFree, largestHole, internalFragmentation, externalFragmentation } =
+    useMemo(() => memoryStats(blocks), [blocks]);
 
   const addLog = (entry) => {
     setLog((prev) => [entry, ...prev].slice(0, 12));
   };
 
-  const coalesce = (list) => {
-    const merged = [];
-    for (let i = 0; i < list.length; i += 1) {
-      const current = list[i];
-      if (current.free && merged.length && merged[merged.length - 1].free) {
-        merged[merged.length - 1].size += current.size;
-      } else {
-        merged.push({ ...current });
-      }
-    }
-    return merged.map((block, idx) => ({ ...block, id: block.id || idx + 1 }));
-  };
-
-  const findBlockIndex = (size) => {
-    const indices = blocks.map((_, idx) => idx);
-    switch (selectedAlgorithm) {
-      case 'best': {
-        const best = indices
-          .filter((i) => blocks[i].free && blocks[i].size >= size)
-          .sort((a, b) => blocks[a].size - blocks[b].size);
-        return best.length ? best[0] : -1;
-      }
-      case 'worst': {
-        const worst = indices
-          .filter((i) => blocks[i].free && blocks[i].size >= size)
-          .sort((a, b) => blocks[b].size - blocks[a].size);
-        return worst.length ? worst[0] : -1;
-      }
-      case 'next': {
-        const n = blocks.length;
-        for (let offset = 0; offset < n; offset += 1) {
-          const idx = (nextFitStart + offset) % n;
-          if (blocks[idx].free && blocks[idx].size >= size) {
-            return idx;
-          }
-        }
-        return -1;
-      }
-      case 'first':
-      default:
-        return indices.find((i) => blocks[i].free && blocks[i].size >= size) ?? -1;
-    }
-  };
-
   const allocate = () => {
     const size = Number(requestSize);
     if (!Number.isFinite(size) || size <= 0) {
@@ -86,47 +70,24 @@ const FitAlgorithm = () => {
       return;
     }
 
-    const index = findBlockIndex(size);
-    if (index === -1) {
+    const pid = `P${pidCounter}`;
+    const result = allocateBlock(blocks, size, {
+      algorithm: selectedAlgorithm,
+      label: pid,
+      id: Date.now(),
+      nextFitStart,
+    });
+    if (!result) {
       addLog(`Request ${size} denied: no suitable hole.`);
       return;
     }
 
-    const pid = `P${pidCounter}`;
     setPidCounter((prev) => prev + 1);
-
-    const target = blocks[index];
-    const remaining = target.size - size;
-    const newBlock = {
-      id: Date.now(),
-      label: pid,
-      size,
-      free: false,
-      requested: size,
-    };
-
-    const updated = [...blocks];
-    updated.splice(index, 1, newBlock);
-    if (remaining > 0) {
-      updated.splice(index + 1, 0, {
-        id: Date.now() + 1,
-        label: 'Free',
-        size: remaining,
-        free: true,
-        requested: 0,
-      });
-    }
-
-    const coalesced = coalesce(updated);
-    setBlocks(coalesced);
-    setFlashId(newBlock.id);
+    setBlocks(result.blocks);
+    setFlashId(result.block.id);
     setTimeout(() => setFlashId(null), 600);
     setLog((prev) => [`Allocated ${size} to ${pid} via ${labelFor(selectedAlgorithm)}.`, ...prev].slice(0, 12));
-
-    if (selectedAlgorithm === 'next') {
-      const nextIndex = coalesced.findIndex((block) => block.free);
-      setNextFitStart(nextIndex === -1 ? 0 : nextIndex);
-    }
+    setNextFitStart(result.nextFitStart);
   };
 
   const freeProcess = () => {
@@ -135,12 +96,7 @@ const FitAlgorithm = () => {
       return;
     }
 
-    const updated = blocks.map((block) =>
-      block.id === Number(freeTarget) ? { ...block, free: true, label: 'Free', requested: 0 } : block,
-    );
-
-    const coalesced = coalesce(updated);
-    setBlocks(coalesced);
+    setBlocks(freeBlock(blocks, Number(freeTarget)));
     setFlashId(Number(freeTarget));
     setTimeout(() => setFlashId(null), 600);
     setLog((prev) => [`Freed ${freeTarget}. Coalesced adjacent holes.`, ...prev].slice(0, 12));
@@ -177,7 +133,7 @@ const FitAlgorithm = () => {
                   value={selectedAlgorithm}
                   onChange={(event) => setSelectedAlgorithm(event.target.value)}
                 >
-                  {algorithms.map((alg) => (
+                  {fitAlgorithms.map((alg) => (
                     <option key={alg.value} value={alg.value}>
                       {alg.label}
                     </option>
@@ -281,7 +237,7 @@ const FitAlgorithm = () => {
 };
 
 const labelFor = (value) => {
-  const item = algorithms.find((alg) => alg.value === value);
+  const item = fitAlgorithms.find((alg) => alg.value === value);
   return item ? item.label : value;
 };
 
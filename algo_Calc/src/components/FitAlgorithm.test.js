@@ -0,0 +1,7 @@
+import { render, screen } from '@testing-library/react';
+import FitAlgorithm from './FitAlgorithm';
+
+test('a link with unusable memory blocks falls back to the initial free block', () => {
+  render(<FitAlgorithm urlState="blocks=[null]&next=3" onUrlStateChange={() => {}} />);
+  expect(screen.getByText('Initialized memory with 200 units free.')).toBeInTheDocument();
+});
@@ -1,4 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
+import { decodeState, isIntegerIn, isOneOf, useUrlState } from '../urlState';
 
 const modes = [
   { value: 'mft', label: 'MFT (Fixed Partitions)' },
@@ -8,31 +9,68 @@ const modes = [
 const defaultMemory = 200;
 const defaultPartition = 50;
 
-const MftMvt = () => {
-  const [mode, setMode] = useState('mft');
-  const [memorySize, setMemorySize] = useState(defaultMemory);
-  const [partitionSize, setPartitionSize] = useState(defaultPartition);
-  const [processSize, setProcessSize] = useState(40);
-  const [segments, setSegments] = useState(buildMft(memorySize, partitionSize));
-  const [pidCounter, setPidCounter] = useState(1);
+const urlDefaults = {
+  mode: 'mft',
+  memory: defaultMemory,
+  partition: defaultPartition,
+  size: 40,
+  segments: [],
+  pid: 1,
+};
+
+// Layouts are built by cutting memory into partitions, so both must be positive and bounded.
+const urlChecks = {
+  mode: isOneOf(modes.map((m) => m.value)),
+  memory: isIntegerIn(10, 10000),
+  partition: (value, decoded) => isIntegerIn(1, decoded.memory)(value),
+  size: isIntegerIn(1, Infinity),
+  segments: (value) =>
+    value.every((seg) => typeof seg === 'object' && Number.isFinite(seg?.size) && seg.size >= 0),
+  pid: isIntegerIn(1, Infinity),
+};
+
+const MftMvt = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [mode, setMode] = useState(restored.mode);
+  const [memorySize, setMemorySize] = useState(restored.memory);
+  const [partitionSize, setPartitionSize] = useState(restored.partition);
+  const [processSize, setProcessSize] = useState(restored.size);
+  const [segments, setSegments] = useState(() =>
+    restored.segments.length ? restored.segments : buildMft(restored.memory, restored.partition),
+  );
+  const [pidCounter, setPidCounter] = useState(restored.pid);
   const [flashIds, setFlashIds] = useState([]);
   const [log, setLog] = useState(['Initialized MFT with 4 partitions of size 50.']);
   const [freeTarget, setFreeTarget] = useState(null);
 
-  useEffect(() => {
-    const nextSegments =
-      mode === 'mft' ? buildMft(memorySize, partitionSize) : buildMvt(memorySize);
-    setSegments(nextSegments);
+  useUrlState(
+    {
+      mode,
+      memory: memorySize,
+      partition: partitionSize,
+      size: processSize,
+      segments,
+      pid: pidCounter,
+    },
+    onUrlStateChange,
+  );
+
+  // Changing the mode or sizes rebuilds the layout; done in the handlers rather than an effect
+  // so a layout restored from the URL survives the first render.
+  const resetLayout = (nextMode, nextMemory, nextPartition) => {
+    setMode(nextMode);
+    setMemorySize(nextMemory);
+    setPartitionSize(nextPartition);
+    setSegments(nextMode === 'mft' ? buildMft(nextMemory, nextPartition) : buildMvt(nextMemory));
     setPidCounter(1);
     setFreeTarget(null);
     setLog([
-      mode === 'mft'
-        ? `Reset to MFT: memory ${memorySize}, partition size ${partitionSize}.`
-        : `Reset to MVT: memory ${memorySize}.`,
+      nextMode === 'mft'
+        ? `Reset to MFT: memory ${nextMemory}, partition size ${nextPartition}.`
+        : `Reset to MVT: memory ${nextMemory}.`,
     ]);
     setFlashIds([]);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mode, memorySize, partitionSize]);
+  };
 
   useEffect(() => {
     if (flashIds.length) {
@@ -170,7 +208,10 @@ const MftMvt = () => {
             <div className="scheduler-form">
               <label>
                 Mode
-                <select value={mode} onChange={(event) => setMode(event.target.value)}>
+                <select
+                  value={mode}
+                  onChange={(event) => resetLayout(event.target.value, memorySize, partitionSize)}
+                >
                   {modes.map((m) => (
                     <option key={m.value} value={m.value}>
                       {m.label}
@@ -184,7 +225,7 @@ const MftMvt = () => {
                   type="number"
                   min="10"
                   value={memorySize}
-                  onChange={(event) => setMemorySize(Number(event.target.value))}
+                  onChange={(event) => resetLayout(mode, Number(event.target.value), partitionSize)}
                 />
               </label>
               {mode === 'mft' && (
@@ -194,7 +235,7 @@ const MftMvt = () => {
                     type="number"
                     min="1"
                     value={partitionSize}
-                    onChange={(event) => setPartitionSize(Number(event.target.value))}
+                    onChange={(event) => resetLayout(mode, memorySize, Number(event.target.value))}
                   />
                 </label>
               )}
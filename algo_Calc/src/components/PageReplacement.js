@@ -1,24 +1,30 @@
 import { useEffect, useMemo, useState } from 'react';
-
-const algorithmOptions = [
-  { value: 'fifo', label: 'FIFO' },
-  { value: 'lru', label: 'LRU' },
-  { value: 'mru', label: 'MRU' },
-  { value: 'clock', label: 'CLOCK' },
-  { value: 'wsclock', label: 'WSClock (window=4)' },
-  { value: 'opt', label: 'Optimal (OPT)' },
-];
+import { detectBelady, pageAlgorithmOptions, parseReference, simulatePaging } from '../engine';
+import { decodeState, isIntegerIn, isOneOf, useUrlState } from '../urlState';
 
 const defaultRef = '7 0 1 2 0 3 0 4 2 3 0 3 2';
 
-const PageReplacement = () => {
-  const [referenceInput, setReferenceInput] = useState(defaultRef);
-  const [framesCount, setFramesCount] = useState(3);
-  const [selectedAlgorithm, setSelectedAlgorithm] = useState('fifo');
+const urlDefaults = { refs: defaultRef, frames: 3, alg: 'fifo' };
+
+const urlChecks = {
+  frames: isIntegerIn(1, 10),
+  alg: isOneOf(pageAlgorithmOptions.map((alg) => alg.value)),
+};
+
+const PageReplacement = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [referenceInput, setReferenceInput] = useState(restored.refs);
+  const [framesCount, setFramesCount] = useState(restored.frames);
+  const [selectedAlgorithm, setSelectedAlgorithm] = useState(restored.alg);
   const [results, setResults] = useState(null);
   const [stepIndex, setStepIndex] = useState(0);
   const [autoPlay, setAutoPlay] = useState(false);
 
+  useUrlState(
+    { refs: referenceInput, frames: framesCount, alg: selectedAlgorithm },
+    onUrlStateChange,
+  );
+
   const referenceString = useMemo(() => parseReference(referenceInput), [referenceInput]);
 
   useEffect(() => {
@@ -44,7 +50,7 @@ const PageReplacement = () => {
     if (!framesCount || framesCount <= 0) {
       return;
     }
-    const sim = simulate(selectedAlgorithm, framesCount, referenceString);
+    const sim = simulatePaging(selectedAlgorithm, framesCount, referenceString);
     const belady = detectBelady(referenceString, framesCount);
     setResults({ ...sim, belady });
     setStepIndex(0);
@@ -92,7 +98,7 @@ const PageReplacement = () => {
                   value={selectedAlgorithm}
                   onChange={(event) => setSelectedAlgorithm(event.target.value)}
                 >
-                  {algorithmOptions.map((alg) => (
+                  {pageAlgorithmOptions.map((alg) => (
                     <option key={alg.value} value={alg.value}>
                       {alg.label}
                     </option>
@@ -232,176 +238,4 @@ const PageReplacement = () => {
   );
 };
 
-const parseReference = (input) =>
-  input
-    .split(/[\s,]+/)
-    .map((token) => token.trim())
-    .filter(Boolean)
-    .map((token) => Number(token))
-    .filter((num) => Number.isFinite(num));
-
-const simulate = (algorithm, framesCount, refs) => {
-  const frames = Array(framesCount).fill(null);
-  const timeline = [];
-  let pointer = 0;
-  let hits = 0;
-  let faults = 0;
-  const meta = frames.map(() => ({ ref: 0, lastUsed: -1 }));
-
-  const now = () => timeline.length;
-
-  refs.forEach((page, index) => {
-    const hitIndex = frames.indexOf(page);
-    let replacedIndex = -1;
-    let fault = hitIndex === -1;
-
-    if (!fault) {
-      hits += 1;
-      meta[hitIndex].ref = 1;
-      meta[hitIndex].lastUsed = now();
-    } else {
-      faults += 1;
-      switch (algorithm) {
-        case 'fifo': {
-          replacedIndex = findFifo(frames, pointer);
-          pointer = (replacedIndex + 1) % frames.length;
-          break;
-        }
-        case 'lru': {
-          replacedIndex = findLRU(frames, meta);
-          break;
-        }
-        case 'mru': {
-          replacedIndex = findMRU(frames, meta);
-          break;
-        }
-        case 'clock': {
-          const result = findClock(frames, meta, pointer);
-          replacedIndex = result.index;
-          pointer = result.nextPointer;
-          break;
-        }
-        case 'wsclock': {
-          const result = findWSClock(frames, meta, pointer, now());
-          replacedIndex = result.index;
-          pointer = result.nextPointer;
-          break;
-        }
-        case 'opt': {
-          replacedIndex = findOPT(frames, refs, index + 1);
-          break;
-        }
-        default:
-          replacedIndex = findFifo(frames, pointer);
-          pointer = (replacedIndex + 1) % frames.length;
-      }
-
-      frames[replacedIndex] = page;
-      meta[replacedIndex] = { ref: 1, lastUsed: now() };
-    }
-
-    timeline.push({
-      index,
-      page,
-      frames: [...frames],
-      fault,
-      replacedIndex,
-    });
-  });
-
-  return { timeline, hits, faults, references: refs.length };
-};
-
-const findFifo = (frames, pointer) => {
-  const empty = frames.indexOf(null);
-  if (empty !== -1) return empty;
-  return pointer;
-};
-
-const findLRU = (frames, meta) => {
-  const empty = frames.indexOf(null);
-  if (empty !== -1) return empty;
-  let oldest = 0;
-  let idx = 0;
-  meta.forEach((info, i) => {
-    if (info.lastUsed < oldest || i === 0) {
-      oldest = info.lastUsed;
-      idx = i;
-    }
-  });
-  return idx;
-};
-
-const findMRU = (frames, meta) => {
-  const empty = frames.indexOf(null);
-  if (empty !== -1) return empty;
-  let newest = -Infinity;
-  let idx = 0;
-  meta.forEach((info, i) => {
-    if (info.lastUsed > newest) {
-      newest = info.lastUsed;
-      idx = i;
-    }
-  });
-  return idx;
-};
-
-const findClock = (frames, meta, pointer) => {
-  let p = pointer;
-  while (true) {
-    if (frames[p] === null) {
-      return { index: p, nextPointer: (p + 1) % frames.length };
-    }
-    if (meta[p].ref === 0) {
-      return { index: p, nextPointer: (p + 1) % frames.length };
-    }
-    meta[p].ref = 0;
-    p = (p + 1) % frames.length;
-  }
-};
-
-const findWSClock = (frames, meta, pointer, currentTime) => {
-  const tau = 4;
-  let p = pointer;
-  while (true) {
-    if (frames[p] === null) {
-      return { index: p, nextPointer: (p + 1) % frames.length };
-    }
-    if (meta[p].ref === 1) {
-      meta[p].ref = 0;
-      meta[p].lastUsed = currentTime;
-    } else if (currentTime - meta[p].lastUsed > tau) {
-      return { index: p, nextPointer: (p + 1) % frames.length };
-    }
-    p = (p + 1) % frames.length;
-  }
-};
-
-const findOPT = (frames, refs, startIndex) => {
-  const empty = frames.indexOf(null);
-  if (empty !== -1) return empty;
-  let farthest = -1;
-  let idx = 0;
-  frames.forEach((page, i) => {
-    const nextUse = refs.indexOf(page, startIndex);
-    if (nextUse === -1) {
-      idx = i;
-      farthest = Infinity;
-    } else if (nextUse > farthest) {
-      farthest = nextUse;
-      idx = i;
-    }
-  });
-  return idx;
-};
-
-const detectBelady = (refs, frames) => {
-  const base = simulate('fifo', frames, refs);
-  const larger = simulate('fifo', frames + 1, refs);
-  if (larger.faults > base.faults) {
-    return { smaller: base.faults, larger: larger.faults };
-  }
-  return null;
-};
-
 export default PageReplacement;
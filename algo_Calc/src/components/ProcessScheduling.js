@@ -1,14 +1,24 @@
-import { useState } from 'react';
-
-const algorithmOptions = [
-  { value: 'fcfs', label: 'First-Come, First-Served (FCFS)' },
-  { value: 'sjfNonPreemptive', label: 'Shortest Job First (Non-Preemptive)' },
-  { value: 'sjfPreemptive', label: 'Shortest Job First (Preemptive)' },
-  { value: 'priorityNonPreemptive', label: 'Priority Scheduling (Non-Preemptive)' },
-  { value: 'priorityPreemptive', label: 'Priority Scheduling (Preemptive)' },
-  { value: 'roundRobin', label: 'Round Robin' },
-  { value: 'mlfq', label: 'Multi-Level Feedback Queue (MLFQ)' },
-];
+import { useEffect, useMemo, useState } from 'react';
+import {
+  algorithmOptions,
+  buildExport,
+  buildProcess,
+  comparisonMetrics,
+  defaultSettings,
+  formatBursts,
+  generateWorkload,
+  isBestValue,
+  parseWorkload,
+  rankComparison,
+  roundTime,
+  runStrategy,
+  schedulingStrategies,
+  sweepQuantum,
+  workloadToCsv,
+} from '../engine';
+import { decodeState, isOneOf, useUrlState } from '../urlState';
+
+const quantumAlgorithms = ['roundRobin', 'lottery', 'stride'];
 
 const initialProcesses = [
   { id: 1, name: 'P1', arrival: 0, burst: 4, priority: 2 },
@@ -16,17 +26,135 @@ const initialProcesses = [
   { id: 3, name: 'P3', arrival: 2, burst: 5, priority: 3 },
 ];
 
-const defaultForm = { name: '', arrival: '', burst: '', priority: '1' };
-const defaultSettings = { rrQuantum: '2', mlfqLevels: '2,4,8' };
+const defaultForm = {
+  name: '',
+  arrival: '',
+  burst: '',
+  priority: '1',
+  bursts: '',
+  period: '',
+  deadline: '',
+  tickets: '',
+  affinity: '',
+};
+
+const defaultGenerator = {
+  count: '12',
+  seed: '450',
+  arrivalRate: '0.5',
+  distribution: 'exponential',
+  burstMean: '5',
+  burstMin: '1',
+  burstMax: '10',
+  shortMean: '2',
+  longMean: '12',
+  longShare: '0.2',
+  priorityMin: '1',
+  priorityMax: '5',
+};
+
+const burstDistributions = [
+  { value: 'exponential', label: 'Exponential' },
+  { value: 'uniform', label: 'Uniform' },
+  { value: 'bimodal', label: 'Bimodal (short / long mix)' },
+];
+
+const coreQueueOptions = [
+  { value: 'global', label: 'Global ready queue' },
+  { value: 'balance', label: 'Per-core queues, balance on enqueue' },
+  { value: 'steal', label: 'Per-core queues, work stealing' },
+];
+
+// `show` lists the result panels that were open so a shared link re-runs them on load.
+const urlDefaults = {
+  processes: initialProcesses,
+  settings: defaultSettings,
+  alg: 'fcfs',
+  rank: 'averageWaiting',
+  generator: defaultGenerator,
+  show: [],
+};
+
+// A shared link can hold anything, and `show` runs the scheduler as soon as the view opens, so
+// each process row must pass the same checks as the add form, and settings must have the keys
+// and value types the form edits.
+const isProcessRow = (row) => {
+  if (typeof row !== 'object' || row === null || !Number.isFinite(row.id)) return false;
+  try {
+    buildProcess(row, row.name);
+    return true;
+  } catch {
+    return false;
+  }
+};
 
-const ProcessScheduling = () => {
-  const [processes, setProcesses] = useState(initialProcesses);
+const hasShapeOf = (defaults) => (value) =>
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.entries(value).every(
+    ([key, field]) => key in defaults && typeof field === typeof defaults[key],
+  );
+
+const urlChecks = {
+  processes: (value) =>
+    value.every(isProcessRow) && new Set(value.map((row) => row.id)).size === value.length,
+  settings: (value) =>
+    hasShapeOf(defaultSettings)(value) &&
+    [undefined, ...coreQueueOptions.map((option) => option.value)].includes(value.coreQueues),
+  alg: isOneOf(algorithmOptions.map((option) => option.value)),
+  rank: isOneOf(comparisonMetrics.map((metric) => metric.key)),
+  generator: hasShapeOf(defaultGenerator),
+  show: (value) => value.every(isOneOf(['run', 'compare', 'sweep'])),
+};
+
+const ProcessScheduling = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [processes, setProcesses] = useState(restored.processes);
   const [formData, setFormData] = useState(defaultForm);
-  const [settings, setSettings] = useState(defaultSettings);
-  const [selectedAlgorithm, setSelectedAlgorithm] = useState('fcfs');
+  const [settings, setSettings] = useState({ ...defaultSettings, ...restored.settings });
+  const [selectedAlgorithm, setSelectedAlgorithm] = useState(restored.alg);
   const [results, setResults] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [sweep, setSweep] = useState(null);
+  const [rankBy, setRankBy] = useState(restored.rank);
   const [formError, setFormError] = useState('');
   const [runError, setRunError] = useState('');
+  const [importText, setImportText] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+  const [generator, setGenerator] = useState({ ...defaultGenerator, ...restored.generator });
+  const [generatorError, setGeneratorError] = useState('');
+  const [playbackMode, setPlaybackMode] = useState('event');
+  const [stepIndex, setStepIndex] = useState(0);
+  const [autoPlay, setAutoPlay] = useState(false);
+
+  const frames = useMemo(() => {
+    if (!results) {
+      return [];
+    }
+    return playbackMode === 'tick'
+      ? buildTickFrames(results.trace)
+      : results.trace.map((entry) => ({ ...entry, messages: [entry.message] }));
+  }, [results, playbackMode]);
+  const currentFrame = frames[stepIndex];
+
+  useEffect(() => {
+    let timer;
+    if (autoPlay && frames.length) {
+      timer = setInterval(() => {
+        setStepIndex((prev) => {
+          const next = prev + 1;
+          if (next >= frames.length) {
+            setAutoPlay(false);
+            return prev;
+          }
+          return next;
+        });
+      }, 700);
+    }
+    return () => {
+      if (timer) clearInterval(timer);
+    };
+  }, [autoPlay, frames]);
 
   const processCount = processes.length;
   const algorithmLabel =
@@ -38,9 +166,11 @@ const ProcessScheduling = () => {
   };
 
   const handleSettingsChange = (event) => {
-    const { name, value } = event.target;
-    setSettings((prev) => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = event.target;
+    setSettings((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
     setResults(null);
+    setComparison(null);
+    setSweep(null);
     setRunError('');
   };
 
@@ -49,37 +179,91 @@ const ProcessScheduling = () => {
     setFormError('');
     setRunError('');
 
-    const arrival = Number(formData.arrival);
-    const burst = Number(formData.burst);
-    const priority = Number(formData.priority || 1);
-
-    if ([arrival, burst, priority].some((value) => Number.isNaN(value))) {
-      setFormError('Arrival, burst, and priority must be numeric values.');
+    let newProcess;
+    try {
+      newProcess = { id: Date.now(), ...buildProcess(formData, `P${processCount + 1}`) };
+    } catch (error) {
+      setFormError(error.message);
       return;
     }
 
-    if (burst <= 0) {
-      setFormError('Burst time must be greater than zero.');
+    setProcesses((prev) => [...prev, newProcess]);
+    setFormData(defaultForm);
+    setResults(null);
+    setComparison(null);
+    setSweep(null);
+  };
+
+  const applyImport = (mode) => {
+    setImportErrors([]);
+    const { processes: imported, errors } = parseWorkload(importText, processCount);
+    if (errors.length) {
+      setImportErrors(errors);
+      return;
+    }
+    if (!imported.length) {
+      setImportErrors(['Nothing to import. Paste CSV rows or a JSON array of processes.']);
       return;
     }
 
-    const name = formData.name.trim() || `P${processCount + 1}`;
-    const newProcess = {
-      id: Date.now(),
-      name,
-      arrival,
-      burst,
-      priority,
-    };
-
-    setProcesses((prev) => [...prev, newProcess]);
-    setFormData(defaultForm);
+    const stamp = Date.now();
+    const withIds = imported.map((process, index) => ({ id: stamp + index, ...process }));
+    setProcesses((prev) => (mode === 'append' ? [...prev, ...withIds] : withIds));
+    setImportText('');
     setResults(null);
+    setComparison(null);
+    setSweep(null);
+    setRunError('');
+  };
+
+  const handleImportFile = (event) => {
+    const [file] = event.target.files;
+    if (file) {
+      file.text().then(setImportText);
+    }
+    event.target.value = '';
+  };
+
+  const handleExport = (format) => {
+    const content =
+      format === 'json'
+        ? JSON.stringify(buildExport(processes, results, settings), null, 2)
+        : workloadToCsv(processes, results);
+    downloadFile(
+      `scheduling-workload.${format}`,
+      content,
+      format === 'json' ? 'application/json' : 'text/csv',
+    );
+  };
+
+  const handleGeneratorChange = (event) => {
+    const { name, value } = event.target;
+    setGenerator((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleGenerate = () => {
+    setGeneratorError('');
+    try {
+      const stamp = Date.now();
+      const generated = generateWorkload(generator).map((process, index) => ({
+        id: stamp + index,
+        ...process,
+      }));
+      setProcesses(generated);
+      setResults(null);
+      setComparison(null);
+      setSweep(null);
+      setRunError('');
+    } catch (error) {
+      setGeneratorError(error.message);
+    }
   };
 
   const handleRemoveProcess = (id) => {
     setProcesses((prev) => prev.filter((process) => process.id !== id));
     setResults(null);
+    setComparison(null);
+    setSweep(null);
     setRunError('');
   };
 
@@ -88,6 +272,8 @@ const ProcessScheduling = () => {
     setFormData(defaultForm);
     setSettings(defaultSettings);
     setResults(null);
+    setComparison(null);
+    setSweep(null);
     setFormError('');
     setRunError('');
     setSelectedAlgorithm('fcfs');
@@ -113,36 +299,75 @@ const ProcessScheduling = () => {
     }
 
     try {
-      const schedule = strategy(processes, settings);
-      const orderedSchedule = [...schedule].sort((a, b) => {
-        if (a.startTime === b.startTime) {
-          if (a.arrival === b.arrival) {
-            return a.id - b.id;
-          }
-          return a.arrival - b.arrival;
-        }
-        return a.startTime - b.startTime;
-      });
-
-      const { averageWaiting, averageTurnaround } = computeAverages(orderedSchedule);
       setResults({
-        schedule: orderedSchedule,
-        averageWaiting,
-        averageTurnaround,
+        ...runStrategy(strategy, processes, settings),
         algorithmLabel,
+        algorithmKey: selectedAlgorithm,
       });
+      setStepIndex(0);
+      setAutoPlay(false);
     } catch (error) {
       setRunError(error.message || 'Unable to execute the selected algorithm.');
       setResults(null);
     }
   };
 
+  const runComparison = () => {
+    setRunError('');
+    if (!processes.length) {
+      setComparison(null);
+      return;
+    }
+
+    const rows = algorithmOptions.map((option) => {
+      try {
+        const run = runStrategy(schedulingStrategies[option.value], processes, settings);
+        return { ...run, value: option.value, label: option.label, error: '' };
+      } catch (error) {
+        return { value: option.value, label: option.label, error: error.message || 'Run failed.' };
+      }
+    });
+    setComparison(rows);
+  };
+
+  const runSweep = () => {
+    setRunError('');
+    try {
+      setSweep(sweepQuantum(processes, settings));
+    } catch (error) {
+      setRunError(error.message || 'Unable to sweep the time quantum.');
+      setSweep(null);
+    }
+  };
+
+  useUrlState(
+    {
+      processes,
+      settings,
+      alg: selectedAlgorithm,
+      rank: rankBy,
+      generator,
+      show: [results && 'run', comparison && 'compare', sweep && 'sweep'].filter(Boolean),
+    },
+    onUrlStateChange,
+  );
+
+  useEffect(() => {
+    if (restored.show.includes('run')) runSelectedAlgorithm();
+    if (restored.show.includes('compare')) runComparison();
+    if (restored.show.includes('sweep')) runSweep();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const rankedComparison = comparison ? rankComparison(comparison, rankBy) : [];
+
   return (
     <section id="process-scheduling" className="content-section">
       <h2>Process Scheduling</h2>
       <p>
         Compare CPU scheduling strategies by entering process metadata, selecting an algorithm, and
-        reviewing the resulting waiting and turnaround times. Lower priority numbers indicate higher priority.
+        reviewing the resulting waiting, turnaround, and response times. Lower priority numbers
+        indicate higher priority.
       </p>
 
       <div className="section-card scheduler-grid">
@@ -181,7 +406,7 @@ const ProcessScheduling = () => {
                   min="0"
                   value={formData.burst}
                   onChange={handleInputChange}
-                  required
+                  required={!formData.bursts.trim()}
                 />
               </label>
               <label>
@@ -194,7 +419,66 @@ const ProcessScheduling = () => {
                   onChange={handleInputChange}
                 />
               </label>
+              <label>
+                Period (real-time)
+                <input
+                  name="period"
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  placeholder="aperiodic"
+                  value={formData.period}
+                  onChange={handleInputChange}
+                />
+              </label>
+              <label>
+                Relative Deadline
+                <input
+                  name="deadline"
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  placeholder="= period"
+                  value={formData.deadline}
+                  onChange={handleInputChange}
+                />
+              </label>
+              <label>
+                Tickets
+                <input
+                  name="tickets"
+                  type="number"
+                  step="1"
+                  min="1"
+                  placeholder="100"
+                  value={formData.tickets}
+                  onChange={handleInputChange}
+                />
+              </label>
+              <label>
+                Core Affinity
+                <input
+                  name="affinity"
+                  type="text"
+                  placeholder="any core"
+                  value={formData.affinity}
+                  onChange={handleInputChange}
+                />
+              </label>
             </div>
+            <label>
+              CPU / I/O Bursts (optional)
+              <input
+                name="bursts"
+                type="text"
+                placeholder="e.g. CPU 4, IO 3, CPU 2"
+                value={formData.bursts}
+                onChange={handleInputChange}
+              />
+              <span className="helper-text">
+                Alternating CPU and I/O bursts; overrides Burst Time with the total CPU demand.
+              </span>
+            </label>
             {formError && <p className="form-error">{formError}</p>}
             <div className="button-row">
               <button type="submit" className="btn primary">
@@ -205,6 +489,210 @@ const ProcessScheduling = () => {
               </button>
             </div>
           </form>
+
+          <div className="scheduler-form import-panel">
+            <h4>Import / Export</h4>
+            <label>
+              Paste CSV or JSON
+              <textarea
+                rows={4}
+                placeholder={'name,arrival,burst,priority\nP1,0,4,2\nP2,1,3,1'}
+                value={importText}
+                onChange={(event) => setImportText(event.target.value)}
+              />
+              <span className="helper-text">
+                Optional columns: bursts, period, deadline, tickets, affinity. Quote lists such as
+                &quot;CPU 4, IO 3, CPU 2&quot;.
+              </span>
+            </label>
+            <label>
+              Or load a file
+              <input type="file" accept=".csv,.json,.txt" onChange={handleImportFile} />
+            </label>
+            {importErrors.length > 0 && (
+              <ul className="form-error">
+                {importErrors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+            <div className="button-row">
+              <button type="button" className="btn primary" onClick={() => applyImport('replace')}>
+                Replace Table
+              </button>
+              <button type="button" className="btn secondary" onClick={() => applyImport('append')}>
+                Append Rows
+              </button>
+              <button type="button" className="btn ghost" onClick={() => handleExport('csv')}>
+                Export CSV
+              </button>
+              <button type="button" className="btn ghost" onClick={() => handleExport('json')}>
+                Export JSON
+              </button>
+            </div>
+          </div>
+
+          <div className="scheduler-form import-panel">
+            <h4>Random Workload</h4>
+            <div className="form-row">
+              <label>
+                Processes
+                <input
+                  name="count"
+                  type="number"
+                  min="1"
+                  max="200"
+                  value={generator.count}
+                  onChange={handleGeneratorChange}
+                />
+              </label>
+              <label>
+                Seed
+                <input
+                  name="seed"
+                  type="text"
+                  value={generator.seed}
+                  onChange={handleGeneratorChange}
+                />
+              </label>
+              <label>
+                Arrival Rate (λ)
+                <input
+                  name="arrivalRate"
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={generator.arrivalRate}
+                  onChange={handleGeneratorChange}
+                />
+              </label>
+            </div>
+            <div className="form-row">
+              <label>
+                Burst Distribution
+                <select
+                  name="distribution"
+                  value={generator.distribution}
+                  onChange={handleGeneratorChange}
+                >
+                  {burstDistributions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {generator.distribution === 'exponential' && (
+                <label>
+                  Mean Burst
+                  <input
+                    name="burstMean"
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={generator.burstMean}
+                    onChange={handleGeneratorChange}
+                  />
+                </label>
+              )}
+              {generator.distribution === 'uniform' && (
+                <>
+                  <label>
+                    Min Burst
+                    <input
+                      name="burstMin"
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={generator.burstMin}
+                      onChange={handleGeneratorChange}
+                    />
+                  </label>
+                  <label>
+                    Max Burst
+                    <input
+                      name="burstMax"
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={generator.burstMax}
+                      onChange={handleGeneratorChange}
+                    />
+                  </label>
+                </>
+              )}
+              {generator.distribution === 'bimodal' && (
+                <>
+                  <label>
+                    Short Mean
+                    <input
+                      name="shortMean"
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={generator.shortMean}
+                      onChange={handleGeneratorChange}
+                    />
+                  </label>
+                  <label>
+                    Long Mean
+                    <input
+                      name="longMean"
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={generator.longMean}
+                      onChange={handleGeneratorChange}
+                    />
+                  </label>
+                  <label>
+                    Long Share
+                    <input
+                      name="longShare"
+                      type="number"
+                      step="0.05"
+                      min="0"
+                      max="1"
+                      value={generator.longShare}
+                      onChange={handleGeneratorChange}
+                    />
+                  </label>
+                </>
+              )}
+            </div>
+            <div className="form-row">
+              <label>
+                Priority Min
+                <input
+                  name="priorityMin"
+                  type="number"
+                  step="1"
+                  value={generator.priorityMin}
+                  onChange={handleGeneratorChange}
+                />
+              </label>
+              <label>
+                Priority Max
+                <input
+                  name="priorityMax"
+                  type="number"
+                  step="1"
+                  value={generator.priorityMax}
+                  onChange={handleGeneratorChange}
+                />
+              </label>
+            </div>
+            <span className="helper-text">
+              Inter-arrival gaps are exponential with rate λ (a Poisson process). The same seed and
+              settings always produce the same table.
+            </span>
+            {generatorError && <p className="form-error">{generatorError}</p>}
+            <div className="button-row">
+              <button type="button" className="btn primary" onClick={handleGenerate}>
+                Generate (replaces table)
+              </button>
+            </div>
+          </div>
         </div>
 
         <div>
@@ -220,6 +708,9 @@ const ProcessScheduling = () => {
                     <th>Arrival</th>
                     <th>Burst</th>
                     <th>Priority</th>
+                    <th>Period / Deadline</th>
+                    <th>Tickets</th>
+                    <th>Affinity</th>
                     <th />
                   </tr>
                 </thead>
@@ -228,8 +719,18 @@ const ProcessScheduling = () => {
                     <tr key={process.id}>
                       <td>{process.name}</td>
                       <td>{process.arrival}</td>
-                      <td>{process.burst}</td>
+                      <td>
+                        {process.burst}
+                        {process.bursts && (
+                          <span className="helper-text">{formatBursts(process.bursts)}</span>
+                        )}
+                      </td>
                       <td>{process.priority}</td>
+                      <td>
+                        {process.period ?? '—'} / {process.deadline ?? process.period ?? '—'}
+                      </td>
+                      <td>{process.tickets ?? 100}</td>
+                      <td>{process.affinity ? process.affinity.join(', ') : 'any'}</td>
                       <td>
                         <button
                           type="button"
@@ -259,7 +760,52 @@ const ProcessScheduling = () => {
               </select>
             </label>
 
-            {selectedAlgorithm === 'roundRobin' && (
+            <label>
+              Context Switch Cost
+              <input
+                name="contextSwitch"
+                type="number"
+                step="0.1"
+                min="0"
+                value={settings.contextSwitch}
+                onChange={handleSettingsChange}
+              />
+              <span className="helper-text">
+                Charged whenever the CPU loads a different process.
+              </span>
+            </label>
+
+            <label>
+              Cores
+              <input
+                name="cores"
+                type="number"
+                step="1"
+                min="1"
+                max="16"
+                value={settings.cores}
+                onChange={handleSettingsChange}
+              />
+            </label>
+
+            {Number(settings.cores) > 1 && (
+              <label>
+                Ready Queues
+                <select
+                  name="coreQueues"
+                  value={settings.coreQueues}
+                  onChange={handleSettingsChange}
+                >
+                  {coreQueueOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {quantumAlgorithms.includes(selectedAlgorithm) && (
               <label>
                 Time Quantum
                 <input
@@ -273,6 +819,39 @@ const ProcessScheduling = () => {
               </label>
             )}
 
+            {selectedAlgorithm === 'roundRobin' && (
+              <label>
+                Sweep Quanta (from / to / step)
+                <div className="form-row">
+                  {['sweepFrom', 'sweepTo', 'sweepStep'].map((name) => (
+                    <input
+                      key={name}
+                      name={name}
+                      type="number"
+                      step="0.1"
+                      min="0.1"
+                      value={settings[name]}
+                      onChange={handleSettingsChange}
+                      aria-label={name}
+                    />
+                  ))}
+                </div>
+              </label>
+            )}
+
+            {selectedAlgorithm === 'lottery' && (
+              <label>
+                Lottery Seed
+                <input
+                  name="lotterySeed"
+                  type="text"
+                  value={settings.lotterySeed}
+                  onChange={handleSettingsChange}
+                />
+                <span className="helper-text">The same seed always draws the same winners.</span>
+              </label>
+            )}
+
             {selectedAlgorithm === 'mlfq' && (
               <label>
                 Queue Quantums
@@ -286,25 +865,147 @@ const ProcessScheduling = () => {
                 <span className="helper-text">Comma-separated time slices for successive queues.</span>
               </label>
             )}
+
+            {selectedAlgorithm === 'mlfq' && (
+              <>
+                <label>
+                  Level Policies
+                  <input
+                    name="mlfqPolicies"
+                    type="text"
+                    value={settings.mlfqPolicies}
+                    onChange={handleSettingsChange}
+                    placeholder="e.g. RR,RR,RR,FCFS"
+                  />
+                  <span className="helper-text">
+                    RR or FCFS per level, including the bottom queue (default: RR above, FCFS at the
+                    bottom). A bottom RR queue reuses the last quantum.
+                  </span>
+                </label>
+                <label>
+                  Priority Boost Period
+                  <input
+                    name="mlfqBoost"
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    placeholder="off"
+                    value={settings.mlfqBoost}
+                    onChange={handleSettingsChange}
+                  />
+                  <span className="helper-text">
+                    Every S units, move every job back to the top queue.
+                  </span>
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    name="mlfqPreempt"
+                    type="checkbox"
+                    checked={settings.mlfqPreempt}
+                    onChange={handleSettingsChange}
+                  />
+                  Preempt lower levels when a higher-level job becomes ready
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    name="mlfqAccounting"
+                    type="checkbox"
+                    checked={settings.mlfqAccounting}
+                    onChange={handleSettingsChange}
+                  />
+                  Gaming-resistant accounting (demote once the level allotment is used, even across
+                  I/O)
+                </label>
+              </>
+            )}
           </div>
 
           {selectedAlgorithm.includes('priority') && (
             <p className="muted-text helper-text">Lower numbers represent higher priority.</p>
           )}
 
+          <div className="algorithm-controls">
+            {selectedAlgorithm.includes('priority') && (
+              <label>
+                Aging Interval
+                <input
+                  name="agingInterval"
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  placeholder="off"
+                  value={settings.agingInterval}
+                  onChange={handleSettingsChange}
+                />
+                <span className="helper-text">
+                  Raise priority by 1 for every N units a process waits in the ready queue.
+                </span>
+              </label>
+            )}
+            <label>
+              Starvation Threshold
+              <input
+                name="starvationThreshold"
+                type="number"
+                step="0.1"
+                min="0"
+                placeholder="off"
+                value={settings.starvationThreshold}
+                onChange={handleSettingsChange}
+              />
+              <span className="helper-text">
+                Flag processes whose waiting time exceeds this value.
+              </span>
+            </label>
+          </div>
+
           {runError && <p className="form-error">{runError}</p>}
 
-          <button
-            type="button"
-            className="btn primary"
-            onClick={runSelectedAlgorithm}
-            disabled={processCount === 0}
-          >
-            Run {algorithmLabel}
-          </button>
+          <div className="button-row">
+            <button
+              type="button"
+              className="btn primary"
+              onClick={runSelectedAlgorithm}
+              disabled={processCount === 0}
+            >
+              Run {algorithmLabel}
+            </button>
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={runComparison}
+              disabled={processCount === 0}
+            >
+              Compare All
+            </button>
+            {selectedAlgorithm === 'roundRobin' && (
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={runSweep}
+                disabled={processCount === 0}
+              >
+                Sweep Quantum
+              </button>
+            )}
+          </div>
         </div>
       </div>
 
+      {sweep && (
+        <div className="section-card scheduler-results">
+          <h3>Round Robin Quantum Sweep</h3>
+          <p className="muted-text">
+            {sweep.degenerateAt !== null
+              ? `From q = ${sweep.degenerateAt} on, RR produces the same schedule as FCFS (largest CPU burst: ${sweep.maxBurst}).`
+              : `RR never matched FCFS in this range (largest CPU burst: ${sweep.maxBurst}).`}{' '}
+            Average turnaround is lowest at q = {sweep.best.quantum} (
+            {sweep.best.averageTurnaround.toFixed(2)} units).
+          </p>
+          <SweepChart sweep={sweep} />
+        </div>
+      )}
+
       {results && (
         <div className="section-card scheduler-results">
           <h3>{results.algorithmLabel}</h3>
@@ -317,35 +1018,135 @@ const ProcessScheduling = () => {
               <p className="summary-label">Average Turnaround Time</p>
               <p className="summary-value">{results.averageTurnaround.toFixed(2)} units</p>
             </div>
+            <div>
+              <p className="summary-label">Average Response Time</p>
+              <p className="summary-value">{results.averageResponse.toFixed(2)} units</p>
+            </div>
+            <div>
+              <p className="summary-label">Throughput</p>
+              <p className="summary-value">{formatMetric('throughput', results.throughput)}</p>
+            </div>
+            <div>
+              <p className="summary-label">CPU Utilization</p>
+              <p className="summary-value">
+                {formatMetric('cpuUtilization', results.cpuUtilization)}
+              </p>
+            </div>
+            <div>
+              <p className="summary-label">Max Waiting Time</p>
+              <p className="summary-value">{results.maxWaiting.toFixed(2)} units</p>
+            </div>
+            <div>
+              <p className="summary-label">Waiting Std. Dev. (fairness)</p>
+              <p className="summary-value">{results.waitingStdDev.toFixed(2)} units</p>
+            </div>
+            <div>
+              <p className="summary-label">Context Switches</p>
+              <p className="summary-value">
+                {results.contextSwitches} ({results.switchOverhead.toFixed(2)} units lost)
+              </p>
+            </div>
+            {results.cores > 1 && (
+              <>
+                <div>
+                  <p className="summary-label">Per-Core Utilization</p>
+                  <p className="summary-value">
+                    {results.coreUtilization
+                      .map(({ core, utilization }) => `C${core} ${(utilization * 100).toFixed(0)}%`)
+                      .join(' · ')}
+                  </p>
+                </div>
+                <div>
+                  <p className="summary-label">Migrations</p>
+                  <p className="summary-value">
+                    {results.migrations}
+                    {results.steals > 0 && ` (${results.steals} stolen)`}
+                  </p>
+                </div>
+              </>
+            )}
           </div>
 
-          <div className="gantt">
-            <div className="stat-label">Gantt Chart</div>
-            <div className="gantt-track">
-              {(() => {
-                const minStart = Math.min(...results.schedule.map((proc) => proc.startTime));
-                const maxEnd = Math.max(...results.schedule.map((proc) => proc.completionTime));
-                const span = Math.max(maxEnd - minStart, 1);
-                return results.schedule.map((process) => {
-                  const left = ((process.startTime - minStart) / span) * 100;
-                  const width = ((process.completionTime - process.startTime) / span) * 100;
-                  return (
-                    <div
-                      key={process.id}
-                      className="gantt-bar"
-                      style={{ left: `${left}%`, width: `${width}%` }}
-                    >
-                      <span className="gantt-label">{process.name}</span>
-                      <small>
-                        {process.startTime} → {process.completionTime}
-                      </small>
-                    </div>
-                  );
-                });
-              })()}
+          {results.schedule.some((process) => process.starved) && (
+            <div className="notice warning">
+              Starvation:{' '}
+              {results.schedule
+                .filter((process) => process.starved)
+                .map((process) => `${process.name} waited ${process.waitingTime}`)
+                .join(', ')}{' '}
+              units (threshold {results.starvationThreshold}).
             </div>
+          )}
+
+          {results.realtime && (
+            <div className={`notice ${results.realtime.schedulable ? 'success' : 'warning'}`}>
+              Utilization U = {results.realtime.utilization.toFixed(3)} vs {results.realtime.test}{' '}
+              bound {results.realtime.bound.toFixed(3)}: {results.realtime.verdict}.{' '}
+              {results.realtime.misses
+                ? `${results.realtime.misses} of ${results.schedule.length} jobs missed their deadline.`
+                : 'Every job met its deadline in the simulated window.'}
+            </div>
+          )}
+
+          <GanttChart
+            slices={results.slices}
+            ioSlices={results.ioSlices}
+            cursor={currentFrame ? currentFrame.time : null}
+          />
+
+          <div className="timeline-controls">
+            <select
+              value={playbackMode}
+              onChange={(event) => {
+                setPlaybackMode(event.target.value);
+                setStepIndex(0);
+                setAutoPlay(false);
+              }}
+              aria-label="Playback granularity"
+            >
+              <option value="event">Per event</option>
+              <option value="tick">Per tick</option>
+            </select>
+            <button
+              type="button"
+              className="btn ghost small"
+              onClick={() => setStepIndex((idx) => Math.max(idx - 1, 0))}
+              disabled={stepIndex === 0}
+            >
+              Prev
+            </button>
+            <span className="muted-text">
+              Step {frames.length ? stepIndex + 1 : 0} / {frames.length}
+              {currentFrame && ` · t = ${currentFrame.time}`}
+            </span>
+            <button
+              type="button"
+              className="btn ghost small"
+              onClick={() => setStepIndex((idx) => Math.min(idx + 1, frames.length - 1))}
+              disabled={stepIndex >= frames.length - 1}
+            >
+              Next
+            </button>
+            <button
+              type="button"
+              className="btn secondary small"
+              onClick={() => setAutoPlay((prev) => !prev)}
+              disabled={!frames.length}
+            >
+              {autoPlay ? 'Pause' : 'Play'}
+            </button>
           </div>
 
+          {currentFrame && <PlaybackFrame frame={currentFrame} />}
+
+          {results.levelTimeline.length > 0 && (
+            <LevelTimeline timeline={results.levelTimeline} schedule={results.schedule} />
+          )}
+
+          {results.algorithmKey.includes('priority') && (
+            <PriorityChart schedule={results.schedule} />
+          )}
+
           <div className="table-wrapper">
             <table className="process-table">
               <thead>
@@ -358,6 +1159,10 @@ const ProcessScheduling = () => {
                   <th>Finish</th>
                   <th>Waiting</th>
                   <th>Turnaround</th>
+                  <th>Response</th>
+                  {results.hasIo && <th>I/O (wait)</th>}
+                  {results.realtime && <th>Deadline</th>}
+                  {results.cores > 1 && <th>Migrations</th>}
                 </tr>
               </thead>
               <tbody>
@@ -365,6 +1170,8 @@ const ProcessScheduling = () => {
                   <tr key={process.id}>
                     <td>
                       <span className="tag">{process.name}</span>
+                      {process.starved && <span className="badge fault">Starved</span>}
+                      {process.missedDeadline && <span className="badge fault">Missed</span>}
                     </td>
                     <td>{process.arrival}</td>
                     <td>{process.burst}</td>
@@ -373,6 +1180,18 @@ const ProcessScheduling = () => {
                     <td>{process.completionTime}</td>
                     <td>{process.waitingTime}</td>
                     <td>{process.turnaroundTime}</td>
+                    <td>{process.responseTime}</td>
+                    {results.hasIo && (
+                      <td>
+                        {process.ioTime} ({roundTime(process.ioWaitTime)})
+                      </td>
+                    )}
+                    {results.realtime && (
+                      <td>
+                        {Number.isFinite(process.absoluteDeadline) ? process.absoluteDeadline : '—'}
+                      </td>
+                    )}
+                    {results.cores > 1 && <td>{process.migrations}</td>}
                   </tr>
                 ))}
               </tbody>
@@ -380,341 +1199,514 @@ const ProcessScheduling = () => {
           </div>
         </div>
       )}
-    </section>
-  );
-};
-
-const prepareProcesses = (processes) =>
-  processes.map((process, index) => ({
-    ...process,
-    order: index,
-    arrival: Number(process.arrival),
-    burst: Number(process.burst),
-    priority: Number(
-      process.priority !== undefined && process.priority !== null ? process.priority : 0,
-    ),
-  }));
-
-const sortByArrival = (a, b) => {
-  if (a.arrival === b.arrival) {
-    return a.order - b.order;
-  }
-  return a.arrival - b.arrival;
-};
 
-const compareByBurst = (a, b) => {
-  if (a.burst === b.burst) {
-    return sortByArrival(a, b);
-  }
-  return a.burst - b.burst;
-};
+      {comparison && (
+        <div className="section-card scheduler-results">
+          <h3>Algorithm Comparison</h3>
+          <p className="muted-text">
+            Every strategy runs on the same workload and settings (RR quantum {settings.rrQuantum},
+            MLFQ quanta {settings.mlfqLevels}). Best value per column is highlighted.
+          </p>
+          <div className="algorithm-controls">
+            <label>
+              Rank By
+              <select value={rankBy} onChange={(event) => setRankBy(event.target.value)}>
+                {comparisonMetrics.map((metric) => (
+                  <option key={metric.key} value={metric.key}>
+                    {metric.label} ({metric.better} is better)
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
 
-const compareByPriority = (a, b) => {
-  if (a.priority === b.priority) {
-    return sortByArrival(a, b);
-  }
-  return a.priority - b.priority;
-};
+          <div className="table-wrapper">
+            <table className="process-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Algorithm</th>
+                  {comparisonMetrics.map((metric) => (
+                    <th key={metric.key}>{metric.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rankedComparison.map((row, index) => (
+                  <tr key={row.value} className={index === 0 && !row.error ? 'active-row' : ''}>
+                    <td>{row.error ? '—' : index + 1}</td>
+                    <td>{row.label}</td>
+                    {row.error ? (
+                      <td colSpan={comparisonMetrics.length} className="form-error">
+                        {row.error}
+                      </td>
+                    ) : (
+                      comparisonMetrics.map((metric) => (
+                        <td key={metric.key}>
+                          {isBestValue(comparison, metric, row[metric.key]) ? (
+                            <span className="badge">
+                              {formatMetric(metric.key, row[metric.key])}
+                            </span>
+                          ) : (
+                            formatMetric(metric.key, row[metric.key])
+                          )}
+                        </td>
+                      ))
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
 
-const compareByRemaining = (a, b) => {
-  if (a.remaining === b.remaining) {
-    return sortByArrival(a, b);
-  }
-  return a.remaining - b.remaining;
+          <div className="comparison-grid">
+            {rankedComparison
+              .filter((row) => !row.error)
+              .map((row) => (
+                <GanttChart
+                  key={row.value}
+                  slices={row.slices}
+                  ioSlices={row.ioSlices}
+                  title={row.label}
+                  compact
+                />
+              ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
 };
 
-const computeAverages = (schedule) => {
-  if (!schedule.length) {
-    return { averageWaiting: 0, averageTurnaround: 0 };
+const GanttChart = ({
+  slices,
+  ioSlices = [],
+  title = 'Gantt Chart',
+  compact = false,
+  cursor = null,
+}) => {
+  if (!slices.length) {
+    return null;
   }
 
-  const totals = schedule.reduce(
-    (acc, process) => {
-      acc.waiting += process.waitingTime;
-      acc.turnaround += process.turnaroundTime;
-      return acc;
-    },
-    { waiting: 0, turnaround: 0 },
+  const allSlices = [...slices, ...ioSlices];
+  const minStart = Math.min(...allSlices.map((slice) => slice.start));
+  const maxEnd = Math.max(...allSlices.map((slice) => slice.end));
+  const span = Math.max(maxEnd - minStart, 1);
+
+  const renderTrack = (lane) => (
+    <div className="gantt-track">
+      {lane.map((slice) => {
+        const left = ((slice.start - minStart) / span) * 100;
+        const width = ((slice.end - slice.start) / span) * 100;
+        const levelText = slice.level !== null ? ` (Q${slice.level})` : '';
+        return (
+          <div
+            key={`${slice.type}-${slice.start}`}
+            className={`gantt-bar ${slice.type !== 'cpu' ? slice.type : ''}`}
+            style={{ left: `${left}%`, width: `${width}%` }}
+            title={`${slice.name}${levelText}: ${slice.start} → ${slice.end}`}
+          >
+            <span className="gantt-label">{slice.name}</span>
+            <small>
+              {slice.start} → {slice.end}
+            </small>
+          </div>
+        );
+      })}
+      {cursor !== null && (
+        <div className="gantt-cursor" style={{ left: `${((cursor - minStart) / span) * 100}%` }} />
+      )}
+    </div>
   );
 
-  return {
-    averageWaiting: totals.waiting / schedule.length,
-    averageTurnaround: totals.turnaround / schedule.length,
-  };
+  const cores = [...new Set(slices.map((slice) => slice.core ?? 1))].sort((a, b) => a - b);
+  const showLabels = cores.length > 1 || ioSlices.length > 0;
+
+  return (
+    <div className={`gantt ${compact ? 'compact' : ''}`}>
+      <div className="stat-label">{title}</div>
+      {cores.map((core) => (
+        <div key={core}>
+          {showLabels && (
+            <div className="gantt-lane-label">{cores.length > 1 ? `Core ${core}` : 'CPU'}</div>
+          )}
+          {renderTrack(slices.filter((slice) => (slice.core ?? 1) === core))}
+        </div>
+      ))}
+      {ioSlices.length > 0 && (
+        <>
+          <div className="gantt-lane-label">I/O Device</div>
+          {renderTrack(ioSlices)}
+        </>
+      )}
+    </div>
+  );
 };
 
-const runFcfs = (processes) => {
-  const sorted = prepareProcesses(processes).sort(sortByArrival);
-  let currentTime = 0;
-
-  return sorted.map((process) => {
-    const startTime = Math.max(process.arrival, currentTime);
-    const completionTime = startTime + process.burst;
-    currentTime = completionTime;
-    const turnaroundTime = completionTime - process.arrival;
-    const waitingTime = turnaroundTime - process.burst;
-    return { ...process, startTime, completionTime, waitingTime, turnaroundTime };
-  });
+const PlaybackFrame = ({ frame }) => (
+  <div className="playback-frame">
+    <div className="notice">
+      {frame.messages.length
+        ? frame.messages.map((message, index) => <div key={index}>{message}</div>)
+        : 'No scheduling decisions this tick; running processes continue.'}
+    </div>
+    <div className="playback-grid">
+      <div>
+        <div className="stat-label">Running</div>
+        {frame.cores.map((core) => (
+          <div key={core.core}>
+            {frame.cores.length > 1 ? `Core ${core.core}: ` : ''}
+            {core.name ? (
+              <>
+                <span className="tag">{core.name}</span>{' '}
+                {core.runsFrom > frame.time ? 'context switching' : `${core.remaining} left`}
+              </>
+            ) : (
+              <span className="muted-text">idle</span>
+            )}
+          </div>
+        ))}
+      </div>
+      <div>
+        <div className="stat-label">Ready Queue</div>
+        {frame.queues.map((queue) => (
+          <div key={queue.label}>
+            {frame.queues.length > 1 && <strong>{queue.label}: </strong>}
+            {queue.names.length ? (
+              queue.names.map((name) => (
+                <span key={name} className="tag">
+                  {name}
+                </span>
+              ))
+            ) : (
+              <span className="muted-text">empty</span>
+            )}
+          </div>
+        ))}
+      </div>
+      <div>
+        <div className="stat-label">I/O</div>
+        <div>
+          Device:{' '}
+          {frame.io.device ? (
+            <span className="tag">{frame.io.device}</span>
+          ) : (
+            <span className="muted-text">idle</span>
+          )}
+        </div>
+        {frame.io.waiting.length > 0 && <div>Waiting: {frame.io.waiting.join(', ')}</div>}
+      </div>
+    </div>
+    <div className="table-wrapper">
+      <table className="process-table">
+        <thead>
+          <tr>
+            <th>Process</th>
+            <th>State</th>
+            <th>Remaining Bursts</th>
+          </tr>
+        </thead>
+        <tbody>
+          {frame.processes.map((process) => (
+            <tr key={process.id} className={process.state === 'running' ? 'active-row' : ''}>
+              <td>{process.name}</td>
+              <td>{processStates[process.state]}</td>
+              <td>{process.bursts.length ? process.bursts.join(' → ') : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const processStates = {
+  new: 'Not arrived',
+  ready: 'Ready',
+  running: 'Running',
+  io: 'Blocked (I/O)',
+  done: 'Done',
 };
 
-const runNonPreemptive = (processes, comparator) => {
-  const pending = prepareProcesses(processes).sort(sortByArrival);
-  const schedule = [];
-  let time = pending.length ? pending[0].arrival : 0;
-
-  while (pending.length) {
-    const currentTime = time;
-    const available = pending.filter((process) => process.arrival <= currentTime);
-    if (!available.length) {
-      time = pending[0].arrival;
-      continue;
+// Per-tick frames reuse the latest event snapshot at or before each whole time unit and
+// project the running processes' remaining time forward to that tick.
+const buildTickFrames = (trace) => {
+  if (!trace.length) {
+    return [];
+  }
+
+  const frames = [];
+  const end = Math.ceil(trace[trace.length - 1].time);
+  let cursor = 0;
+  let base = trace[0];
+  for (let tick = Math.floor(trace[0].time); tick <= end; tick += 1) {
+    const messages = [];
+    while (cursor < trace.length && trace[cursor].time <= tick) {
+      base = trace[cursor];
+      messages.push(base.message);
+      cursor += 1;
     }
 
-    available.sort(comparator);
-    const nextProcess = available[0];
-    const removalIndex = pending.indexOf(nextProcess);
-    pending.splice(removalIndex, 1);
-
-    const startTime = Math.max(currentTime, nextProcess.arrival);
-    const completionTime = startTime + nextProcess.burst;
-    const turnaroundTime = completionTime - nextProcess.arrival;
-    const waitingTime = turnaroundTime - nextProcess.burst;
-
-    schedule.push({
-      ...nextProcess,
-      startTime,
-      completionTime,
-      waitingTime,
-      turnaroundTime,
+    const snapshot = base;
+    const ran = (core) => Math.max(0, tick - Math.max(snapshot.time, core.runsFrom));
+    const cores = snapshot.cores.map((core) =>
+      core.name ? { ...core, remaining: roundTime(core.remaining - ran(core)) } : core,
+    );
+    const processes = snapshot.processes.map((process) => {
+      const core = cores.find((item) => item.id === process.id && process.state === 'running');
+      return core ? { ...process, bursts: [core.remaining, ...process.bursts.slice(1)] } : process;
     });
-
-    time = completionTime;
+    frames.push({ ...snapshot, time: tick, messages, cores, processes });
   }
-
-  return schedule;
+  return frames;
 };
 
-const runPreemptive = (processes, comparator) => {
-  const data = prepareProcesses(processes).map((process) => ({
-    ...process,
-    remaining: process.burst,
-    startTime: null,
-    completionTime: null,
-  }));
-
-  let time = data.length ? Math.min(...data.map((process) => process.arrival)) : 0;
+const sweepSeries = [
+  { key: 'averageWaiting', label: 'Avg waiting' },
+  { key: 'averageTurnaround', label: 'Avg turnaround' },
+  { key: 'averageResponse', label: 'Avg response' },
+];
 
-  while (data.some((process) => process.remaining > 0)) {
-    const currentTime = time;
-    const available = data.filter(
-      (process) => process.arrival <= currentTime && process.remaining > 0,
+const SweepChart = ({ sweep }) => {
+  const width = 600;
+  const height = 180;
+  const padding = 28;
+  const { rows } = sweep;
+  const first = rows[0].quantum;
+  const last = rows[rows.length - 1].quantum;
+  const x = (quantum) =>
+    padding + ((quantum - first) / Math.max(last - first, 1e-9)) * (width - padding * 2);
+
+  const renderChart = (series, title) => {
+    const values = rows.flatMap((row) => series.map((item) => row[item.key]));
+    const top = Math.max(...values, 1);
+    const y = (value) => height - padding - (value / top) * (height - padding * 2);
+    const markers = [
+      sweep.degenerateAt !== null && { quantum: sweep.degenerateAt, label: '= FCFS' },
+      { quantum: sweep.best.quantum, label: 'best turnaround' },
+    ]
+      .filter(Boolean)
+      .reduce((acc, marker) => {
+        const same = acc.find((item) => item.quantum === marker.quantum);
+        if (same) {
+          same.label = `${same.label}, ${marker.label}`;
+          return acc;
+        }
+        return [...acc, marker];
+      }, []);
+
+    return (
+      <div className="gantt">
+        <div className="stat-label">{title}</div>
+        <svg
+          className="line-chart"
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label={title}
+        >
+          <line
+            x1={padding}
+            y1={height - padding}
+            x2={width - padding}
+            y2={height - padding}
+            className="axis"
+          />
+          <text x={padding} y={height - 8} className="axis-label">
+            q = {first}
+          </text>
+          <text x={width - padding} y={height - 8} className="axis-label" textAnchor="end">
+            q = {last}
+          </text>
+          <text x={4} y={y(top) + 4} className="axis-label">
+            {Number(top.toFixed(2))}
+          </text>
+          {markers.map((marker) => (
+            <g key={marker.label}>
+              <line
+                x1={x(marker.quantum)}
+                y1={padding / 2}
+                x2={x(marker.quantum)}
+                y2={height - padding}
+                className="marker"
+              />
+              <text x={x(marker.quantum) + 3} y={padding / 2 + 8} className="axis-label">
+                {marker.label} (q = {marker.quantum})
+              </text>
+            </g>
+          ))}
+          {series.map((item, index) => (
+            <polyline
+              key={item.key}
+              points={rows.map((row) => `${x(row.quantum)},${y(row[item.key])}`).join(' ')}
+              fill="none"
+              stroke={chartColors[index % chartColors.length]}
+              strokeWidth="2"
+            />
+          ))}
+        </svg>
+        <div className="badge-row">
+          {series.map((item, index) => (
+            <span
+              key={item.key}
+              className="badge"
+              style={{ color: chartColors[index % chartColors.length] }}
+            >
+              {item.label}
+            </span>
+          ))}
+        </div>
+      </div>
     );
+  };
 
-    if (!available.length) {
-      const nextArrival = data
-        .filter((process) => process.remaining > 0)
-        .reduce((min, process) => Math.min(min, process.arrival), Infinity);
-      if (!Number.isFinite(nextArrival)) {
-        break;
-      }
-      time = nextArrival;
-      continue;
-    }
-
-    available.sort(comparator);
-    const current = available[0];
-    if (current.startTime === null) {
-      current.startTime = currentTime;
-    }
-
-    const nextArrival = data
-      .filter((process) => process.arrival > currentTime && process.remaining > 0)
-      .reduce((min, process) => Math.min(min, process.arrival), Infinity);
-
-    const finishTime = currentTime + current.remaining;
-    const nextTime =
-      Number.isFinite(nextArrival) && nextArrival < finishTime ? nextArrival : finishTime;
-    const elapsed = nextTime - currentTime;
-
-    current.remaining -= elapsed;
-    time = nextTime;
-
-    if (current.remaining === 0) {
-      current.completionTime = time;
-    }
-  }
-
-  return data.map((process) => {
-    const completionTime =
-      process.completionTime ?? process.arrival + Math.max(process.remaining, 0);
-    const turnaroundTime = completionTime - process.arrival;
-    const waitingTime = turnaroundTime - process.burst;
-    return {
-      ...process,
-      startTime: process.startTime ?? process.arrival,
-      completionTime,
-      waitingTime,
-      turnaroundTime,
-    };
-  });
+  return (
+    <>
+      {renderChart(sweepSeries, 'Average times vs. quantum')}
+      {renderChart(
+        [{ key: 'contextSwitches', label: 'Context switches' }],
+        'Context switches vs. quantum',
+      )}
+    </>
+  );
 };
 
-const runRoundRobin = (processes, settings) => {
-  const quantum = Number(settings?.rrQuantum);
-  if (!Number.isFinite(quantum) || quantum <= 0) {
-    throw new Error('Provide a positive time quantum for Round Robin.');
-  }
-
-  const data = prepareProcesses(processes).map((process) => ({
-    ...process,
-    remaining: process.burst,
-    startTime: null,
-    completionTime: null,
-  }));
-
-  const pending = [...data].sort(sortByArrival);
-  const ready = [];
-  let time = pending.length ? pending[0].arrival : 0;
-
-  while (ready.length || pending.length) {
-    while (pending.length && pending[0].arrival <= time) {
-      ready.push(pending.shift());
-    }
-
-    if (!ready.length) {
-      time = pending[0].arrival;
-      continue;
-    }
-
-    const current = ready.shift();
-    if (current.startTime === null) {
-      current.startTime = time;
-    }
-
-    const runTime = Math.min(quantum, current.remaining);
-    current.remaining -= runTime;
-    time += runTime;
-
-    while (pending.length && pending[0].arrival <= time) {
-      ready.push(pending.shift());
-    }
+const LevelTimeline = ({ timeline, schedule }) => {
+  const levels = [...new Set(timeline.map((segment) => segment.level))].sort((a, b) => a - b);
+  const start = Math.min(...timeline.map((segment) => segment.start));
+  const end = Math.max(...timeline.map((segment) => segment.end));
+  const span = Math.max(end - start, 1);
+  const rowHeight = 14;
 
-    if (current.remaining > 0) {
-      ready.push(current);
-    } else {
-      current.completionTime = time;
-    }
-  }
-
-  return data.map((process) => {
-    const completionTime = process.completionTime ?? process.arrival + process.burst;
-    const turnaroundTime = completionTime - process.arrival;
-    const waitingTime = turnaroundTime - process.burst;
-    return {
-      ...process,
-      startTime: process.startTime ?? process.arrival,
-      completionTime,
-      waitingTime,
-      turnaroundTime,
-    };
-  });
+  return (
+    <div className="gantt">
+      <div className="stat-label">Queue Membership by Level</div>
+      {levels.map((level) => (
+        <div key={level}>
+          <div className="gantt-lane-label">Q{level}</div>
+          <div className="gantt-track" style={{ height: `${schedule.length * rowHeight + 8}px` }}>
+            {timeline
+              .filter((segment) => segment.level === level)
+              .map((segment) => {
+                const row = schedule.findIndex((process) => process.id === segment.id);
+                return (
+                  <div
+                    key={`${segment.id}-${segment.start}`}
+                    className="level-bar"
+                    style={{
+                      left: `${((segment.start - start) / span) * 100}%`,
+                      width: `${((segment.end - segment.start) / span) * 100}%`,
+                      top: `${4 + row * rowHeight}px`,
+                      background: chartColors[row % chartColors.length],
+                    }}
+                    title={`${segment.name} in Q${level}: ${segment.start} → ${segment.end}`}
+                  >
+                    {segment.name}
+                  </div>
+                );
+              })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
 };
 
-const runMlfq = (processes, settings) => {
-  const levels = parseMlfqLevels(settings?.mlfqLevels);
-  if (!levels.length) {
-    throw new Error('Enter at least one time quantum for MLFQ (e.g. 2,4,8).');
-  }
-
-  const quantums = [...levels, Infinity];
-  const queues = quantums.map(() => []);
-
-  const data = prepareProcesses(processes).map((process) => ({
-    ...process,
-    remaining: process.burst,
-    level: 0,
-    startTime: null,
-    completionTime: null,
-  }));
-
-  const pending = [...data].sort(sortByArrival);
-  let time = pending.length ? pending[0].arrival : 0;
+const chartColors = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#ca8a04'];
 
-  const hasWork = () => pending.length || queues.some((queue) => queue.length);
-
-  while (hasWork()) {
-    while (pending.length && pending[0].arrival <= time) {
-      const arriving = pending.shift();
-      arriving.level = 0;
-      queues[0].push(arriving);
-    }
-
-    const queueIndex = queues.findIndex((queue) => queue.length);
-    if (queueIndex === -1) {
-      if (pending.length) {
-        time = pending[0].arrival;
-      }
-      continue;
-    }
-
-    const current = queues[queueIndex].shift();
-    if (current.startTime === null) {
-      current.startTime = time;
-    }
-
-    const quantum = quantums[queueIndex];
-    const runTime = Math.min(quantum, current.remaining);
-    current.remaining -= runTime;
-    time += runTime;
-
-    while (pending.length && pending[0].arrival <= time) {
-      const arriving = pending.shift();
-      arriving.level = 0;
-      queues[0].push(arriving);
-    }
-
-    if (current.remaining > 0) {
-      const nextLevel = Math.min(queueIndex + 1, queues.length - 1);
-      current.level = nextLevel;
-      queues[nextLevel].push(current);
-    } else {
-      current.completionTime = time;
-    }
-  }
+const PriorityChart = ({ schedule }) => {
+  const width = 600;
+  const height = 160;
+  const padding = 24;
+  const start = Math.min(...schedule.map((process) => process.arrival));
+  const end = Math.max(...schedule.map((process) => process.completionTime));
+  const priorities = schedule.flatMap((process) =>
+    process.priorityHistory.map((point) => point.priority),
+  );
+  const best = Math.min(...priorities);
+  const worst = Math.max(...priorities);
+  const x = (time) => padding + ((time - start) / Math.max(end - start, 1)) * (width - padding * 2);
+  // Higher priority (lower number) is drawn nearer the top.
+  const y = (priority) =>
+    padding + ((priority - best) / Math.max(worst - best, 1)) * (height - padding * 2);
 
-  return data.map((process) => {
-    const completionTime = process.completionTime ?? process.arrival + process.burst;
-    const turnaroundTime = completionTime - process.arrival;
-    const waitingTime = turnaroundTime - process.burst;
-    return {
-      ...process,
-      startTime: process.startTime ?? process.arrival,
-      completionTime,
-      waitingTime,
-      turnaroundTime,
-    };
-  });
+  return (
+    <div className="gantt">
+      <div className="stat-label">Priority Over Time (lower number = higher priority)</div>
+      <svg
+        className="line-chart"
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label="Priority over time"
+      >
+        <line
+          x1={padding}
+          y1={height - padding}
+          x2={width - padding}
+          y2={height - padding}
+          className="axis"
+        />
+        <text x={padding} y={height - 6} className="axis-label">
+          {start}
+        </text>
+        <text x={width - padding} y={height - 6} className="axis-label" textAnchor="end">
+          {end}
+        </text>
+        <text x={4} y={y(best) + 4} className="axis-label">
+          {best}
+        </text>
+        <text x={4} y={y(worst) + 4} className="axis-label">
+          {worst}
+        </text>
+        {schedule.map((process, index) => {
+          const [first, ...rest] = process.priorityHistory;
+          const path = rest.reduce(
+            (acc, point) => `${acc} H ${x(point.time)} V ${y(point.priority)}`,
+            `M ${x(first.time)} ${y(first.priority)}`,
+          );
+          return (
+            <path
+              key={process.id}
+              d={`${path} H ${x(process.completionTime)}`}
+              fill="none"
+              stroke={chartColors[index % chartColors.length]}
+              strokeWidth="2"
+            />
+          );
+        })}
+      </svg>
+      <div className="badge-row">
+        {schedule.map((process, index) => (
+          <span
+            key={process.id}
+            className="badge"
+            style={{ color: chartColors[index % chartColors.length] }}
+          >
+            {process.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
 };
 
-const parseMlfqLevels = (value) => {
-  if (!value) {
-    return [];
-  }
-
-  return value
-    .split(',')
-    .map((token) => Number(token.trim()))
-    .filter((number) => Number.isFinite(number) && number > 0);
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
-const schedulingStrategies = {
-  fcfs: (processes) => runFcfs(processes),
-  sjfNonPreemptive: (processes) => runNonPreemptive(processes, compareByBurst),
-  sjfPreemptive: (processes) => runPreemptive(processes, compareByRemaining),
-  priorityNonPreemptive: (processes) => runNonPreemptive(processes, compareByPriority),
-  priorityPreemptive: (processes) => runPreemptive(processes, compareByPriority),
-  roundRobin: (processes, settings) => runRoundRobin(processes, settings),
-  mlfq: (processes, settings) => runMlfq(processes, settings),
+const formatMetric = (key, value) => {
+  if (key === 'cpuUtilization') {
+    return `${(value * 100).toFixed(1)}%`;
+  }
+  if (key === 'throughput') {
+    return `${value.toFixed(3)} /unit`;
+  }
+  return value.toFixed(2);
 };
 
 export default ProcessScheduling;
@@ -0,0 +1,16 @@
+import { render, screen } from '@testing-library/react';
+import ProcessScheduling from './ProcessScheduling';
+
+test('a link with an unusable process row opens the sample workload instead', () => {
+  const processes = encodeURIComponent(
+    JSON.stringify([{ id: 1, name: 'A', arrival: 0, burst: 'x' }]),
+  );
+  render(
+    <ProcessScheduling
+      urlState={`processes=${processes}&show=${encodeURIComponent('["run"]')}&alg=zzz`}
+      onUrlStateChange={() => {}}
+    />,
+  );
+  expect(screen.getAllByText('P3').length).toBeGreaterThan(0);
+  expect(screen.queryByText('A')).toBeNull();
+});
@@ -1,4 +1,22 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import {
+  consumerProgram,
+  createProducerConsumer,
+  diningLimits,
+  diningStrategyOptions,
+  inCriticalSection,
+  instructionLabel,
+  pickNextThread,
+  producerProgram,
+  readyThreads,
+  rwPolicyOptions,
+  stepThread,
+  threadPolicyOptions,
+  threadStatus,
+} from '../engine';
+import { decodeState, isIntegerIn, isOneOf, useUrlState } from '../urlState';
+import DiningPhilosophers from './DiningPhilosophers';
+import ReadersWriters from './ReadersWriters';
 
 const mechanismData = [
   {
@@ -59,62 +77,127 @@ const scenarios = [
   },
 ];
 
-const ProcessSynchronization = () => {
-  const [bufferSize, setBufferSize] = useState(5);
-  const [items, setItems] = useState(2);
-  const [log, setLog] = useState(['Initialized buffer with 2 items.']);
-  const [step, setStep] = useState(1);
+// Overlapping readers keep the critical section busy, so W1 starves under reader preference.
+const sampleReadersWriters = 'R1 0 4; W1 1 2; R2 2 4; R3 4 4; R4 6 4; R5 8 4; W2 9 2';
 
-  const empty = Math.max(bufferSize - items, 0);
-  const full = items;
-  const mutex = 1;
+const urlDefaults = {
+  size: 5,
+  items: 2,
+  producers: 2,
+  consumers: 2,
+  policy: 'round-robin',
+  rw: sampleReadersWriters,
+  rwPolicy: 'reader',
+  rwLimit: 3,
+  dpCount: 5,
+  dpStrategy: 'naive',
+  dpSeed: 'table',
+  dpSync: true,
+  dpTicks: 60,
+  dpLimit: 20,
+};
 
-  const appendLog = (entry) => {
-    setLog((prev) => [`${step}. ${entry}`, ...prev].slice(0, 12));
-    setStep((prev) => prev + 1);
-  };
+const setupLimits = {
+  size: { label: 'Buffer Capacity', min: 1, max: 10 },
+  items: { label: 'Initial Items', min: 0, max: 10 },
+  producers: { label: 'Producers', min: 0, max: 5 },
+  consumers: { label: 'Consumers', min: 0, max: 5 },
+};
 
-  const handleProduce = () => {
-    if (items >= bufferSize) {
-      appendLog('Producer blocked: empty=0, waits on empty semaphore.');
-      return;
-    }
-    const next = items + 1;
-    setItems(next);
-    appendLog(
-      `Producer: wait(empty=${empty}) → wait(mutex=${mutex}) → add item → signal(mutex) → signal(full=${
-        full + 1
-      }).`,
-    );
-  };
+const withinLimits = ({ min, max }) => isIntegerIn(min, max);
+
+const valuesOf = (options) => options.map((option) => option.value);
+
+const urlChecks = {
+  size: withinLimits(setupLimits.size),
+  items: (value, decoded) => withinLimits(setupLimits.items)(value) && value <= decoded.size,
+  producers: withinLimits(setupLimits.producers),
+  consumers: withinLimits(setupLimits.consumers),
+  policy: isOneOf(valuesOf(threadPolicyOptions)),
+  rwPolicy: isOneOf(valuesOf(rwPolicyOptions)),
+  rwLimit: isIntegerIn(1, Infinity),
+  dpCount: withinLimits(diningLimits.philosophers),
+  dpStrategy: isOneOf(valuesOf(diningStrategyOptions)),
+  dpTicks: withinLimits(diningLimits.ticks),
+  dpLimit: withinLimits(diningLimits.starvationLimit),
+};
+
+const ProcessSynchronization = ({ urlState = '', onUrlStateChange }) => {
+  const [restored] = useState(() => decodeState(urlState, urlDefaults, urlChecks));
+  const [setup, setSetup] = useState(() => ({
+    size: restored.size,
+    items: restored.items,
+    producers: restored.producers,
+    consumers: restored.consumers,
+  }));
+  const [policy, setPolicy] = useState(restored.policy);
+  const [sim, setSim] = useState(() => startSimulation(restored));
+  const [autoPlay, setAutoPlay] = useState(false);
+  const [readersWriters, setReadersWriters] = useState(() => ({
+    input: restored.rw,
+    policy: restored.rwPolicy,
+    starvationLimit: restored.rwLimit,
+  }));
+  const [dining, setDining] = useState(() => ({
+    count: restored.dpCount,
+    strategy: restored.dpStrategy,
+    seed: restored.dpSeed,
+    synchronized: restored.dpSync,
+    ticks: restored.dpTicks,
+    starvationLimit: restored.dpLimit,
+  }));
 
-  const handleConsume = () => {
-    if (items <= 0) {
-      appendLog('Consumer blocked: full=0, waits on full semaphore.');
-      return;
+  useUrlState(
+    {
+      ...setup,
+      policy,
+      rw: readersWriters.input,
+      rwPolicy: readersWriters.policy,
+      rwLimit: readersWriters.starvationLimit,
+      dpCount: dining.count,
+      dpStrategy: dining.strategy,
+      dpSeed: dining.seed,
+      dpSync: dining.synchronized,
+      dpTicks: dining.ticks,
+      dpLimit: dining.starvationLimit,
+    },
+    onUrlStateChange,
+  );
+
+  useEffect(() => {
+    let timer;
+    if (autoPlay) {
+      timer = setInterval(() => {
+        setSim((prev) => {
+          const next = scheduleNext(prev, policy);
+          if (next === prev) setAutoPlay(false);
+          return next;
+        });
+      }, 700);
     }
-    const next = items - 1;
-    setItems(next);
-    appendLog(
-      `Consumer: wait(full=${full}) → wait(mutex=${mutex}) → remove item → signal(mutex) → signal(empty=${
-        empty + 1
-      }).`,
-    );
-  };
+    return () => {
+      if (timer) clearInterval(timer);
+    };
+  }, [autoPlay, policy]);
 
-  const handleReset = () => {
-    setBufferSize(5);
-    setItems(2);
-    setLog(['Initialized buffer with 2 items.']);
-    setStep(1);
-  };
+  const { state } = sim;
+  const stuck = readyThreads(state).length === 0;
+  const itemCount = state.buffer.filter((item) => item !== null).length;
 
-  const handleSizeChange = (event) => {
+  const handleSetupChange = (key) => (event) => {
     const value = Number(event.target.value);
-    if (Number.isNaN(value) || value < 1) return;
-    setBufferSize(value);
-    setItems(Math.min(items, value));
-    appendLog(`Capacity set to ${value}.`);
+    const { min, max } = setupLimits[key];
+    if (!Number.isInteger(value) || value < min || value > max) return;
+    const next = { ...setup, [key]: value };
+    next.items = Math.min(next.items, next.size);
+    setSetup(next);
+    setSim(startSimulation(next));
+    setAutoPlay(false);
+  };
+
+  const handleReset = () => {
+    setSim(startSimulation(setup));
+    setAutoPlay(false);
   };
 
   return (
@@ -156,57 +239,241 @@ const ProcessSynchronization = () => {
       <div className="section-card">
         <h3>Producer–Consumer Simulation (Semaphores)</h3>
         <p className="muted-text">
-          Observe how empty/full counting semaphores and a mutex coordinate access to a bounded buffer.
+          Each thread runs its program one instruction per step. A wait() on a semaphore at 0 puts
+          the thread in that semaphore&apos;s queue until a signal() hands it the permit.
         </p>
 
         <div className="sim-grid">
+          {Object.entries(setupLimits).map(([key, { label, min, max }]) => (
+            <div key={key} className="stat-card">
+              <div className="stat-label">{label}</div>
+              <input
+                type="number"
+                min={min}
+                max={key === 'items' ? setup.size : max}
+                value={setup[key]}
+                onChange={handleSetupChange(key)}
+                className="stat-input"
+              />
+            </div>
+          ))}
           <div className="stat-card">
-            <div className="stat-label">Buffer Capacity</div>
-            <input
-              type="number"
-              min="1"
-              value={bufferSize}
-              onChange={handleSizeChange}
+            <div className="stat-label">Scheduler</div>
+            <select
+              value={policy}
+              onChange={(event) => setPolicy(event.target.value)}
               className="stat-input"
-            />
-          </div>
-          <div className="stat-card">
-            <div className="stat-label">Items in Buffer</div>
-            <div className="stat-value">{items}</div>
-          </div>
-          <div className="stat-card">
-            <div className="stat-label">Semaphores</div>
-            <div className="badge-row">
-              <span className="badge">empty = {empty}</span>
-              <span className="badge">full = {full}</span>
-              <span className="badge">mutex = {mutex}</span>
-            </div>
+            >
+              {threadPolicyOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
           </div>
         </div>
 
         <div className="button-row">
-          <button type="button" className="btn primary" onClick={handleProduce}>
-            Produce (signal full)
+          <button
+            type="button"
+            className="btn primary"
+            onClick={() => setSim((prev) => scheduleNext(prev, policy))}
+            disabled={stuck}
+          >
+            Step Next Thread
           </button>
-          <button type="button" className="btn secondary" onClick={handleConsume}>
-            Consume (signal empty)
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setAutoPlay((prev) => !prev)}
+            disabled={stuck}
+          >
+            {autoPlay ? 'Pause' : 'Auto-run'}
           </button>
           <button type="button" className="btn ghost" onClick={handleReset}>
             Reset
           </button>
         </div>
+        {stuck && (
+          <div className="notice warning">
+            Every thread is blocked, so nothing can run. Add a thread of the other role or reset.
+          </div>
+        )}
+
+        <div className="pc-layout">
+          <div className="stat-card">
+            <div className="stat-label">
+              Circular Buffer ({itemCount} / {state.capacity} full)
+            </div>
+            <CircularBuffer buffer={state.buffer} inSlot={state.in} outSlot={state.out} />
+          </div>
+          <div className="stat-card">
+            <div className="stat-label">Semaphores</div>
+            <ul className="semaphore-list">
+              {Object.entries(state.semaphores).map(([name, semaphore]) => (
+                <li key={name}>
+                  <span className="badge">
+                    {name} = {semaphore.value}
+                  </span>
+                  <span className="muted-text">
+                    {semaphore.queue.length
+                      ? `queue: ${semaphore.queue.join(' ← ')}`
+                      : 'no waiters'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="muted-text small-text">
+              Produced {state.produced}, consumed {state.consumed}.
+            </p>
+          </div>
+        </div>
+
+        <div className="sync-grid">
+          {state.threads.map((thread) => (
+            <ThreadCard
+              key={thread.id}
+              thread={thread}
+              running={sim.last}
+              onStep={() => setSim((prev) => advance(prev, thread.id))}
+            />
+          ))}
+        </div>
 
         <div className="log-panel">
           <div className="stat-label">Execution Trace</div>
           <ul className="log-list">
-            {log.map((entry) => (
+            {sim.log.map((entry) => (
               <li key={entry}>{entry}</li>
             ))}
           </ul>
         </div>
       </div>
+
+      <ReadersWriters
+        {...readersWriters}
+        onChange={(changes) => setReadersWriters((prev) => ({ ...prev, ...changes }))}
+      />
+
+      <DiningPhilosophers
+        {...dining}
+        onChange={(changes) => setDining((prev) => ({ ...prev, ...changes }))}
+      />
     </section>
   );
 };
 
+const startSimulation = ({ size, items, producers, consumers }) => ({
+  state: createProducerConsumer({ producers, consumers, capacity: size, items }),
+  last: null,
+  step: 1,
+  log: [`Initialized a buffer of ${size} slots with ${Math.min(items, size)} items.`],
+});
+
+const advance = (sim, id) => {
+  const { state, event } = stepThread(sim.state, id);
+  return {
+    state,
+    last: id,
+    step: sim.step + 1,
+    log: [`${sim.step}. ${event.text}`, ...sim.log].slice(0, 20),
+  };
+};
+
+const scheduleNext = (sim, policy) => {
+  const id = pickNextThread(sim.state, { policy, last: sim.last });
+  return id ? advance(sim, id) : sim;
+};
+
+const ThreadCard = ({ thread, running, onStep }) => {
+  const status = threadStatus(thread, running);
+  const program = thread.role === 'producer' ? producerProgram : consumerProgram;
+  return (
+    <div className={`sync-card thread-card ${thread.blockedOn ? 'blocked' : ''}`}>
+      <div className="thread-header">
+        <span className="pill">
+          {thread.id} · {thread.role}
+        </span>
+        <span className={`badge thread-${status.split(' ')[0]}`}>{status}</span>
+      </div>
+      <ol className="compact-list thread-program" start={0}>
+        {program.map((instruction, pc) => (
+          <li key={pc} className={pc === thread.pc ? 'current-instruction' : ''}>
+            {instructionLabel(instruction)}
+          </li>
+        ))}
+      </ol>
+      <p className="muted-text small-text">
+        {inCriticalSection(thread) ? 'Holds the mutex. ' : ''}
+        {thread.item !== null ? `Last item: ${thread.item}.` : 'No item handled yet.'}
+      </p>
+      <button
+        type="button"
+        className="btn ghost small"
+        onClick={onStep}
+        disabled={Boolean(thread.blockedOn)}
+      >
+        Step {thread.id}
+      </button>
+    </div>
+  );
+};
+
+const bufferView = 240;
+const ringRadius = 78;
+const slotRadius = 17;
+
+// Slots sit clockwise from the top; `in` points at its slot from outside the ring, `out` from
+// inside, so both stay readable when they share a slot.
+const CircularBuffer = ({ buffer, inSlot, outSlot }) => {
+  const center = bufferView / 2;
+  const at = (slot, radius) => {
+    const angle = (2 * Math.PI * slot) / buffer.length - Math.PI / 2;
+    return { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) };
+  };
+  const pointers = [
+    { label: 'in', slot: inSlot, from: ringRadius + 40, to: ringRadius + slotRadius + 3 },
+    { label: 'out', slot: outSlot, from: ringRadius - 46, to: ringRadius - slotRadius - 3 },
+  ];
+
+  return (
+    <svg
+      className="line-chart circular-buffer"
+      viewBox={`0 0 ${bufferView} ${bufferView}`}
+      role="img"
+      aria-label="Circular buffer"
+    >
+      <circle cx={center} cy={center} r={ringRadius} className="buffer-ring" />
+      {buffer.map((item, slot) => {
+        const { x, y } = at(slot, ringRadius);
+        return (
+          <g key={slot}>
+            <circle
+              cx={x}
+              cy={y}
+              r={slotRadius}
+              className={`buffer-slot ${item === null ? '' : 'filled'}`}
+            />
+            <text x={x} y={y + 4} textAnchor="middle" className="buffer-label">
+              {item ?? '·'}
+            </text>
+          </g>
+        );
+      })}
+      {pointers.map(({ label, slot, from, to }) => {
+        const start = at(slot, from);
+        const end = at(slot, to);
+        return (
+          <g key={label} className={`buffer-pointer ${label}`}>
+            <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} />
+            <text x={start.x} y={start.y + 4} textAnchor="middle">
+              {label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
 export default ProcessSynchronization;
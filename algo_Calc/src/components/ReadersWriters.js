@@ -0,0 +1,279 @@
+import { useMemo, useState } from 'react';
+import { parseReadersWriters, rwPolicyOptions, simulateReadersWriters } from '../engine';
+
+// Readers–Writers card of the synchronization view. The entry list, policy, and starvation
+// threshold live in the parent (they are part of the URL) and change through `onChange`.
+const ReadersWriters = ({ input, policy, starvationLimit, onChange }) => {
+  const [draft, setDraft] = useState({ role: 'W', arrival: 0, duration: 2 });
+  const [segmentIndex, setSegmentIndex] = useState(0);
+
+  const { threads, errors } = useMemo(() => parseReadersWriters(input), [input]);
+  const results = useMemo(
+    () =>
+      Object.fromEntries(
+        rwPolicyOptions.map((option) => [
+          option.value,
+          simulateReadersWriters(threads, option.value, { starvationLimit }),
+        ]),
+      ),
+    [threads, starvationLimit],
+  );
+  const result = results[policy] ?? results.reader;
+  const { segments } = result;
+  const currentIndex = Math.min(segmentIndex, Math.max(segments.length - 1, 0));
+  const segment = segments[currentIndex];
+  const span = {
+    start: segments.length ? segments[0].start : 0,
+    end: segments.length ? segments[segments.length - 1].end : 1,
+  };
+
+  const update = (changes) => {
+    onChange(changes);
+    setSegmentIndex(0);
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    const entry = `${draft.role} ${draft.arrival} ${draft.duration}`;
+    update({ input: input.trim() ? `${input.trim()}; ${entry}` : entry });
+  };
+
+  return (
+    <div className="section-card">
+      <h3>Readers–Writers Simulator</h3>
+      <p className="muted-text">
+        Readers share the critical section; a writer needs it alone. Spawn threads with an arrival
+        time and a duration and compare how each policy orders them.
+      </p>
+
+      <div className="scheduler-form">
+        <label>
+          Threads (name, arrival, duration)
+          <textarea
+            value={input}
+            onChange={(event) => update({ input: event.target.value })}
+            rows={3}
+          />
+        </label>
+        {errors.map((error) => (
+          <p key={error} className="form-error">
+            {error}
+          </p>
+        ))}
+        <form className="bank-request" onSubmit={handleAdd}>
+          <select
+            value={draft.role}
+            onChange={(event) => setDraft({ ...draft, role: event.target.value })}
+            aria-label="Role"
+          >
+            <option value="R">Reader</option>
+            <option value="W">Writer</option>
+          </select>
+          <label>
+            Arrival
+            <input
+              type="number"
+              min="0"
+              value={draft.arrival}
+              onChange={(event) =>
+                setDraft({ ...draft, arrival: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Duration
+            <input
+              type="number"
+              min="1"
+              value={draft.duration}
+              onChange={(event) =>
+                setDraft({ ...draft, duration: Math.max(Number(event.target.value) || 1, 1) })
+              }
+            />
+          </label>
+          <button type="submit" className="btn secondary small">
+            Spawn
+          </button>
+        </form>
+        <label>
+          Policy
+          <select value={policy} onChange={(event) => update({ policy: event.target.value })}>
+            {rwPolicyOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Starvation threshold (threads that arrive later but enter first)
+          <input
+            type="number"
+            min="1"
+            value={starvationLimit}
+            onChange={(event) => {
+              const value = Number(event.target.value);
+              if (Number.isInteger(value) && value >= 1) update({ starvationLimit: value });
+            }}
+          />
+        </label>
+      </div>
+
+      {result.starved.length > 0 ? (
+        <div className="notice warning">
+          Starvation:{' '}
+          {result.threads
+            .filter((thread) => thread.starved)
+            .map((thread) => `${thread.id} was overtaken by ${thread.overtakenBy.join(', ')}`)
+            .join('; ')}
+          .
+        </div>
+      ) : (
+        threads.length > 0 && (
+          <div className="notice success">
+            No thread was overtaken {starvationLimit} or more times under this policy.
+          </div>
+        )
+      )}
+
+      {segments.length > 0 && (
+        <>
+          <div className="stat-label">Timeline</div>
+          <div className="gantt compact rw-timeline">
+            {result.threads.map((thread) => (
+              <ThreadLane key={thread.id} thread={thread} span={span} cursor={segment.start} />
+            ))}
+          </div>
+          <p className="muted-text small-text">
+            Striped bars are time spent waiting; solid bars are time in the critical section.
+          </p>
+
+          <div className="timeline-controls">
+            <button
+              type="button"
+              className="btn ghost small"
+              onClick={() => setSegmentIndex(Math.max(currentIndex - 1, 0))}
+              disabled={currentIndex === 0}
+            >
+              Prev
+            </button>
+            <span className="muted-text">
+              Step {currentIndex + 1} / {segments.length}
+            </span>
+            <button
+              type="button"
+              className="btn ghost small"
+              onClick={() => setSegmentIndex(Math.min(currentIndex + 1, segments.length - 1))}
+              disabled={currentIndex === segments.length - 1}
+            >
+              Next
+            </button>
+          </div>
+          <div className="table-wrapper">
+            <table className="process-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>In Critical Section</th>
+                  <th>Waiting</th>
+                </tr>
+              </thead>
+              <tbody>
+                {segments.map((row, index) => (
+                  <tr key={row.start} className={index === currentIndex ? 'active-row' : ''}>
+                    <td>
+                      {row.start} → {row.end}
+                    </td>
+                    <td>
+                      {row.inside.length
+                        ? `${row.inside.join(', ')} (${row.writing ? 'writing' : 'reading'})`
+                        : 'empty'}
+                    </td>
+                    <td>{row.waiting.join(', ') || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="summary-grid">
+            {['reader', 'writer'].map((role) => (
+              <div key={role}>
+                <p className="summary-label">
+                  Avg / Max {role === 'reader' ? 'Reader' : 'Writer'} Wait
+                </p>
+                <p className="summary-value">
+                  {result.metrics[role].averageWait} / {result.metrics[role].maxWait}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="stat-label">Policy Comparison</div>
+          <div className="table-wrapper">
+            <table className="process-table">
+              <thead>
+                <tr>
+                  <th>Policy</th>
+                  <th>Avg Reader Wait</th>
+                  <th>Avg Writer Wait</th>
+                  <th>Starved</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rwPolicyOptions.map((option) => {
+                  const { metrics, starved } = results[option.value];
+                  return (
+                    <tr key={option.value} className={option.value === policy ? 'active-row' : ''}>
+                      <td>{option.label}</td>
+                      <td>{metrics.reader.averageWait}</td>
+                      <td>{metrics.writer.averageWait}</td>
+                      <td>{starved.join(', ') || '—'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const ThreadLane = ({ thread, span, cursor }) => {
+  const length = Math.max(span.end - span.start, 1);
+  const place = (from, to) => ({
+    left: `${((from - span.start) / length) * 100}%`,
+    width: `${((to - from) / length) * 100}%`,
+  });
+  return (
+    <div className="rw-lane">
+      <div className="gantt-lane-label">
+        {thread.id} · wait {thread.wait}
+        {thread.starved && <span className="badge fault">starved</span>}
+      </div>
+      <div className="gantt-track">
+        {thread.wait > 0 && (
+          <div
+            className="gantt-bar rw-waiting"
+            style={place(thread.arrival, thread.start)}
+            title={`${thread.id} waits ${thread.arrival} → ${thread.start}`}
+          />
+        )}
+        <div
+          className={`gantt-bar rw-${thread.role}`}
+          style={place(thread.start, thread.end)}
+          title={`${thread.id} ${thread.role === 'writer' ? 'writes' : 'reads'} ${
+            thread.start
+          } → ${thread.end}`}
+        >
+          <span className="gantt-label">{thread.id}</span>
+        </div>
+        <div className="gantt-cursor" style={{ left: place(span.start, cursor).width }} />
+      </div>
+    </div>
+  );
+};
+
+export default ReadersWriters;
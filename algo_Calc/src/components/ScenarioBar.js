@@ -0,0 +1,80 @@
+import { useState } from 'react';
+
+const ScenarioBar = ({ scenarios, persist, onSave, onLoad, onDelete, onPersistChange }) => {
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError('Name the scenario before saving it.');
+      return;
+    }
+    onSave(trimmed);
+    setSelected(trimmed);
+    setName('');
+    setError('');
+  };
+
+  const selectedScenario = scenarios.find((scenario) => scenario.name === selected);
+
+  return (
+    <form className="scenario-bar" onSubmit={handleSave} aria-label="Saved scenarios">
+      <label>
+        Save as
+        <input
+          type="text"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          placeholder="Scenario name"
+        />
+      </label>
+      <button type="submit" className="btn secondary small">
+        Save
+      </button>
+      <label>
+        Saved
+        <select value={selected} onChange={(event) => setSelected(event.target.value)}>
+          <option value="">{scenarios.length ? 'Choose a scenario' : 'None saved yet'}</option>
+          {scenarios.map((scenario) => (
+            <option key={scenario.name} value={scenario.name}>
+              {scenario.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className="btn ghost small"
+        onClick={() => onLoad(selectedScenario)}
+        disabled={!selectedScenario}
+      >
+        Load
+      </button>
+      <button
+        type="button"
+        className="btn ghost small"
+        onClick={() => {
+          onDelete(selectedScenario);
+          setSelected('');
+        }}
+        disabled={!selectedScenario}
+      >
+        Delete
+      </button>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={persist}
+          onChange={(event) => onPersistChange(event.target.checked)}
+        />
+        Remember session in this browser
+      </label>
+      {error && <p className="form-error">{error}</p>}
+    </form>
+  );
+};
+
+export default ScenarioBar;
@@ -6,3 +6,4 @@ export { default as PageReplacement } from './PageReplacement';
 export { default as DiskScheduling } from './DiskScheduling';
 export { default as FileAllocations } from './FileAllocations';
 export { default as MftMvt } from './MftMvt';
+export { default as ScenarioBar } from './ScenarioBar';
@@ -0,0 +1,420 @@
+// Banker's algorithm: validation, Need, the safety check (with its trace, every safe sequence,
+// and checks of a proposed ordering), resource requests, and replayed request/release scripts
+// over plain matrices (`max`, `allocation` as rows per process, `available` as one vector). Any
+// number of processes and resource types works. Used by the Banker's view and the CLI.
+
+const resourceName = (index) => (index < 26 ? String.fromCharCode(65 + index) : `R${index + 1}`);
+
+// Available = Total minus what every process currently holds, per resource.
+const deriveAvailable = (total, allocation) =>
+  total.map((amount, j) => amount - allocation.reduce((sum, row) => sum + row[j], 0));
+
+// Returns a list of readable problems; an empty list means the state can be checked.
+const validateBankersState = ({ max, allocation, available }) => {
+  const resources = available.length;
+  if (!resources || !max.length || max.length !== allocation.length) {
+    return ['Provide Max and Allocation with one row per process, and an Available vector.'];
+  }
+  const rows = [...max, ...allocation];
+  const values = [...rows.flat(), ...available];
+  if (!rows.every((row) => row.length === resources)) {
+    return [`Every Max and Allocation row needs ${resources} values.`];
+  }
+  if (!values.every((value) => Number.isInteger(value))) {
+    return ['Every entry must be a whole number.'];
+  }
+
+  const errors = [];
+  allocation.forEach((row, i) =>
+    row.forEach((held, j) => {
+      if (held < 0 || max[i][j] < 0) {
+        errors.push(`P${i} has a negative ${resourceName(j)} entry.`);
+      } else if (held > max[i][j]) {
+        errors.push(`P${i} holds more ${resourceName(j)} than its Max (${held} > ${max[i][j]}).`);
+      }
+    }),
+  );
+  available.forEach((amount, j) => {
+    if (amount < 0) {
+      errors.push(`Allocation of ${resourceName(j)} exceeds the total by ${-amount}.`);
+    }
+  });
+  return errors;
+};
+
+const computeNeed = (max, allocation) =>
+  max.map((row, i) => row.map((value, j) => Math.max(value - allocation[i][j], 0)));
+
+// The work/finish loop, recorded step by step: every pass examines each unfinished process in
+// order, compares its Need with Work, and on acceptance releases its allocation into Work.
+// `stuck` lists the processes left unfinished with the resources whose Need exceeds the final
+// Work.
+const checkSafety = (available, allocation, need) => {
+  let work = [...available];
+  const finish = allocation.map(() => false);
+  const sequence = [];
+  const steps = [];
+
+  let pass = 0;
+  let progress = true;
+  while (progress && !finish.every(Boolean)) {
+    progress = false;
+    pass += 1;
+    for (let i = 0; i < allocation.length; i += 1) {
+      if (finish[i]) continue;
+      const step = examineProcess(i, need, work, allocation);
+      steps.push({ pass, ...step });
+      if (step.accepted) {
+        work = step.workAfter;
+        finish[i] = true;
+        sequence.push(i);
+        progress = true;
+      }
+    }
+  }
+
+  const stuck = finish.flatMap((done, i) =>
+    done ? [] : [{ process: i, resources: shortResources(need[i], work) }],
+  );
+  return { safe: stuck.length === 0, sequence, steps, work, stuck };
+};
+
+const examineProcess = (process, need, work, allocation) => {
+  const short = shortResources(need[process], work);
+  const accepted = short.length === 0;
+  const workAfter = accepted ? work.map((amount, j) => amount + allocation[process][j]) : work;
+  return { process, need: need[process], work, short, accepted, workAfter };
+};
+
+const shortResources = (need, work) =>
+  need.flatMap((required, j) => (required > work[j] ? [j] : []));
+
+// Counting stops here: the number of orderings grows like n!, past what a number holds exactly.
+const sequenceCountCap = 1000000;
+
+// Every safe sequence, depth first. Work depends only on which processes have finished, so the
+// number of ways to finish from each finished set is memoized. In a safe state every process can
+// still finish from any finished set the search reaches, so each branch adds at least one
+// sequence; `count` stops at `countCap` (then `countCapped` is set and it is a lower bound), and
+// the listed `sequences` stop at `limit`.
+const enumerateSafeSequences = (
+  available,
+  allocation,
+  need,
+  limit = 100,
+  countCap = sequenceCountCap,
+) => {
+  if (!checkSafety(available, allocation, need).safe) {
+    return { count: 0, countCapped: false, sequences: [], capped: false };
+  }
+  const completions = new Map();
+  const sequences = [];
+
+  const candidates = (finished, work) =>
+    allocation.flatMap((_, i) =>
+      !finished[i] && shortResources(need[i], work).length === 0 ? [i] : [],
+    );
+  const release = (work, i) => work.map((amount, j) => amount + allocation[i][j]);
+  const finishing = (finished, i) => finished.map((done, k) => done || k === i);
+
+  const countFrom = (finished, work) => {
+    if (finished.every(Boolean)) return 1;
+    const key = finished.map(Number).join('');
+    if (!completions.has(key)) {
+      let sum = 0;
+      for (const i of candidates(finished, work)) {
+        sum += countFrom(finishing(finished, i), release(work, i));
+        if (sum >= countCap) break;
+      }
+      completions.set(key, Math.min(sum, countCap));
+    }
+    return completions.get(key);
+  };
+
+  const collect = (prefix, finished, work) => {
+    if (sequences.length >= limit) return;
+    if (prefix.length === allocation.length) {
+      sequences.push(prefix);
+      return;
+    }
+    candidates(finished, work).forEach((i) =>
+      collect([...prefix, i], finishing(finished, i), release(work, i)),
+    );
+  };
+
+  const start = allocation.map(() => false);
+  const count = countFrom(start, available);
+  collect([], start, available);
+  return { count, countCapped: count >= countCap, sequences, capped: count > sequences.length };
+};
+
+// Reads orderings written as `P1 → P3 → P4`, `<P1, P3, P4>`, or `1 3 4`.
+const parseSequence = (input) =>
+  input
+    .split(/[^Pp\d]+/)
+    .filter(Boolean)
+    .map((token) => Number(token.replace(/^p/i, '')))
+    .filter((num) => Number.isInteger(num));
+
+// Walks a proposed ordering and stops at the first process whose Need exceeds Work; `failedAt`
+// is that position in the ordering.
+const checkSequence = (available, allocation, need, order) => {
+  const problem = describeOrderProblem(order, allocation.length);
+  if (problem) {
+    return { safe: false, steps: [], failedAt: null, message: problem };
+  }
+
+  let work = [...available];
+  const steps = [];
+  for (let index = 0; index < order.length; index += 1) {
+    const step = examineProcess(order[index], need, work, allocation);
+    steps.push(step);
+    if (!step.accepted) {
+      const short = step.short.map(resourceName).join(', ');
+      return {
+        safe: false,
+        steps,
+        failedAt: index,
+        message:
+          `Not safe: P${step.process} (position ${index + 1}) needs (${step.need.join(' ')}) ` +
+          `but Work is only (${work.join(' ')}); short of ${short}.`,
+      };
+    }
+    work = step.workAfter;
+  }
+  return {
+    safe: true,
+    steps,
+    failedAt: null,
+    message: `${formatSequence(order)} is a safe sequence.`,
+  };
+};
+
+const describeOrderProblem = (order, processes) => {
+  if (!order.length) {
+    return 'Enter an ordering such as P1 → P3 → P4 → P0 → P2.';
+  }
+  const unknown = order.find((pid) => pid < 0 || pid >= processes);
+  if (unknown !== undefined) {
+    return `P${unknown} does not exist; processes run from P0 to P${processes - 1}.`;
+  }
+  const repeated = order.find((pid, index) => order.indexOf(pid) !== index);
+  if (repeated !== undefined) {
+    return `P${repeated} appears more than once.`;
+  }
+  const missing = Array.from({ length: processes }, (_, pid) => pid).filter(
+    (pid) => !order.includes(pid),
+  );
+  return missing.length
+    ? `The ordering leaves out ${missing.map((pid) => `P${pid}`).join(', ')}.`
+    : null;
+};
+
+// Returns `{ granted, message }`, plus the new `available`/`allocation` and safe sequence when
+// the request is granted.
+const requestResources = ({ max, allocation, available }, pid, request) => {
+  if (pid < 0 || pid >= allocation.length) {
+    return { granted: false, message: 'Select a valid process.' };
+  }
+
+  if (!request.every((r) => r >= 0)) {
+    return { granted: false, message: 'Request amounts cannot be negative. Denied.' };
+  }
+
+  const need = computeNeed(max, allocation);
+  if (!request.every((r, i) => r <= need[pid][i])) {
+    return { granted: false, message: 'Request exceeds process need. Denied.' };
+  }
+
+  if (!request.every((r, i) => r <= available[i])) {
+    return { granted: false, message: 'Request exceeds available resources. Denied.' };
+  }
+
+  const newAvailable = available.map((a, i) => a - request[i]);
+  const newAllocation = allocation.map((row, i) =>
+    i === pid ? row.map((a, j) => a + request[j]) : row,
+  );
+
+  const tentative = checkSafety(newAvailable, newAllocation, computeNeed(max, newAllocation));
+  if (!tentative.safe) {
+    return { granted: false, message: 'Request would lead to an unsafe state. Denied.' };
+  }
+
+  return {
+    granted: true,
+    message: `Request granted. Safe sequence: ${formatSequence(tentative.sequence)}`,
+    available: newAvailable,
+    allocation: newAllocation,
+    sequence: tentative.sequence,
+  };
+};
+
+const formatSequence = (sequence) => sequence.map((p) => `P${p}`).join(' → ');
+
+const scriptActions = {
+  req: 'request',
+  request: 'request',
+  rel: 'release',
+  release: 'release',
+  fin: 'finish',
+  finish: 'finish',
+};
+
+// Reads an event script such as `P1 req 1 0 2; P4 req 3 3 0; P1 rel 1 0 0; P0 finish`, one
+// event per `;` or line. Unreadable events are reported by position and skipped.
+const parseBankersScript = (input) => {
+  const events = [];
+  const errors = [];
+  input
+    .split(/[;\n]+/)
+    .map((part) => part.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .forEach((text, index) => {
+      const match = text.match(/^P?(\d+)\s*:?\s+([a-z]+)\b\s*(.*)$/i);
+      const action = match && scriptActions[match[2].toLowerCase()];
+      if (!action) {
+        errors.push(
+          `Event ${index + 1} ("${text}"): use "P1 req 1 0 2", "P1 rel 1 0 0", or "P1 finish".`,
+        );
+        return;
+      }
+      const resources = match[3]
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number);
+      const wholeNumbers = resources.every((amount) => Number.isInteger(amount) && amount >= 0);
+      if (action !== 'finish' && (!resources.length || !wholeNumbers)) {
+        errors.push(
+          `Event ${index + 1} ("${text}"): list whole-number amounts after "${match[2]}".`,
+        );
+        return;
+      }
+      events.push({ process: Number(match[1]), action, resources, text });
+    });
+  return { events, errors };
+};
+
+// Replays a script against a Banker's state. Requests are granted, denied (invalid: unknown
+// process, above Need, finished process), or left waiting (above Available, or unsafe) in a
+// FIFO queue that is retried after every release or finish. A process with a waiting request is
+// blocked and cannot act. Each step carries the state and queue after it.
+const replayBankersScript = (initial, events) => {
+  let state = { ...initial, finished: initial.allocation.map(() => false) };
+  let queue = [];
+  const steps = [];
+
+  const snapshot = () => ({
+    max: state.max,
+    allocation: state.allocation,
+    available: state.available,
+    need: computeNeed(state.max, state.allocation),
+  });
+
+  const tryRequest = (event) => {
+    const need = computeNeed(state.max, state.allocation)[event.process];
+    if (!event.resources.every((amount, j) => amount <= need[j])) {
+      return { outcome: 'deny', reason: `Exceeds P${event.process}'s Need ${vectorText(need)}.` };
+    }
+    if (!event.resources.every((amount, j) => amount <= state.available[j])) {
+      return {
+        outcome: 'wait',
+        reason: `Exceeds Available ${vectorText(state.available)}; P${event.process} waits.`,
+      };
+    }
+    const result = requestResources(state, event.process, event.resources);
+    if (!result.granted) {
+      return { outcome: 'wait', reason: `Would leave the system unsafe; P${event.process} waits.` };
+    }
+    state = { ...state, allocation: result.allocation, available: result.available };
+    return {
+      outcome: 'grant',
+      reason: `Leaves the safe sequence ${formatSequence(result.sequence)}.`,
+    };
+  };
+
+  const giveBack = (pid, amounts) => {
+    state = {
+      ...state,
+      allocation: state.allocation.map((row, i) =>
+        i === pid ? row.map((held, j) => held - amounts[j]) : row,
+      ),
+      available: state.available.map((amount, j) => amount + amounts[j]),
+    };
+  };
+
+  // Grants only use up resources, so one pass over the queue in order is enough. Every retry is
+  // reported, including those that go on waiting.
+  const retryQueue = () => {
+    const retried = [];
+    queue = queue.filter((event) => {
+      const result = tryRequest(event);
+      retried.push({ event, ...result });
+      return result.outcome === 'wait';
+    });
+    return retried;
+  };
+
+  const apply = (event) => {
+    const { process: pid, action, resources } = event;
+    if (pid < 0 || pid >= state.allocation.length) {
+      return { outcome: 'deny', reason: `P${pid} does not exist.` };
+    }
+    if (action !== 'finish' && resources.length !== state.available.length) {
+      return {
+        outcome: 'deny',
+        reason: `Give ${state.available.length} amounts, one per resource.`,
+      };
+    }
+    if (state.finished[pid]) {
+      return { outcome: 'deny', reason: `P${pid} has already finished.` };
+    }
+    if (queue.some((waiting) => waiting.process === pid)) {
+      return { outcome: 'deny', reason: `P${pid} is blocked on its waiting request.` };
+    }
+    if (action === 'request') {
+      const result = tryRequest(event);
+      if (result.outcome === 'wait') queue = [...queue, event];
+      return result;
+    }
+    if (action === 'release') {
+      const held = state.allocation[pid];
+      if (!resources.every((amount, j) => amount >= 0 && amount <= held[j])) {
+        return { outcome: 'deny', reason: `P${pid} holds only ${vectorText(held)}.` };
+      }
+      giveBack(pid, resources);
+      return { outcome: 'release', reason: `P${pid} released ${vectorText(resources)}.` };
+    }
+    const held = state.allocation[pid];
+    giveBack(pid, held);
+    state = {
+      ...state,
+      max: state.max.map((row, i) => (i === pid ? row.map(() => 0) : row)),
+      finished: state.finished.map((done, i) => done || i === pid),
+    };
+    return { outcome: 'finish', reason: `P${pid} finished and returned ${vectorText(held)}.` };
+  };
+
+  events.forEach((event) => {
+    const result = apply(event);
+    const retried = result.outcome === 'release' || result.outcome === 'finish' ? retryQueue() : [];
+    steps.push({ event, ...result, retried, queue, state: snapshot() });
+  });
+  return { steps, queue, state: snapshot() };
+};
+
+const vectorText = (vector) => `(${vector.join(' ')})`;
+
+export {
+  resourceName,
+  deriveAvailable,
+  validateBankersState,
+  computeNeed,
+  checkSafety,
+  enumerateSafeSequences,
+  parseSequence,
+  checkSequence,
+  requestResources,
+  formatSequence,
+  parseBankersScript,
+  replayBankersScript,
+};
@@ -0,0 +1,210 @@
+import {
+  checkSafety,
+  checkSequence,
+  computeNeed,
+  deriveAvailable,
+  enumerateSafeSequences,
+  parseBankersScript,
+  parseSequence,
+  replayBankersScript,
+  requestResources,
+  resourceName,
+  validateBankersState,
+} from './bankers.js';
+
+const state = {
+  max: [
+    [7, 5, 3],
+    [3, 2, 2],
+    [9, 0, 2],
+    [2, 2, 2],
+    [4, 3, 3],
+  ],
+  allocation: [
+    [0, 1, 0],
+    [2, 0, 0],
+    [3, 0, 2],
+    [2, 1, 1],
+    [0, 0, 2],
+  ],
+  available: [3, 3, 2],
+};
+
+test('the textbook state is safe', () => {
+  const need = computeNeed(state.max, state.allocation);
+  expect(need[0]).toEqual([7, 4, 3]);
+  const result = checkSafety(state.available, state.allocation, need);
+  expect(result.safe).toBe(true);
+  expect(result.sequence).toEqual([1, 3, 4, 0, 2]);
+  expect(result.work).toEqual([10, 5, 7]);
+  expect(result.stuck).toEqual([]);
+});
+
+test('the safety trace records every Need-versus-Work comparison by pass', () => {
+  const need = computeNeed(state.max, state.allocation);
+  const { steps } = checkSafety(state.available, state.allocation, need);
+  expect(steps.map((step) => [step.pass, step.process, step.accepted])).toEqual([
+    [1, 0, false],
+    [1, 1, true],
+    [1, 2, false],
+    [1, 3, true],
+    [1, 4, true],
+    [2, 0, true],
+    [2, 2, true],
+  ]);
+  expect(steps[0]).toMatchObject({ work: [3, 3, 2], short: [0, 1, 2], workAfter: [3, 3, 2] });
+  expect(steps[1]).toMatchObject({ need: [1, 2, 2], work: [3, 3, 2], workAfter: [5, 3, 2] });
+  expect(steps[2].short).toEqual([0]);
+});
+
+test('an unsafe state names the stuck processes and the resources blocking them', () => {
+  const need = computeNeed(state.max, state.allocation);
+  const result = checkSafety([1, 2, 2], state.allocation, need);
+  expect(result.safe).toBe(false);
+  expect(result.sequence).toEqual([1, 3, 4]);
+  expect(result.work).toEqual([5, 3, 5]);
+  expect(result.stuck).toEqual([
+    { process: 0, resources: [0, 1] },
+    { process: 2, resources: [0] },
+  ]);
+});
+
+test('P1 requesting (1, 0, 2) is granted, then P4 and P0 are denied', () => {
+  const granted = requestResources(state, 1, [1, 0, 2]);
+  expect(granted.granted).toBe(true);
+  expect(granted.available).toEqual([2, 3, 0]);
+
+  const next = { ...state, allocation: granted.allocation, available: granted.available };
+  expect(requestResources(next, 4, [3, 3, 0]).message).toMatch(/exceeds available/);
+  expect(requestResources(next, 0, [0, 2, 0]).message).toMatch(/unsafe/);
+});
+
+test('a request above the declared need is refused', () => {
+  expect(requestResources(state, 3, [1, 1, 1]).granted).toBe(false);
+});
+
+test('a request with a negative amount is refused', () => {
+  const result = requestResources(state, 1, [-2, 0, 0]);
+  expect(result).toEqual({
+    granted: false,
+    message: 'Request amounts cannot be negative. Denied.',
+  });
+});
+
+test('Available can be derived from a Total vector', () => {
+  expect(deriveAvailable([10, 5, 7], state.allocation)).toEqual([3, 3, 2]);
+});
+
+test('validation reports allocations above Max or above the total', () => {
+  expect(validateBankersState(state)).toEqual([]);
+  const allocation = state.allocation.map((row, i) => (i === 3 ? [3, 1, 1] : row));
+  expect(
+    validateBankersState({
+      ...state,
+      allocation,
+      available: deriveAvailable([6, 5, 7], allocation),
+    }),
+  ).toEqual(['P3 holds more A than its Max (3 > 2).', 'Allocation of A exceeds the total by 2.']);
+  expect(validateBankersState({ ...state, available: [3, 3] })[0]).toMatch(/needs 2 values/);
+});
+
+test('any number of resource types gets a name', () => {
+  expect([0, 3, 25, 26].map(resourceName)).toEqual(['A', 'D', 'Z', 'R27']);
+});
+
+test('the textbook state has 16 safe sequences, listed up to the cap', () => {
+  const need = computeNeed(state.max, state.allocation);
+  const all = enumerateSafeSequences(state.available, state.allocation, need);
+  expect(all.count).toBe(16);
+  expect(all.capped).toBe(false);
+  expect(all.sequences).toContainEqual([1, 3, 4, 0, 2]);
+  expect(all.sequences.every((sequence) => [1, 3].includes(sequence[0]))).toBe(true);
+
+  const capped = enumerateSafeSequences(state.available, state.allocation, need, 3);
+  expect(capped).toMatchObject({ count: 16, countCapped: false, capped: true });
+  expect(capped.sequences).toHaveLength(3);
+});
+
+test('the sequence count stops at its cap, and quickly, when every order is safe', () => {
+  const idle = Array.from({ length: 18 }, () => [0]);
+  const all = enumerateSafeSequences([0], idle, idle, 5);
+  expect(all).toMatchObject({ count: 1000000, countCapped: true, capped: true });
+  expect(all.sequences).toHaveLength(5);
+
+  expect(enumerateSafeSequences([0], idle.slice(0, 4), idle.slice(0, 4), 5, 10)).toMatchObject({
+    count: 10,
+    countCapped: true,
+  });
+  expect(enumerateSafeSequences([0], [[1]], [[1]])).toMatchObject({ count: 0, sequences: [] });
+});
+
+test('a candidate ordering is checked and its first failure reported', () => {
+  const need = computeNeed(state.max, state.allocation);
+  const check = (text) =>
+    checkSequence(state.available, state.allocation, need, parseSequence(text));
+
+  expect(check('P1 → P3 → P4 → P0 → P2').safe).toBe(true);
+  const failed = check('<P1, P0, P3, P4, P2>');
+  expect(failed).toMatchObject({ safe: false, failedAt: 1 });
+  expect(failed.steps[1].short).toEqual([0, 1, 2]);
+  expect(check('1 3 3 0 2').message).toMatch(/P3 appears more than once/);
+  expect(check('1 3 4').message).toMatch(/leaves out P0, P2/);
+});
+
+test('an event script is parsed, with unreadable events reported', () => {
+  const { events, errors } = parseBankersScript('P1 req 1 0 2; P1 rel 1 0 0\nP0 finish; P2 go');
+  expect(events.map((event) => [event.process, event.action, event.resources])).toEqual([
+    [1, 'request', [1, 0, 2]],
+    [1, 'release', [1, 0, 0]],
+    [0, 'finish', []],
+  ]);
+  expect(errors).toEqual([
+    'Event 4 ("P2 go"): use "P1 req 1 0 2", "P1 rel 1 0 0", or "P1 finish".',
+  ]);
+});
+
+test('negative script amounts are reported, not replayed', () => {
+  const { events, errors } = parseBankersScript('P1 req -1 0 0; P1 rel 0 -1 0');
+  expect(events).toEqual([]);
+  expect(errors).toEqual([
+    'Event 1 ("P1 req -1 0 0"): list whole-number amounts after "req".',
+    'Event 2 ("P1 rel 0 -1 0"): list whole-number amounts after "rel".',
+  ]);
+});
+
+test('waiting requests queue and are retried when resources come back', () => {
+  const { events } = parseBankersScript(
+    'P1 req 1 0 2; P4 req 3 3 0; P1 rel 1 0 0; P0 finish; P3 finish; P0 req 1 0 0; P2 req 9 0 0',
+  );
+  const { steps, queue, state: final } = replayBankersScript(state, events);
+  expect(steps.map((step) => step.outcome)).toEqual([
+    'grant',
+    'wait',
+    'release',
+    'finish',
+    'finish',
+    'deny',
+    'deny',
+  ]);
+  expect(steps[1].reason).toMatch(/Exceeds Available \(2 3 0\)/);
+  expect(steps[2].queue.map((event) => event.text)).toEqual(['P4 req 3 3 0']);
+  expect(steps[3].state.available).toEqual([3, 4, 0]);
+  // Retries that still have to wait are reported too.
+  expect(steps[2].retried).toMatchObject([
+    { outcome: 'wait', event: { process: 4 }, reason: expect.stringMatching(/unsafe; P4 waits/) },
+  ]);
+  expect(steps[3].retried).toMatchObject([{ outcome: 'wait', event: { process: 4 } }]);
+  expect(steps[4].retried).toMatchObject([{ outcome: 'grant', event: { process: 4 } }]);
+  expect(steps[5].reason).toMatch(/already finished/);
+  expect(steps[6].reason).toMatch(/Need/);
+  expect(queue).toEqual([]);
+  expect(final.allocation[4]).toEqual([3, 3, 2]);
+  expect(final.need[0]).toEqual([0, 0, 0]);
+});
+
+test('a request that would be unsafe waits, and a blocked process cannot act', () => {
+  const { events } = parseBankersScript('P1 req 1 0 2; P0 req 0 2 0; P0 rel 0 1 0');
+  const { steps } = replayBankersScript(state, events);
+  expect(steps[1]).toMatchObject({ outcome: 'wait', reason: expect.stringMatching(/unsafe/) });
+  expect(steps[2]).toMatchObject({ outcome: 'deny', reason: expect.stringMatching(/blocked/) });
+});
@@ -0,0 +1,201 @@
+// Deadlock detection for multi-instance resources: the detection algorithm over Allocation and
+// the current Request matrix, the resource-allocation and wait-for graphs with their cycles, and
+// the recovery actions (abort a victim, preempt resources). Matrices use the same layout as
+// bankers.js: one row per process, one column per resource type.
+
+import { resourceName } from './bankers.js';
+
+// Returns a list of readable problems; an empty list means detection can run.
+const validateDetectionState = ({ allocation, request, available }) => {
+  const resources = available.length;
+  if (!resources || !allocation.length || allocation.length !== request.length) {
+    return ['Provide Allocation and Request with one row per process, and an Available vector.'];
+  }
+  const rows = [...allocation, ...request];
+  if (!rows.every((row) => row.length === resources)) {
+    return [`Every Allocation and Request row needs ${resources} values.`];
+  }
+  if (![...rows.flat(), ...available].every((value) => Number.isInteger(value))) {
+    return ['Every entry must be a whole number.'];
+  }
+
+  const errors = [];
+  rows.forEach((row, index) => {
+    if (row.some((value) => value < 0)) {
+      const matrix = index < allocation.length ? 'Allocation' : 'Request';
+      errors.push(`${matrix} for P${index % allocation.length} has a negative entry.`);
+    }
+  });
+  available.forEach((amount, j) => {
+    if (amount < 0) {
+      errors.push(`Allocation of ${resourceName(j)} exceeds the total by ${-amount}.`);
+    }
+  });
+  return errors;
+};
+
+// The detection algorithm: like the safety check, but a process only has to fit its current
+// Request into Work. Processes holding nothing start out finished, since they cannot be part of
+// a deadlock. Whoever is still unfinished when no pass makes progress is deadlocked.
+const detectDeadlock = (available, allocation, request) => {
+  let work = [...available];
+  const finish = allocation.map((row) => row.every((held) => held === 0));
+  const sequence = [];
+  const steps = [];
+
+  let pass = 0;
+  let progress = true;
+  while (progress && !finish.every(Boolean)) {
+    progress = false;
+    pass += 1;
+    for (let i = 0; i < allocation.length; i += 1) {
+      if (finish[i]) continue;
+      const short = exceeding(request[i], work);
+      const accepted = short.length === 0;
+      const workAfter = accepted ? work.map((amount, j) => amount + allocation[i][j]) : work;
+      steps.push({ pass, process: i, request: request[i], work, short, accepted, workAfter });
+      if (accepted) {
+        work = workAfter;
+        finish[i] = true;
+        sequence.push(i);
+      }
+      progress = progress || accepted;
+    }
+  }
+
+  const deadlocked = finish.flatMap((done, i) => (done ? [] : [i]));
+  return { deadlocked, sequence, steps, work };
+};
+
+const exceeding = (wanted, work) => wanted.flatMap((amount, j) => (amount > work[j] ? [j] : []));
+
+// Request edges run from a process to a resource type, assignment edges from a resource type
+// to the process holding its instances; `count` is the number of instances on the edge.
+const allocationGraph = (allocation, request) => {
+  const edges = [];
+  allocation.forEach((row, i) =>
+    row.forEach((_, j) => {
+      if (request[i][j] > 0) {
+        edges.push({ from: `P${i}`, to: resourceName(j), kind: 'request', count: request[i][j] });
+      }
+      if (allocation[i][j] > 0) {
+        edges.push({
+          from: resourceName(j),
+          to: `P${i}`,
+          kind: 'assignment',
+          count: allocation[i][j],
+        });
+      }
+    }),
+  );
+  return edges;
+};
+
+// Collapses the resource nodes: Pi waits for Pj when Pi requests a resource type that Available
+// cannot cover and Pj holds instances of it.
+const waitForGraph = (available, allocation, request) => {
+  const edges = [];
+  request.forEach((row, i) => {
+    const blocked = exceeding(row, available);
+    allocation.forEach((held, j) => {
+      const resources = blocked.filter((r) => j !== i && held[r] > 0);
+      if (resources.length) {
+        edges.push({ from: `P${i}`, to: `P${j}`, resources: resources.map(resourceName) });
+      }
+    });
+  });
+  return edges;
+};
+
+// Strongly connected components with more than one node (Tarjan). Every edge inside such a
+// component lies on a cycle, and `path` spells out one cycle through its first node.
+const findCycles = (edges) => {
+  const adjacency = new Map();
+  edges.forEach(({ from, to }) => {
+    adjacency.set(from, [...(adjacency.get(from) ?? []), to]);
+    if (!adjacency.has(to)) adjacency.set(to, []);
+  });
+
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (node) => {
+    index.set(node, index.size);
+    low.set(node, index.get(node));
+    stack.push(node);
+    onStack.add(node);
+    adjacency.get(node).forEach((next) => {
+      if (!index.has(next)) {
+        connect(next);
+        low.set(node, Math.min(low.get(node), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(node, Math.min(low.get(node), index.get(next)));
+      }
+    });
+    if (low.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1) components.push(component.reverse());
+    }
+  };
+
+  [...adjacency.keys()].forEach((node) => {
+    if (!index.has(node)) connect(node);
+  });
+
+  return components.map((nodes) => ({ nodes, path: cyclePath(nodes, adjacency) }));
+};
+
+const cyclePath = (nodes, adjacency) => {
+  const [start] = nodes;
+  const visit = (path) => {
+    const last = path[path.length - 1];
+    for (const next of adjacency.get(last)) {
+      if (next === start) return [...path, start];
+      if (nodes.includes(next) && !path.includes(next)) {
+        const found = visit([...path, next]);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+  return visit([start]);
+};
+
+// Recovery by termination: the victim releases everything it holds and its request is dropped.
+const abortProcess = ({ allocation, request, available }, pid) => ({
+  allocation: allocation.map((row, i) => (i === pid ? row.map(() => 0) : row)),
+  request: request.map((row, i) => (i === pid ? row.map(() => 0) : row)),
+  available: available.map((amount, j) => amount + allocation[pid][j]),
+});
+
+// Recovery by preemption: up to `amounts` instances go back to Available, and the rolled-back
+// victim has to request them again.
+const preemptResources = ({ allocation, request, available }, pid, amounts) => {
+  const taken = allocation[pid].map((held, j) => Math.min(held, Math.max(amounts[j] ?? 0, 0)));
+  return {
+    allocation: allocation.map((row, i) =>
+      i === pid ? row.map((held, j) => held - taken[j]) : row,
+    ),
+    request: request.map((row, i) => (i === pid ? row.map((wanted, j) => wanted + taken[j]) : row)),
+    available: available.map((amount, j) => amount + taken[j]),
+  };
+};
+
+export {
+  validateDetectionState,
+  detectDeadlock,
+  allocationGraph,
+  waitForGraph,
+  findCycles,
+  abortProcess,
+  preemptResources,
+};
@@ -0,0 +1,96 @@
+import {
+  abortProcess,
+  allocationGraph,
+  detectDeadlock,
+  findCycles,
+  preemptResources,
+  validateDetectionState,
+  waitForGraph,
+} from './deadlock.js';
+
+// The textbook detection example: A has 7 instances, B 2, C 6, and nothing is available.
+const allocation = [
+  [0, 1, 0],
+  [2, 0, 0],
+  [3, 0, 3],
+  [2, 1, 1],
+  [0, 0, 2],
+];
+const request = [
+  [0, 0, 0],
+  [2, 0, 2],
+  [0, 0, 0],
+  [1, 0, 0],
+  [0, 0, 2],
+];
+const available = [0, 0, 0];
+const deadlockedRequest = request.map((row, i) => (i === 2 ? [0, 0, 1] : row));
+
+const deadlockedIn = (state) =>
+  detectDeadlock(state.available, state.allocation, state.request).deadlocked;
+
+test('the textbook state is not deadlocked', () => {
+  const result = detectDeadlock(available, allocation, request);
+  expect(result.deadlocked).toEqual([]);
+  expect(result.sequence).toEqual([0, 2, 3, 4, 1]);
+  expect(result.work).toEqual([7, 2, 6]);
+});
+
+test('one more instance of C for P2 deadlocks P1 through P4', () => {
+  const result = detectDeadlock(available, allocation, deadlockedRequest);
+  expect(result.deadlocked).toEqual([1, 2, 3, 4]);
+  expect(result.sequence).toEqual([0]);
+  expect(result.steps[result.steps.length - 1]).toMatchObject({ process: 4, short: [2] });
+});
+
+test('processes holding nothing are never reported as deadlocked', () => {
+  const idle = detectDeadlock([0, 0], [[0, 0]], [[5, 5]]);
+  expect(idle.deadlocked).toEqual([]);
+  expect(idle.steps).toEqual([]);
+});
+
+test('the wait-for graph collapses resources and its cycle is found', () => {
+  const edges = waitForGraph(available, allocation, deadlockedRequest);
+  expect(edges).toContainEqual({ from: 'P1', to: 'P2', resources: ['A', 'C'] });
+  expect(edges).toContainEqual({ from: 'P3', to: 'P1', resources: ['A'] });
+  expect(edges.some((edge) => edge.from === 'P0' || edge.to === 'P0')).toBe(false);
+
+  const cycles = findCycles(edges);
+  expect(cycles).toHaveLength(1);
+  expect([...cycles[0].nodes].sort()).toEqual(['P1', 'P2', 'P3', 'P4']);
+  expect(cycles[0].path).toEqual(['P1', 'P2', 'P3', 'P1']);
+});
+
+test('the resource-allocation graph has request and assignment edges', () => {
+  const edges = allocationGraph(allocation, deadlockedRequest);
+  expect(edges).toContainEqual({ from: 'P1', to: 'A', kind: 'request', count: 2 });
+  expect(edges).toContainEqual({ from: 'C', to: 'P2', kind: 'assignment', count: 3 });
+  expect(findCycles(edges)[0].nodes).not.toContain('P0');
+  expect(findCycles(allocationGraph([[1], [0]], [[0], [1]]))).toEqual([]);
+});
+
+test('aborting or preempting a victim resolves the deadlock', () => {
+  const state = { allocation, request: deadlockedRequest, available };
+
+  const aborted = abortProcess(state, 2);
+  expect(aborted.available).toEqual([3, 0, 3]);
+  expect(aborted.allocation[2]).toEqual([0, 0, 0]);
+  expect(deadlockedIn(aborted)).toEqual([]);
+
+  const preempted = preemptResources(state, 2, [0, 0, 9]);
+  expect(preempted.allocation[2]).toEqual([3, 0, 0]);
+  expect(preempted.request[2]).toEqual([0, 0, 4]);
+  expect(preempted.available).toEqual([0, 0, 3]);
+  expect(deadlockedIn(preempted)).toEqual([]);
+});
+
+test('negative entries and over-allocation are reported', () => {
+  expect(validateDetectionState({ allocation, request, available })).toEqual([]);
+  expect(
+    validateDetectionState({
+      allocation,
+      request: request.map((row, i) => (i === 1 ? [-1, 0, 0] : row)),
+      available: [0, -2, 0],
+    }),
+  ).toEqual(['Request for P1 has a negative entry.', 'Allocation of B exceeds the total by 2.']);
+});
@@ -0,0 +1,90 @@
+// Disk scheduling: orders pending cylinder requests from a head position and direction and
+// totals the seek distance. Used by the Disk Scheduling view and the CLI.
+
+const diskAlgorithmOptions = [
+  { value: 'fcfs', label: 'FCFS' },
+  { value: 'sstf', label: 'SSTF' },
+  { value: 'scan', label: 'SCAN' },
+  { value: 'cscan', label: 'CSCAN' },
+  { value: 'look', label: 'LOOK' },
+  { value: 'clook', label: 'CLOOK' },
+];
+
+const defaultMaxCylinder = 199;
+
+const parseRequests = (input, max = defaultMaxCylinder) =>
+  input
+    .split(/[\s,]+/)
+    .map((token) => token.trim())
+    .filter(Boolean)
+    .map((token) => Number(token))
+    .filter((num) => Number.isFinite(num) && num >= 0 && num <= max);
+
+const simulateDisk = (algorithm, head, direction, requests, maxCyl = defaultMaxCylinder) => {
+  const order = orderRequests(algorithm, head, direction, requests, maxCyl);
+  const path = [head, ...order];
+  const timeline = [];
+  let total = 0;
+
+  for (let i = 1; i < path.length; i += 1) {
+    const move = Math.abs(path[i] - path[i - 1]);
+    total += move;
+    timeline.push({
+      index: i - 1,
+      position: path[i],
+      move,
+      cumulative: total,
+    });
+  }
+
+  return { path, timeline, total, served: order.length };
+};
+
+const orderRequests = (algorithm, head, direction, reqs, maxCyl = defaultMaxCylinder) => {
+  const left = reqs.filter((r) => r < head).sort((a, b) => a - b);
+  const right = reqs.filter((r) => r >= head).sort((a, b) => a - b);
+
+  switch (algorithm) {
+    case 'fcfs':
+      return reqs;
+    case 'sstf':
+      return sstf(head, reqs);
+    case 'scan':
+      return direction === 'right'
+        ? [...right, maxCyl, ...left.reverse()]
+        : [...left.reverse(), 0, ...right];
+    case 'cscan':
+      return direction === 'right'
+        ? [...right, maxCyl, 0, ...left]
+        : [...left.reverse(), 0, maxCyl, ...right.reverse()];
+    case 'look':
+      return direction === 'right' ? [...right, ...left.reverse()] : [...left.reverse(), ...right];
+    case 'clook':
+      return direction === 'right' ? [...right, ...left] : [...left.reverse(), ...right.reverse()];
+    default:
+      return reqs;
+  }
+};
+
+const sstf = (head, reqs) => {
+  const pending = [...reqs];
+  let current = head;
+  const order = [];
+  while (pending.length) {
+    let bestIdx = 0;
+    let bestDist = Math.abs(pending[0] - current);
+    for (let i = 1; i < pending.length; i += 1) {
+      const dist = Math.abs(pending[i] - current);
+      if (dist < bestDist) {
+        bestDist = dist;
+        bestIdx = i;
+      }
+    }
+    const [next] = pending.splice(bestIdx, 1);
+    order.push(next);
+    current = next;
+  }
+  return order;
+};
+
+export { diskAlgorithmOptions, defaultMaxCylinder, parseRequests, simulateDisk, orderRequests };
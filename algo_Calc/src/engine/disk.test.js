@@ -0,0 +1,19 @@
+import { parseRequests, simulateDisk } from './disk.js';
+
+// Queue 98 183 37 122 14 124 65 67 with the head at 53 on cylinders 0–199.
+const queue = parseRequests('98 183 37 122 14 124 65 67');
+
+test.each([
+  ['fcfs', 'right', 640],
+  ['sstf', 'right', 236],
+  ['scan', 'left', 236],
+  ['cscan', 'right', 382],
+  ['look', 'right', 299],
+  ['clook', 'right', 322],
+])('%s moving %s seeks %i cylinders', (algorithm, direction, total) => {
+  expect(simulateDisk(algorithm, 53, direction, queue).total).toBe(total);
+});
+
+test('requests outside the disk are dropped', () => {
+  expect(parseRequests('5, 250 -1 40', 199)).toEqual([5, 40]);
+});
@@ -0,0 +1,11 @@
+export * from './scheduling.js';
+export * from './workload.js';
+export * from './random.js';
+export * from './paging.js';
+export * from './disk.js';
+export * from './bankers.js';
+export * from './memoryFit.js';
+export * from './deadlock.js';
+export * from './synchronization.js';
+export * from './readersWriters.js';
+export * from './philosophers.js';
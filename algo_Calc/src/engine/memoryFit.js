@@ -0,0 +1,127 @@
+// Variable-partition allocation with First/Best/Worst/Next Fit. Memory is a list of blocks
+// `{ id, label, size, free, requested, hole }`; `hole` names the region a block was carved
+// from, so freeing only merges neighbours from the same region. Used by the Fit Algorithms
+// view and the CLI.
+
+const fitAlgorithms = [
+  { value: 'first', label: 'First Fit' },
+  { value: 'best', label: 'Best Fit' },
+  { value: 'worst', label: 'Worst Fit' },
+  { value: 'next', label: 'Next Fit' },
+];
+
+const createHoles = (sizes) =>
+  sizes.map((size, index) => ({
+    id: index + 1,
+    label: 'Free',
+    size,
+    free: true,
+    requested: 0,
+    hole: index + 1,
+  }));
+
+const coalesce = (list) => {
+  const merged = [];
+  for (let i = 0; i < list.length; i += 1) {
+    const current = list[i];
+    const previous = merged[merged.length - 1];
+    if (current.free && previous?.free && previous.hole === current.hole) {
+      previous.size += current.size;
+    } else {
+      merged.push({ ...current });
+    }
+  }
+  return merged.map((block, idx) => ({ ...block, id: block.id || idx + 1 }));
+};
+
+const findBlockIndex = (blocks, size, algorithm, nextFitStart = 0) => {
+  const indices = blocks.map((_, idx) => idx);
+  switch (algorithm) {
+    case 'best': {
+      const best = indices
+        .filter((i) => blocks[i].free && blocks[i].size >= size)
+        .sort((a, b) => blocks[a].size - blocks[b].size);
+      return best.length ? best[0] : -1;
+    }
+    case 'worst': {
+      const worst = indices
+        .filter((i) => blocks[i].free && blocks[i].size >= size)
+        .sort((a, b) => blocks[b].size - blocks[a].size);
+      return worst.length ? worst[0] : -1;
+    }
+    case 'next': {
+      const n = blocks.length;
+      for (let offset = 0; offset < n; offset += 1) {
+        const idx = (nextFitStart + offset) % n;
+        if (blocks[idx].free && blocks[idx].size >= size) {
+          return idx;
+        }
+      }
+      return -1;
+    }
+    case 'first':
+    default:
+      return indices.find((i) => blocks[i].free && blocks[i].size >= size) ?? -1;
+  }
+};
+
+// Returns null when no hole fits. Next Fit resumes scanning right after the new block.
+const allocateBlock = (blocks, size, { algorithm, label, id, nextFitStart = 0 }) => {
+  const index = findBlockIndex(blocks, size, algorithm, nextFitStart);
+  if (index === -1) {
+    return null;
+  }
+
+  const target = blocks[index];
+  const remaining = target.size - size;
+  const block = { id, label, size, free: false, requested: size, hole: target.hole };
+
+  const updated = [...blocks];
+  updated.splice(index, 1, block);
+  if (remaining > 0) {
+    updated.splice(index + 1, 0, {
+      id: id + 1,
+      label: 'Free',
+      size: remaining,
+      free: true,
+      requested: 0,
+      hole: target.hole,
+    });
+  }
+
+  const coalesced = coalesce(updated);
+  return { blocks: coalesced, block, index, nextFitStart: (index + 1) % coalesced.length };
+};
+
+const freeBlock = (blocks, id) =>
+  coalesce(
+    blocks.map((block) =>
+      block.id === id ? { ...block, free: true, label: 'Free', requested: 0 } : block,
+    ),
+  );
+
+const memoryStats = (blocks) => {
+  const freeBlocks = blocks.filter((block) => block.free);
+  const totalFree = freeBlocks.reduce((sum, block) => sum + block.size, 0);
+  const largestHole = freeBlocks.length ? Math.max(...freeBlocks.map((block) => block.size)) : 0;
+  const internalFragmentation = blocks
+    .filter((block) => !block.free)
+    .reduce((sum, block) => sum + Math.max(block.size - (block.requested || 0), 0), 0);
+  return {
+    totalMemory: blocks.reduce((sum, block) => sum + block.size, 0),
+    totalFree,
+    largestHole,
+    internalFragmentation,
+    externalFragmentation: totalFree - largestHole,
+  };
+};
+
+export {
+  fitAlgorithms,
+  createHoles,
+  coalesce,
+  findBlockIndex,
+  allocateBlock,
+  freeBlock,
+  memoryStats,
+};
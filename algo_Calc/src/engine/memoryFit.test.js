@@ -0,0 +1,35 @@
+import { allocateBlock, createHoles, freeBlock, memoryStats } from './memoryFit.js';
+
+// Holes 100 500 200 300 600 with requests 212 417 112 426.
+const place = (algorithm) => {
+  let blocks = createHoles([100, 500, 200, 300, 600]);
+  let nextFitStart = 0;
+  return [212, 417, 112, 426].map((size, index) => {
+    const result = allocateBlock(blocks, size, {
+      algorithm,
+      label: `P${index + 1}`,
+      id: 100 + index * 2,
+      nextFitStart,
+    });
+    if (!result) return null;
+    ({ blocks, nextFitStart } = result);
+    return result.block.hole;
+  });
+};
+
+test.each([
+  ['first', [2, 5, 2, null]],
+  ['best', [4, 2, 3, 5]],
+  ['worst', [5, 2, 5, null]],
+  ['next', [2, 5, 5, null]],
+])('%s fit places each request in the textbook hole', (algorithm, holes) => {
+  expect(place(algorithm)).toEqual(holes);
+});
+
+test('freeing merges neighbours only within the same hole', () => {
+  const holes = createHoles([100, 100]);
+  const { blocks } = allocateBlock(holes, 40, { algorithm: 'first', label: 'P1', id: 10 });
+  const freed = freeBlock(blocks, 10);
+  expect(freed.map((block) => block.size)).toEqual([100, 100]);
+  expect(memoryStats(freed)).toMatchObject({ totalFree: 200, externalFragmentation: 100 });
+});
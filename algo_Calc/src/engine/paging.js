@@ -0,0 +1,193 @@
+// Page replacement: replays a reference string against a fixed number of frames and records
+// a hit/fault timeline. Used by the Page Replacement view and the CLI.
+
+const pageAlgorithmOptions = [
+  { value: 'fifo', label: 'FIFO' },
+  { value: 'lru', label: 'LRU' },
+  { value: 'mru', label: 'MRU' },
+  { value: 'clock', label: 'CLOCK' },
+  { value: 'wsclock', label: 'WSClock (window=4)' },
+  { value: 'opt', label: 'Optimal (OPT)' },
+];
+
+const parseReference = (input) =>
+  input
+    .split(/[\s,]+/)
+    .map((token) => token.trim())
+    .filter(Boolean)
+    .map((token) => Number(token))
+    .filter((num) => Number.isFinite(num));
+
+const simulatePaging = (algorithm, framesCount, refs) => {
+  const frames = Array(framesCount).fill(null);
+  const timeline = [];
+  let pointer = 0;
+  let hits = 0;
+  let faults = 0;
+  const meta = frames.map(() => ({ ref: 0, lastUsed: -1 }));
+
+  const now = () => timeline.length;
+
+  refs.forEach((page, index) => {
+    const hitIndex = frames.indexOf(page);
+    let replacedIndex = -1;
+    let fault = hitIndex === -1;
+
+    if (!fault) {
+      hits += 1;
+      meta[hitIndex].ref = 1;
+      meta[hitIndex].lastUsed = now();
+    } else {
+      faults += 1;
+      switch (algorithm) {
+        case 'fifo': {
+          replacedIndex = findFifo(frames, pointer);
+          pointer = (replacedIndex + 1) % frames.length;
+          break;
+        }
+        case 'lru': {
+          replacedIndex = findLRU(frames, meta);
+          break;
+        }
+        case 'mru': {
+          replacedIndex = findMRU(frames, meta);
+          break;
+        }
+        case 'clock': {
+          const result = findClock(frames, meta, pointer);
+          replacedIndex = result.index;
+          pointer = result.nextPointer;
+          break;
+        }
+        case 'wsclock': {
+          const result = findWSClock(frames, meta, pointer, now());
+          replacedIndex = result.index;
+          pointer = result.nextPointer;
+          break;
+        }
+        case 'opt': {
+          replacedIndex = findOPT(frames, refs, index + 1);
+          break;
+        }
+        default:
+          replacedIndex = findFifo(frames, pointer);
+          pointer = (replacedIndex + 1) % frames.length;
+      }
+
+      frames[replacedIndex] = page;
+      meta[replacedIndex] = { ref: 1, lastUsed: now() };
+    }
+
+    timeline.push({
+      index,
+      page,
+      frames: [...frames],
+      fault,
+      replacedIndex,
+    });
+  });
+
+  return { timeline, hits, faults, references: refs.length };
+};
+
+const findFifo = (frames, pointer) => {
+  const empty = frames.indexOf(null);
+  if (empty !== -1) return empty;
+  return pointer;
+};
+
+const findLRU = (frames, meta) => {
+  const empty = frames.indexOf(null);
+  if (empty !== -1) return empty;
+  let oldest = 0;
+  let idx = 0;
+  meta.forEach((info, i) => {
+    if (info.lastUsed < oldest || i === 0) {
+      oldest = info.lastUsed;
+      idx = i;
+    }
+  });
+  return idx;
+};
+
+const findMRU = (frames, meta) => {
+  const empty = frames.indexOf(null);
+  if (empty !== -1) return empty;
+  let newest = -Infinity;
+  let idx = 0;
+  meta.forEach((info, i) => {
+    if (info.lastUsed > newest) {
+      newest = info.lastUsed;
+      idx = i;
+    }
+  });
+  return idx;
+};
+
+const findClock = (frames, meta, pointer) => {
+  let p = pointer;
+  while (true) {
+    if (frames[p] === null) {
+      return { index: p, nextPointer: (p + 1) % frames.length };
+    }
+    if (meta[p].ref === 0) {
+      return { index: p, nextPointer: (p + 1) % frames.length };
+    }
+    meta[p].ref = 0;
+    p = (p + 1) % frames.length;
+  }
+};
+
+const findWSClock = (frames, meta, pointer, currentTime) => {
+  const tau = 4;
+  let p = pointer;
+  for (let step = 0; step < frames.length; step += 1) {
+    if (frames[p] === null) {
+      return { index: p, nextPointer: (p + 1) % frames.length };
+    }
+    if (meta[p].ref === 1) {
+      meta[p].ref = 0;
+      meta[p].lastUsed = currentTime;
+    } else if (currentTime - meta[p].lastUsed > tau) {
+      return { index: p, nextPointer: (p + 1) % frames.length };
+    }
+    p = (p + 1) % frames.length;
+  }
+
+  // A full sweep found nothing outside the working set: evict the oldest page instead.
+  let oldest = pointer;
+  for (let step = 1; step < frames.length; step += 1) {
+    const idx = (pointer + step) % frames.length;
+    if (meta[idx].lastUsed < meta[oldest].lastUsed) oldest = idx;
+  }
+  return { index: oldest, nextPointer: (oldest + 1) % frames.length };
+};
+
+const findOPT = (frames, refs, startIndex) => {
+  const empty = frames.indexOf(null);
+  if (empty !== -1) return empty;
+  let farthest = -1;
+  let idx = 0;
+  frames.forEach((page, i) => {
+    const nextUse = refs.indexOf(page, startIndex);
+    if (nextUse === -1) {
+      idx = i;
+      farthest = Infinity;
+    } else if (nextUse > farthest) {
+      farthest = nextUse;
+      idx = i;
+    }
+  });
+  return idx;
+};
+
+const detectBelady = (refs, frames) => {
+  const base = simulatePaging('fifo', frames, refs);
+  const larger = simulatePaging('fifo', frames + 1, refs);
+  if (larger.faults > base.faults) {
+    return { smaller: base.faults, larger: larger.faults };
+  }
+  return null;
+};
+
+export { pageAlgorithmOptions, parseReference, simulatePaging, detectBelady };
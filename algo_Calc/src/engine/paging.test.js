@@ -0,0 +1,21 @@
+import { detectBelady, parseReference, simulatePaging } from './paging.js';
+
+const classic = parseReference('7 0 1 2 0 3 0 4 2 3 0 3 2 1 2 0 1 7 0 1');
+const belady = parseReference('1 2 3 4 1 2 5 1 2 3 4 5');
+
+test('textbook fault counts with three frames', () => {
+  expect(simulatePaging('fifo', 3, classic).faults).toBe(15);
+  expect(simulatePaging('lru', 3, classic).faults).toBe(12);
+  expect(simulatePaging('opt', 3, classic).faults).toBe(9);
+});
+
+test('FIFO shows Belady’s anomaly on 1 2 3 4 1 2 5 1 2 3 4 5', () => {
+  expect(detectBelady(belady, 3)).toEqual({ smaller: 9, larger: 10 });
+  expect(detectBelady(belady, 4)).toBeNull();
+});
+
+test('WSClock evicts the oldest page when every page is in the working set', () => {
+  const result = simulatePaging('wsclock', 3, parseReference('1 2 3 1 2 3 4'));
+  expect(result.faults).toBe(4);
+  expect(result.timeline[6].frames).toContain(4);
+});
@@ -0,0 +1,252 @@
+import { createRng } from './random.js';
+
+// Dining Philosophers in whole ticks. Philosopher i needs fork i on the left and fork i + 1
+// (mod N) on the right, as in 450Final/ProCSynAlg.js. Every tick each philosopher takes one turn,
+// starting from a different seat each tick: thinking and eating count down a timer, and a hungry
+// philosopher makes one move of its strategy (pick up a fork, take a seat, send a request).
+
+const diningStrategyOptions = [
+  { value: 'naive', label: 'Naive (left, then right)' },
+  { value: 'ordering', label: 'Resource ordering (lower fork first)' },
+  { value: 'waiter', label: 'Waiter (at most N−1 seated)' },
+  { value: 'chandy-misra', label: 'Chandy–Misra (clean and dirty forks)' },
+  { value: 'backoff', label: 'Back-off (release and retry, as in the script)' },
+];
+
+// The ranges the view offers; shared links are held to them too.
+const diningLimits = {
+  philosophers: { min: 2, max: 10 },
+  ticks: { min: 10, max: 300 },
+  starvationLimit: { min: 2, max: 300 },
+};
+
+const leftFork = (i) => i;
+const rightFork = (i, count) => (i + 1) % count;
+const ownForks = (i, count) => [leftFork(i), rightFork(i, count)];
+
+// Picks up the first fork of `order` the philosopher does not hold yet, if nobody else has it.
+const pickUp = (table, i, order) => {
+  const philosopher = table.philosophers[i];
+  const fork = order.find((f) => !philosopher.holding.includes(f));
+  if (table.forks[fork].holder !== null) return null;
+  table.forks[fork].holder = i;
+  philosopher.holding.push(fork);
+  return `P${i} picks up F${fork}.`;
+};
+
+const backOff = (table, i, draw, reason) => {
+  const philosopher = table.philosophers[i];
+  philosopher.holding.forEach((fork) => {
+    table.forks[fork].holder = null;
+  });
+  philosopher.holding = [];
+  philosopher.state = 'thinking';
+  philosopher.timer = draw.think();
+  return `${reason} P${i} puts its forks down and goes back to thinking.`;
+};
+
+// One move for a hungry philosopher; returns a description, or null when it only waits.
+const strategies = {
+  naive: (table, i) => pickUp(table, i, ownForks(i, table.forks.length)),
+  ordering: (table, i) =>
+    pickUp(
+      table,
+      i,
+      [...ownForks(i, table.forks.length)].sort((a, b) => a - b),
+    ),
+  waiter: (table, i) => {
+    const philosopher = table.philosophers[i];
+    if (philosopher.seated) return pickUp(table, i, ownForks(i, table.forks.length));
+    const seated = table.philosophers.filter((other) => other.seated).length;
+    if (seated >= table.forks.length - 1) return null;
+    philosopher.seated = true;
+    return `The waiter seats P${i} (${seated + 1} of ${table.forks.length - 1}).`;
+  },
+  'chandy-misra': (table, i) => {
+    const missing = ownForks(i, table.forks.length).filter(
+      (fork) =>
+        !table.philosophers[i].holding.includes(fork) && table.forks[fork].requestedBy !== i,
+    );
+    missing.forEach((fork) => {
+      table.forks[fork].requestedBy = i;
+    });
+    return missing.length
+      ? missing
+          .map((fork) => `P${i} requests F${fork} from P${table.forks[fork].holder}.`)
+          .join(' ')
+      : null;
+  },
+  // The script: grab the left fork or give up; holding it, grab the right fork or release the
+  // left one. Either failure sends the philosopher back to thinking.
+  backoff: (table, i, draw) => {
+    const philosopher = table.philosophers[i];
+    const [left, right] = ownForks(i, table.forks.length);
+    const wanted = philosopher.holding.includes(left) ? right : left;
+    if (table.forks[wanted].holder === null) return pickUp(table, i, [left, right]);
+    return backOff(table, i, draw, `F${wanted} is in use.`);
+  },
+};
+
+// Chandy–Misra: a requested fork that is dirty changes hands, cleaned, unless its holder eats.
+const handOverForks = (table, i) => {
+  const philosopher = table.philosophers[i];
+  if (philosopher.state === 'eating') return [];
+  const given = philosopher.holding.filter((fork) => {
+    const { requestedBy, dirty } = table.forks[fork];
+    return requestedBy !== null && requestedBy !== i && dirty;
+  });
+  return given.map((fork) => {
+    const requester = table.forks[fork].requestedBy;
+    table.forks[fork] = { holder: requester, dirty: false, requestedBy: null };
+    philosopher.holding = philosopher.holding.filter((held) => held !== fork);
+    table.philosophers[requester].holding.push(fork);
+    return `P${i} cleans F${fork} and hands it to P${requester}.`;
+  });
+};
+
+const createTable = (count, strategy, draw, synchronized) => {
+  const chandyMisra = strategy === 'chandy-misra';
+  // Chandy–Misra starts with every fork dirty at the lower-numbered of its two neighbours.
+  const initialHolder = (fork) => (fork === 0 ? 0 : fork - 1);
+  const forks = Array.from({ length: count }, (_, fork) => ({
+    holder: chandyMisra ? initialHolder(fork) : null,
+    dirty: chandyMisra,
+    requestedBy: null,
+  }));
+  const philosophers = Array.from({ length: count }, (_, i) => ({
+    state: 'thinking',
+    timer: synchronized ? 1 : draw.think(),
+    holding: forks.flatMap((fork, f) => (fork.holder === i ? [f] : [])),
+    meals: 0,
+    hungrySince: null,
+    seated: false,
+  }));
+  return { forks, philosophers };
+};
+
+const cloneTable = (table) => ({
+  forks: table.forks.map((fork) => ({ ...fork })),
+  philosophers: table.philosophers.map((philosopher) => ({
+    ...philosopher,
+    holding: [...philosopher.holding],
+  })),
+});
+
+// Plays one tick and reports whether anything changed. A tick in which nobody thinks, eats, or
+// moves leaves the table exactly as it was, so it would repeat forever: that is a deadlock.
+const playTick = (table, tick, strategy, draw) => {
+  const next = cloneTable(table);
+  const count = next.philosophers.length;
+  const events = [];
+  let changed = false;
+
+  for (let k = 0; k < count; k += 1) {
+    const i = (tick + k) % count;
+    const philosopher = next.philosophers[i];
+    if (strategy === 'chandy-misra') {
+      const handed = handOverForks(next, i);
+      events.push(...handed);
+      changed = changed || handed.length > 0;
+    }
+
+    if (philosopher.state === 'thinking') {
+      changed = true;
+      philosopher.timer -= 1;
+      if (philosopher.timer <= 0) {
+        philosopher.state = 'hungry';
+        if (philosopher.hungrySince === null) philosopher.hungrySince = tick;
+        events.push(`P${i} is hungry.`);
+      }
+    } else if (philosopher.state === 'eating') {
+      changed = true;
+      philosopher.timer -= 1;
+      if (philosopher.timer <= 0) {
+        philosopher.meals += 1;
+        philosopher.state = 'thinking';
+        philosopher.timer = draw.think();
+        philosopher.seated = false;
+        // Chandy–Misra forks stay with the philosopher, dirty, until a neighbour asks for them.
+        if (strategy !== 'chandy-misra') {
+          philosopher.holding.forEach((fork) => {
+            next.forks[fork].holder = null;
+          });
+          philosopher.holding = [];
+        }
+        events.push(`P${i} finishes meal ${philosopher.meals} and starts thinking.`);
+      }
+    } else {
+      const move = strategies[strategy](next, i, draw);
+      if (move) {
+        events.push(move);
+        changed = true;
+      }
+      if (philosopher.state === 'hungry' && philosopher.holding.length === 2) {
+        philosopher.state = 'eating';
+        philosopher.timer = draw.eat();
+        philosopher.hungrySince = null;
+        philosopher.holding.forEach((fork) => {
+          next.forks[fork].dirty = strategy === 'chandy-misra';
+        });
+        events.push(`P${i} eats with F${philosopher.holding.join(' and F')}.`);
+        changed = true;
+      }
+    }
+  }
+  return { table: next, events, changed };
+};
+
+// Runs up to `ticks` ticks, stopping early on deadlock. A philosopher is starving while it has
+// wanted to eat for `starvationLimit` ticks or more; backing off does not reset that clock.
+const simulateDining = ({
+  philosophers = 5,
+  strategy = 'naive',
+  ticks = 60,
+  seed = 'table',
+  synchronized = false,
+  starvationLimit = 20,
+}) => {
+  const rng = createRng(`${seed}-${philosophers}`);
+  const draw = {
+    think: () => 1 + Math.floor(rng() * 4),
+    eat: () => 1 + Math.floor(rng() * 3),
+  };
+  const snapshot = (table, tick, events) => ({
+    tick,
+    events,
+    forks: table.forks,
+    philosophers: table.philosophers.map((philosopher) => {
+      const hungryFor = philosopher.hungrySince === null ? 0 : tick - philosopher.hungrySince;
+      return { ...philosopher, hungryFor, starving: hungryFor >= starvationLimit };
+    }),
+  });
+
+  let table = createTable(philosophers, strategy, draw, synchronized);
+  const frames = [snapshot(table, 0, ['Every philosopher starts thinking.'])];
+  let deadlock = null;
+  for (let tick = 0; tick < ticks && !deadlock; tick += 1) {
+    const played = playTick(table, tick, strategy, draw);
+    table = played.table;
+    if (!played.changed) {
+      deadlock = {
+        tick: tick + 1,
+        waits: table.philosophers.map((philosopher, i) => ({
+          philosopher: i,
+          holding: philosopher.holding,
+          waitsFor: ownForks(i, philosophers).find((fork) => !philosopher.holding.includes(fork)),
+        })),
+      };
+    }
+    frames.push(snapshot(table, tick + 1, played.events));
+  }
+
+  const meals = table.philosophers.map((philosopher) => philosopher.meals);
+  const starved = table.philosophers.flatMap((_, i) =>
+    frames.some((frame) => frame.philosophers[i].starving) ? [i] : [],
+  );
+  const longestHunger = table.philosophers.map((_, i) =>
+    Math.max(...frames.map((frame) => frame.philosophers[i].hungryFor)),
+  );
+  return { frames, deadlock, meals, starved, longestHunger };
+};
+
+export { diningStrategyOptions, diningLimits, simulateDining };
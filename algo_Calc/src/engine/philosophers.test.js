@@ -0,0 +1,45 @@
+import { diningStrategyOptions, simulateDining } from './philosophers.js';
+
+const together = (strategy) => simulateDining({ strategy, synchronized: true, ticks: 100 });
+
+test('naive philosophers who get hungry together deadlock holding their left forks', () => {
+  const result = together('naive');
+  expect(result.deadlock.tick).toBe(3);
+  expect(result.deadlock.waits[0]).toEqual({ philosopher: 0, holding: [0], waitsFor: 1 });
+  expect(result.deadlock.waits[4]).toEqual({ philosopher: 4, holding: [4], waitsFor: 0 });
+  expect(result.meals).toEqual([0, 0, 0, 0, 0]);
+});
+
+test('ordering, the waiter, and Chandy–Misra never deadlock and feed everyone', () => {
+  ['ordering', 'waiter', 'chandy-misra'].forEach((strategy) => {
+    const result = together(strategy);
+    expect(result.deadlock).toBeNull();
+    expect(Math.min(...result.meals)).toBeGreaterThan(0);
+    expect(result.starved).toEqual([]);
+  });
+});
+
+test('no strategy lets neighbours eat at once or shares a fork', () => {
+  diningStrategyOptions.forEach(({ value }) => {
+    together(value).frames.forEach(({ philosophers, forks }) => {
+      const eating = philosophers.map((philosopher) => philosopher.state === 'eating');
+      expect(eating.some((eats, i) => eats && eating[(i + 1) % eating.length])).toBe(false);
+      const held = philosophers.flatMap((philosopher) => philosopher.holding);
+      expect(new Set(held).size).toBe(held.length);
+      held.forEach((fork) => expect(philosophers[forks[fork].holder].holding).toContain(fork));
+    });
+  });
+});
+
+test('the waiter seats at most N−1 philosophers', () => {
+  const { frames } = together('waiter');
+  const seated = frames.map(({ philosophers }) => philosophers.filter((p) => p.seated).length);
+  expect(Math.max(...seated)).toBe(4);
+});
+
+test('backing off avoids deadlock but can starve philosophers', () => {
+  const result = together('backoff');
+  expect(result.deadlock).toBeNull();
+  expect(result.starved.length).toBeGreaterThan(0);
+  expect(Math.max(...result.longestHunger)).toBeGreaterThanOrEqual(20);
+});
@@ -0,0 +1,15 @@
+// mulberry32 seeded from a string hash, so a seed reproduces the same draws.
+const createRng = (seed) => {
+  let state = String(seed)
+    .split('')
+    .reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export { createRng };
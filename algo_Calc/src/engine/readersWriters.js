@@ -0,0 +1,153 @@
+// Readers–Writers over a shared critical section in whole time units. Readers may share it,
+// a writer needs it alone. The policy decides who is admitted whenever someone arrives or leaves:
+// reader preference lets readers join while any reader is inside, writer preference (the
+// turnstile) holds new readers back while a writer waits, and fair ordering serves the queue
+// in arrival order, letting consecutive readers in together.
+
+const rwPolicyOptions = [
+  { value: 'reader', label: 'Reader preference' },
+  { value: 'writer', label: 'Writer preference (turnstile)' },
+  { value: 'fair', label: 'Fair (arrival order)' },
+];
+
+const roles = { r: 'reader', w: 'writer' };
+
+// Entries look like "R1 0 4" (name, arrival, duration), separated by semicolons or new lines.
+// A bare "R" or "W" is numbered after the readers or writers before it.
+const parseReadersWriters = (input) => {
+  const threads = [];
+  const errors = [];
+  const counts = { reader: 0, writer: 0 };
+  input
+    .split(/[;\n]+/)
+    .map((part) => part.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .forEach((text, index) => {
+      const match = text.match(/^([RW])(\d*)\s*:?\s+(\d+)\s+(\d+)$/i);
+      if (!match) {
+        errors.push(
+          `Entry ${index + 1} ("${text}"): use "R1 0 4" or "W1 2 3" (arrival, duration).`,
+        );
+        return;
+      }
+      const role = roles[match[1].toLowerCase()];
+      const duration = Number(match[4]);
+      if (duration <= 0) {
+        errors.push(`Entry ${index + 1} ("${text}"): the duration must be at least 1.`);
+        return;
+      }
+      counts[role] += 1;
+      const id = `${match[1].toUpperCase()}${match[2] || counts[role]}`;
+      if (threads.some((thread) => thread.id === id)) {
+        errors.push(`Entry ${index + 1} ("${text}"): ${id} is listed twice.`);
+        return;
+      }
+      threads.push({ id, role, arrival: Number(match[3]), duration });
+    });
+  return { threads, errors };
+};
+
+const isWriter = (thread) => thread.role === 'writer';
+
+// Given the FIFO waiting list and the threads inside, returns who enters now.
+const admissions = {
+  reader: (waiting, inside) => {
+    if (inside.some(isWriter)) return [];
+    const readers = waiting.filter((thread) => !isWriter(thread));
+    if (readers.length) return readers;
+    return inside.length ? [] : waiting.slice(0, 1);
+  },
+  writer: (waiting, inside) => {
+    if (inside.some(isWriter)) return [];
+    const writer = waiting.find(isWriter);
+    if (writer) return inside.length ? [] : [writer];
+    return waiting;
+  },
+  fair: (waiting, inside) => {
+    if (inside.some(isWriter)) return [];
+    if (waiting.length && isWriter(waiting[0])) return inside.length ? [] : waiting.slice(0, 1);
+    const firstWriter = waiting.findIndex(isWriter);
+    return firstWriter === -1 ? waiting : waiting.slice(0, firstWriter);
+  },
+};
+
+const stillInside = (inside, starts, time) =>
+  inside.filter((thread) => starts.get(thread.id) + thread.duration > time);
+
+const roleMetrics = (threads) => {
+  const waits = threads.map((thread) => thread.wait);
+  return {
+    count: threads.length,
+    averageWait: waits.length
+      ? Number((waits.reduce((sum, wait) => sum + wait, 0) / waits.length).toFixed(2))
+      : 0,
+    maxWait: waits.length ? Math.max(...waits) : 0,
+  };
+};
+
+// Runs the threads to completion. Each segment is a stretch of time with the same threads inside
+// and waiting. A thread counts as starved once `starvationLimit` threads that arrived after it
+// have entered before it did.
+const simulateReadersWriters = (threads, policy = 'reader', { starvationLimit = 3 } = {}) => {
+  const admit = admissions[policy] ?? admissions.reader;
+  const pending = threads
+    .map((thread, order) => ({ ...thread, order }))
+    .sort((a, b) => a.arrival - b.arrival || a.order - b.order);
+  const starts = new Map();
+  const segments = [];
+  let waiting = [];
+  let inside = [];
+  let next = 0;
+  let time = pending.length ? pending[0].arrival : 0;
+
+  while (next < pending.length || waiting.length || inside.length) {
+    inside = stillInside(inside, starts, time);
+    while (next < pending.length && pending[next].arrival <= time) {
+      waiting.push(pending[next]);
+      next += 1;
+    }
+    const entering = admit(waiting, inside);
+    for (const thread of entering) starts.set(thread.id, time);
+    inside = [...inside, ...entering];
+    waiting = waiting.filter((thread) => !entering.includes(thread));
+
+    const nextTime = Math.min(
+      next < pending.length ? pending[next].arrival : Infinity,
+      ...inside.map((thread) => starts.get(thread.id) + thread.duration),
+    );
+    if (!Number.isFinite(nextTime)) break;
+    if (inside.length || waiting.length) {
+      segments.push({
+        start: time,
+        end: nextTime,
+        inside: inside.map((thread) => thread.id),
+        writing: inside.some(isWriter),
+        waiting: waiting.map((thread) => thread.id),
+      });
+    }
+    time = nextTime;
+  }
+
+  const timed = threads.map((thread) => {
+    const start = starts.get(thread.id);
+    return { ...thread, start, end: start + thread.duration, wait: start - thread.arrival };
+  });
+  const results = timed.map((thread) => {
+    const overtakenBy = timed
+      .filter((other) => other.arrival > thread.arrival && other.start < thread.start)
+      .map((other) => other.id);
+    return { ...thread, overtakenBy, starved: overtakenBy.length >= starvationLimit };
+  });
+
+  return {
+    threads: results,
+    segments,
+    metrics: {
+      reader: roleMetrics(results.filter((thread) => !isWriter(thread))),
+      writer: roleMetrics(results.filter(isWriter)),
+    },
+    starved: results.filter((thread) => thread.starved).map((thread) => thread.id),
+  };
+};
+
+export { rwPolicyOptions, parseReadersWriters, simulateReadersWriters };
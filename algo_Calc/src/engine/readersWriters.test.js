@@ -0,0 +1,60 @@
+import { parseReadersWriters, simulateReadersWriters } from './readersWriters.js';
+
+// A writer arrives while readers keep overlapping one another.
+const { threads } = parseReadersWriters('R1 0 4; W1 1 2; R2 2 4; R3 4 4; R4 6 4; R5 8 4; W2 9 2');
+
+const startsOf = (result) =>
+  Object.fromEntries(result.threads.map((thread) => [thread.id, thread.start]));
+
+test('entries are parsed with roles, numbering, and labelled errors', () => {
+  expect(parseReadersWriters('R 0 2\nW 1 3; r 2 1').threads).toEqual([
+    { id: 'R1', role: 'reader', arrival: 0, duration: 2 },
+    { id: 'W1', role: 'writer', arrival: 1, duration: 3 },
+    { id: 'R2', role: 'reader', arrival: 2, duration: 1 },
+  ]);
+  expect(parseReadersWriters('X 0 1; W2 3 0; R1 0 1; R1 2 2').errors).toEqual([
+    'Entry 1 ("X 0 1"): use "R1 0 4" or "W1 2 3" (arrival, duration).',
+    'Entry 2 ("W2 3 0"): the duration must be at least 1.',
+    'Entry 4 ("R1 2 2"): R1 is listed twice.',
+  ]);
+});
+
+test('reader preference lets overlapping readers starve the writer', () => {
+  const result = simulateReadersWriters(threads, 'reader');
+  expect(startsOf(result)).toMatchObject({ R2: 2, R5: 8, W1: 12, W2: 14 });
+  expect(result.starved).toEqual(['W1']);
+  expect(result.threads.find((thread) => thread.id === 'W1').overtakenBy).toEqual([
+    'R2',
+    'R3',
+    'R4',
+    'R5',
+  ]);
+  expect(result.metrics.writer).toEqual({ count: 2, averageWait: 8, maxWait: 11 });
+  expect(result.segments[0]).toEqual({
+    start: 0,
+    end: 1,
+    inside: ['R1'],
+    writing: false,
+    waiting: [],
+  });
+});
+
+test('writer preference holds new readers back while a writer waits', () => {
+  const result = simulateReadersWriters(threads, 'writer');
+  expect(startsOf(result)).toMatchObject({ W1: 4, R2: 6, R3: 6, R4: 6, R5: 8, W2: 12 });
+  expect(result.starved).toEqual([]);
+  expect(result.segments.find((segment) => segment.start === 4)).toMatchObject({
+    inside: ['W1'],
+    writing: true,
+    waiting: ['R2', 'R3'],
+  });
+});
+
+test('fair ordering serves arrivals in order and batches consecutive readers', () => {
+  const result = simulateReadersWriters(
+    parseReadersWriters('R1 0 3; W1 1 2; R2 2 1; R3 2 1; W2 3 1').threads,
+    'fair',
+  );
+  expect(startsOf(result)).toEqual({ R1: 0, W1: 3, R2: 5, R3: 5, W2: 6 });
+  expect(result.metrics.reader).toEqual({ count: 3, averageWait: 2, maxWait: 3 });
+});
@@ -0,0 +1,1334 @@
+import { createRng } from './random.js';
+
+// Headless CPU scheduling engine: no React or DOM, so the Process Scheduling view, Node scripts,
+// and tests all run the same code.
+//
+// Input: an array of processes `{ id, name, arrival, burst, priority }` with optional
+// `bursts` (alternating CPU/I-O lengths starting and ending with CPU), `period`, `deadline`,
+// `tickets`, and `affinity` (1-based core numbers), plus a settings object whose fields are
+// strings or numbers: `rrQuantum`, `mlfqLevels`, `mlfqPolicies`, `mlfqBoost`, `mlfqPreempt`,
+// `mlfqAccounting`, `contextSwitch`, `agingInterval`, `starvationThreshold`, `lotterySeed`,
+// `cores`, `coreQueues`, and `sweepFrom`/`sweepTo`/`sweepStep`. `defaultSettings` holds the
+// values the UI starts from; spread overrides over it rather than passing a partial object.
+//
+// Output: every `schedulingStrategies[key](processes, settings)` returns
+// `{ schedule, slices, ioSlices, cores, steals, trace }` (MLFQ adds `levelTimeline`, EDF/RM add
+// `realtime`). `runStrategy` wraps a strategy and adds ordering, `responseTime`, `starved`,
+// idle slices, and the `computeAverages` metrics. Invalid input throws an `Error` whose message
+// is safe to show to the user.
+
+const algorithmOptions = [
+  { value: 'fcfs', label: 'First-Come, First-Served (FCFS)' },
+  { value: 'sjfNonPreemptive', label: 'Shortest Job First (Non-Preemptive)' },
+  { value: 'sjfPreemptive', label: 'Shortest Job First (Preemptive)' },
+  { value: 'priorityNonPreemptive', label: 'Priority Scheduling (Non-Preemptive)' },
+  { value: 'priorityPreemptive', label: 'Priority Scheduling (Preemptive)' },
+  { value: 'roundRobin', label: 'Round Robin' },
+  { value: 'mlfq', label: 'Multi-Level Feedback Queue (MLFQ)' },
+  { value: 'hrrn', label: 'Highest Response Ratio Next (HRRN)' },
+  { value: 'lottery', label: 'Lottery Scheduling' },
+  { value: 'stride', label: 'Stride Scheduling' },
+  { value: 'edf', label: 'Earliest Deadline First (EDF)' },
+  { value: 'rateMonotonic', label: 'Rate Monotonic (RM)' },
+];
+
+const comparisonMetrics = [
+  { key: 'averageWaiting', label: 'Avg Waiting', better: 'lower' },
+  { key: 'averageTurnaround', label: 'Avg Turnaround', better: 'lower' },
+  { key: 'averageResponse', label: 'Avg Response', better: 'lower' },
+  { key: 'throughput', label: 'Throughput', better: 'higher' },
+  { key: 'cpuUtilization', label: 'CPU Utilization', better: 'higher' },
+];
+
+const defaultSettings = {
+  rrQuantum: '2',
+  mlfqLevels: '2,4,8',
+  contextSwitch: '0',
+  agingInterval: '',
+  starvationThreshold: '',
+  mlfqPolicies: '',
+  mlfqBoost: '',
+  mlfqPreempt: false,
+  mlfqAccounting: false,
+  lotterySeed: '42',
+  cores: '1',
+  coreQueues: 'global',
+  sweepFrom: '0.5',
+  sweepTo: '20',
+  sweepStep: '0.5',
+};
+
+const prepareProcesses = (processes) =>
+  processes.map((process, index) => {
+    const bursts =
+      Array.isArray(process.bursts) && process.bursts.length
+        ? process.bursts.map(Number)
+        : [Number(process.burst)];
+    if (bursts.length % 2 === 0) {
+      throw new Error(`${process.name} must end with a CPU burst.`);
+    }
+    // A NaN or infinite time never lets the clock reach the end of the run.
+    const arrival = Number(process.arrival);
+    if (!Number.isFinite(arrival) || arrival < 0) {
+      throw new Error(`${process.name} needs an arrival time of 0 or more.`);
+    }
+    if (!bursts.every((length) => Number.isFinite(length) && length > 0)) {
+      throw new Error(`${process.name} needs burst times greater than zero.`);
+    }
+
+    return {
+      ...process,
+      order: index,
+      arrival,
+      bursts,
+      burst: bursts
+        .filter((_, burstIndex) => burstIndex % 2 === 0)
+        .reduce((sum, value) => sum + value, 0),
+      priority: Number(
+        process.priority !== undefined && process.priority !== null ? process.priority : 0,
+      ),
+      tickets: positiveOrNull(process.tickets) ?? 100,
+      period: positiveOrNull(process.period),
+      deadline: positiveOrNull(process.deadline),
+      affinity:
+        Array.isArray(process.affinity) && process.affinity.length
+          ? process.affinity.map(Number)
+          : null,
+    };
+  });
+
+const positiveOrNull = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && number > 0 ? number : null;
+};
+
+const roundTime = (value) => Math.round(value * 1e6) / 1e6;
+
+const sortByArrival = (a, b) => {
+  if (a.arrival === b.arrival) {
+    return a.order - b.order;
+  }
+  return a.arrival - b.arrival;
+};
+
+const compareByBurst = (a, b) => {
+  if (a.currentBurst === b.currentBurst) {
+    return sortByArrival(a, b);
+  }
+  return a.currentBurst - b.currentBurst;
+};
+
+const compareByPriority = (a, b) => {
+  const priorityA = a.agedPriority ?? a.priority;
+  const priorityB = b.agedPriority ?? b.priority;
+  if (priorityA === priorityB) {
+    return sortByArrival(a, b);
+  }
+  return priorityA - priorityB;
+};
+
+const compareByRemaining = (a, b) => {
+  if (a.remaining === b.remaining) {
+    return sortByArrival(a, b);
+  }
+  return a.remaining - b.remaining;
+};
+
+const compareByDeadline = (a, b) => {
+  if (a.absoluteDeadline === b.absoluteDeadline) {
+    return sortByArrival(a, b);
+  }
+  return a.absoluteDeadline < b.absoluteDeadline ? -1 : 1;
+};
+
+const compareByPeriod = (a, b) => {
+  const periodA = a.period ?? Infinity;
+  const periodB = b.period ?? Infinity;
+  if (periodA === periodB) {
+    return sortByArrival(a, b);
+  }
+  return periodA < periodB ? -1 : 1;
+};
+
+const describeChoice = (comparator, process) => {
+  if (comparator === compareByBurst) {
+    return `shortest next CPU burst (${process.currentBurst})`;
+  }
+  if (comparator === compareByRemaining) {
+    return `shortest remaining time (${process.remaining})`;
+  }
+  if (comparator === compareByDeadline) {
+    return `earliest absolute deadline (${process.absoluteDeadline})`;
+  }
+  if (comparator === compareByPeriod) {
+    return `shortest period (${process.period ?? 'aperiodic'})`;
+  }
+  const aged = process.agedPriority !== process.priority ? ', after aging' : '';
+  return `best priority (${process.agedPriority}${aged})`;
+};
+
+const recordSlice = (slices, process, start, end, level = null, core = 1) => {
+  if (end <= start) {
+    return;
+  }
+
+  const last = lastSliceOn(slices, core);
+  if (last && last.id === process.id && last.level === level && last.end === start) {
+    last.end = end;
+    return;
+  }
+
+  slices.push({ type: 'cpu', id: process.id, name: process.name, start, end, level, core });
+};
+
+const lastSliceOn = (slices, core) => {
+  for (let index = slices.length - 1; index >= 0; index -= 1) {
+    if (slices[index].core === core) {
+      return slices[index];
+    }
+  }
+  return null;
+};
+
+const chargeContextSwitch = (slices, lastId, process, time, cost, core = 1) => {
+  if (cost <= 0 || lastId === null || lastId === process.id) {
+    return time;
+  }
+
+  const end = roundTime(time + cost);
+  slices.push({ type: 'switch', id: null, name: 'CS', start: time, end, level: null, core });
+  return end;
+};
+
+const withIdleSlices = (slices) => {
+  const ordered = [...slices].sort((a, b) => a.start - b.start);
+  const lastEnd = {};
+  return ordered.reduce((acc, slice) => {
+    const previousEnd = lastEnd[slice.core];
+    if (previousEnd !== undefined && slice.start > previousEnd) {
+      acc.push({
+        type: 'idle',
+        id: null,
+        name: 'IDLE',
+        start: previousEnd,
+        end: slice.start,
+        level: null,
+        core: slice.core,
+      });
+    }
+    acc.push(slice);
+    lastEnd[slice.core] = slice.end;
+    return acc;
+  }, []);
+};
+
+// A context switch is a dispatch of a different process than the one that last ran on that
+// core, whether or not switching costs time; the cost shows up as `switchOverhead`.
+const countSwitches = (slices) => {
+  const lastOnCore = {};
+  return [...slices]
+    .filter((slice) => slice.type === 'cpu')
+    .sort((a, b) => a.start - b.start)
+    .reduce((count, slice) => {
+      const core = slice.core ?? 1;
+      const previous = lastOnCore[core];
+      lastOnCore[core] = slice.id;
+      return previous !== undefined && previous !== slice.id ? count + 1 : count;
+    }, 0);
+};
+
+const computeAverages = (schedule, slices = [], cores = 1) => {
+  if (!schedule.length) {
+    return {
+      averageWaiting: 0,
+      averageTurnaround: 0,
+      averageResponse: 0,
+      throughput: 0,
+      cpuUtilization: 0,
+      maxWaiting: 0,
+      waitingStdDev: 0,
+      makespan: 0,
+      contextSwitches: 0,
+      switchOverhead: 0,
+      coreUtilization: [],
+      migrations: 0,
+    };
+  }
+
+  const totals = schedule.reduce(
+    (acc, process) => {
+      acc.waiting += process.waitingTime;
+      acc.turnaround += process.turnaroundTime;
+      acc.response += process.responseTime;
+      return acc;
+    },
+    { waiting: 0, turnaround: 0, response: 0 },
+  );
+  const averageWaiting = totals.waiting / schedule.length;
+  const waitingVariance =
+    schedule.reduce((sum, process) => sum + (process.waitingTime - averageWaiting) ** 2, 0) /
+    schedule.length;
+
+  const firstArrival = Math.min(...schedule.map((process) => process.arrival));
+  const lastCompletion = Math.max(...schedule.map((process) => process.completionTime));
+  const makespan = lastCompletion - firstArrival;
+  const busySlices = slices.filter((slice) => slice.type === 'cpu');
+  const busyTime = busySlices.reduce((sum, slice) => sum + (slice.end - slice.start), 0);
+  const coreUtilization = Array.from({ length: cores }, (_, index) => {
+    const coreBusy = busySlices
+      .filter((slice) => (slice.core ?? 1) === index + 1)
+      .reduce((sum, slice) => sum + (slice.end - slice.start), 0);
+    return { core: index + 1, utilization: makespan > 0 ? coreBusy / makespan : 0 };
+  });
+  const switchTime = slices
+    .filter((slice) => slice.type === 'switch')
+    .reduce((sum, slice) => sum + (slice.end - slice.start), 0);
+
+  return {
+    averageWaiting,
+    averageTurnaround: totals.turnaround / schedule.length,
+    averageResponse: totals.response / schedule.length,
+    throughput: makespan > 0 ? schedule.length / makespan : 0,
+    cpuUtilization: makespan > 0 ? busyTime / (makespan * cores) : 0,
+    maxWaiting: Math.max(...schedule.map((process) => process.waitingTime)),
+    waitingStdDev: Math.sqrt(waitingVariance),
+    makespan,
+    contextSwitches: countSwitches(slices),
+    switchOverhead: switchTime,
+    coreUtilization,
+    migrations: schedule.reduce((sum, process) => sum + (process.migrations ?? 0), 0),
+  };
+};
+
+const orderSchedule = (schedule) =>
+  [...schedule].sort((a, b) => {
+    if (a.startTime === b.startTime) {
+      if (a.arrival === b.arrival) {
+        return a.order - b.order;
+      }
+      return a.arrival - b.arrival;
+    }
+    return a.startTime - b.startTime;
+  });
+
+const runStrategy = (strategy, processes, settings) => {
+  const {
+    schedule,
+    slices,
+    ioSlices = [],
+    levelTimeline = [],
+    realtime = null,
+    cores = 1,
+    steals = 0,
+    trace = [],
+  } = strategy(processes, settings);
+  const starvationThreshold = parseOptionalSetting(
+    settings?.starvationThreshold,
+    'Starvation threshold',
+  );
+  const orderedSchedule = orderSchedule(schedule).map((process) => ({
+    ...process,
+    responseTime: process.startTime - process.arrival,
+    starved: starvationThreshold > 0 && process.waitingTime > starvationThreshold,
+  }));
+  return {
+    schedule: orderedSchedule,
+    slices: withIdleSlices(slices),
+    ioSlices,
+    levelTimeline,
+    realtime,
+    cores,
+    steals,
+    trace,
+    hasIo: ioSlices.length > 0,
+    starvationThreshold,
+    ...computeAverages(orderedSchedule, slices, cores),
+  };
+};
+
+// Runs Round Robin once per quantum in [sweepFrom, sweepTo].
+const sweepQuantum = (processes, settings) => {
+  const from = Number(settings.sweepFrom);
+  const to = Number(settings.sweepTo);
+  const step = Number(settings.sweepStep);
+  if (!(from > 0) || !(to >= from) || !(step > 0)) {
+    throw new Error('Sweep needs a positive start, an end at or above it, and a positive step.');
+  }
+  const count = Math.floor(roundTime((to - from) / step)) + 1;
+  if (count > 400) {
+    throw new Error('That sweep would run more than 400 quanta; use a larger step.');
+  }
+
+  const fcfsSignature = sliceSignature(runFcfs(processes, settings).slices);
+  const rows = Array.from({ length: count }, (_, index) => {
+    const quantum = roundTime(from + index * step);
+    const run = runStrategy(schedulingStrategies.roundRobin, processes, {
+      ...settings,
+      rrQuantum: String(quantum),
+    });
+    return {
+      quantum,
+      averageWaiting: run.averageWaiting,
+      averageTurnaround: run.averageTurnaround,
+      averageResponse: run.averageResponse,
+      contextSwitches: run.contextSwitches,
+      matchesFcfs: sliceSignature(run.slices) === fcfsSignature,
+    };
+  });
+
+  const firstDegenerate = rows.findIndex((_, index) =>
+    rows.slice(index).every((row) => row.matchesFcfs),
+  );
+  return {
+    rows,
+    degenerateAt: firstDegenerate === -1 ? null : rows[firstDegenerate].quantum,
+    best: rows.reduce((best, row) => (row.averageTurnaround < best.averageTurnaround ? row : best)),
+    maxBurst: Math.max(
+      ...prepareProcesses(processes).flatMap((process) =>
+        process.bursts.filter((_, index) => index % 2 === 0),
+      ),
+    ),
+  };
+};
+
+const sliceSignature = (slices) =>
+  slices
+    .filter((slice) => slice.type === 'cpu')
+    .map((slice) => `${slice.core}:${slice.id}:${slice.start}:${slice.end}`)
+    .join('|');
+
+const rankComparison = (rows, metricKey) => {
+  const metric = comparisonMetrics.find((item) => item.key === metricKey) || comparisonMetrics[0];
+  const direction = metric.better === 'lower' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    if (a.error || b.error) {
+      return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+    }
+    return (a[metric.key] - b[metric.key]) * direction;
+  });
+};
+
+const isBestValue = (rows, metric, value) => {
+  const values = rows.filter((row) => !row.error).map((row) => row[metric.key]);
+  const best = metric.better === 'lower' ? Math.min(...values) : Math.max(...values);
+  return Math.abs(value - best) < 1e-9;
+};
+
+const simulateCpu = (processes, settings, createPolicy) => {
+  const switchCost = parseSwitchCost(settings);
+  const coreCount = parseCoreCount(settings);
+  const queueMode = coreCount > 1 ? settings?.coreQueues || 'global' : 'global';
+  const data = prepareProcesses(processes).map((process) => ({
+    ...process,
+    phase: 0,
+    remaining: process.bursts[0],
+    currentBurst: process.bursts[0],
+    startTime: null,
+    completionTime: null,
+    waitingTime: 0,
+    ioTime: 0,
+    ioWaitTime: 0,
+    readySince: null,
+    blockedSince: null,
+    homeCore: null,
+    lastCore: null,
+    migrations: 0,
+    agedPriority: process.priority,
+    priorityHistory: [{ time: process.arrival, priority: process.priority }],
+  }));
+  data.forEach((process) => {
+    if (process.affinity && !process.affinity.some((core) => core <= coreCount)) {
+      throw new Error(
+        `${process.name} is pinned to core ${process.affinity.join(', ')} but only ${coreCount} core(s) are configured.`,
+      );
+    }
+  });
+
+  // A global queue shares one policy between every core; per-core queues give each core its
+  // own policy instance and either balance on enqueue or let idle cores steal work.
+  const sharedPolicy = queueMode === 'global' ? createPolicy() : null;
+  const cores = Array.from({ length: coreCount }, (_, index) => ({
+    id: index + 1,
+    policy: sharedPolicy || createPolicy(),
+    queued: 0,
+    running: null,
+    lastId: null,
+    quantumLeft: Infinity,
+    switchLeft: 0,
+    idleSince: -Infinity,
+  }));
+  const policies = sharedPolicy ? [sharedPolicy] : cores.map((core) => core.policy);
+
+  const pending = [...data].sort(sortByArrival);
+  const ioQueue = [];
+  const device = { current: null, until: Infinity };
+  const slices = [];
+  const ioSlices = [];
+  let time = pending.length ? pending[0].arrival : 0;
+  let finished = 0;
+  let steals = 0;
+  const trace = [];
+
+  // Every scheduling event records a snapshot so the UI can replay queues, cores, and the
+  // reason behind each decision.
+  const note = (at, kind, message) => {
+    const runningIds = new Set(cores.filter((core) => core.running).map((core) => core.running.id));
+    const blocked = new Set([device.current, ...ioQueue].filter(Boolean).map((item) => item.id));
+    const waitingToArrive = new Set(pending.map((process) => process.id));
+    const stateOf = (process) => {
+      if (process.completionTime !== null) {
+        return 'done';
+      }
+      if (runningIds.has(process.id)) {
+        return 'running';
+      }
+      if (blocked.has(process.id)) {
+        return 'io';
+      }
+      return waitingToArrive.has(process.id) ? 'new' : 'ready';
+    };
+    const queueLabel = (core, label) => (sharedPolicy ? label : `Core ${core.id} ${label}`);
+
+    trace.push({
+      time: at,
+      kind,
+      message,
+      cores: cores.map((core) => ({
+        core: core.id,
+        id: core.running?.id ?? null,
+        name: core.running?.name ?? null,
+        remaining: core.running?.remaining ?? null,
+        runsFrom: roundTime(at + core.switchLeft),
+      })),
+      queues: (sharedPolicy ? [cores[0]] : cores).flatMap((core) =>
+        core.policy.peek().map((queue) => ({
+          label: queueLabel(core, queue.label),
+          names: queue.processes.map((process) => process.name),
+        })),
+      ),
+      io: { device: device.current?.name ?? null, waiting: ioQueue.map((item) => item.name) },
+      processes: data.map((process) => {
+        const state = stateOf(process);
+        const ioLeft =
+          device.current === process ? roundTime(device.until - at) : process.bursts[process.phase];
+        const bursts = {
+          done: [],
+          io: [ioLeft, ...process.bursts.slice(process.phase + 1)],
+        }[state] ?? [process.remaining, ...process.bursts.slice(process.phase + 1)];
+        return { id: process.id, name: process.name, state, bursts };
+      }),
+    });
+  };
+
+  const chooseCore = (process) => {
+    if (sharedPolicy) {
+      return cores[0];
+    }
+    const home = cores.find((core) => core.id === process.homeCore);
+    if (queueMode === 'steal' && home && canRun(process, home.id)) {
+      return home;
+    }
+    const load = (core) => core.queued + (core.running ? 1 : 0);
+    return cores
+      .filter((core) => canRun(process, core.id))
+      .sort(
+        (a, b) =>
+          load(a) - load(b) ||
+          (b.id === process.homeCore) - (a.id === process.homeCore) ||
+          a.id - b.id,
+      )[0];
+  };
+
+  const makeReady = (process, at, reason) => {
+    const core = chooseCore(process);
+    const levelBefore = core.policy.level?.(process);
+    process.readySince = at;
+    process.homeCore = core.id;
+    core.queued += 1;
+    core.policy.add(process, reason);
+
+    const level = core.policy.level?.(process);
+    const placement = [
+      sharedPolicy ? '' : ` on core ${core.id}`,
+      level !== undefined && level !== levelBefore ? ` at Q${level}` : '',
+    ].join('');
+    note(at, reason, `${process.name} ${readyReasons[reason]}${placement}.`);
+  };
+
+  const startIo = (at) => {
+    if (device.current || !ioQueue.length) {
+      return;
+    }
+    const process = ioQueue.shift();
+    process.ioWaitTime += at - process.blockedSince;
+    device.current = process;
+    device.until = roundTime(at + process.bursts[process.phase]);
+    note(at, 'io-start', `I/O device serves ${process.name} until ${device.until}.`);
+    ioSlices.push({
+      type: 'io',
+      id: process.id,
+      name: process.name,
+      start: at,
+      end: device.until,
+      level: null,
+    });
+  };
+
+  const nextEventTime = () =>
+    Math.min(
+      pending.length ? pending[0].arrival : Infinity,
+      device.current ? device.until : Infinity,
+    );
+
+  // Replays arrivals and I/O completions up to `limit` in time order so queue order and
+  // ready timestamps match the moment each event actually happened.
+  const admitEvents = (limit) => {
+    let eventTime = nextEventTime();
+    while (eventTime <= limit) {
+      if (device.current && device.until === eventTime) {
+        const process = device.current;
+        process.ioTime += process.bursts[process.phase];
+        process.phase += 1;
+        process.remaining = process.bursts[process.phase];
+        process.currentBurst = process.remaining;
+        device.current = null;
+        device.until = Infinity;
+        makeReady(process, eventTime, 'io');
+        startIo(eventTime);
+      } else {
+        makeReady(pending.shift(), eventTime, 'arrival');
+      }
+      eventTime = nextEventTime();
+    }
+  };
+
+  const releaseCpu = (core, reason) => {
+    const process = core.running;
+    core.running = null;
+    core.idleSince = time;
+    makeReady(process, time, reason);
+  };
+
+  const dispatch = (core, steal) => {
+    let source = core;
+    let next = steal ? null : core.policy.next(time, core.id);
+    if (steal) {
+      const victims = cores
+        .filter((other) => other !== core && other.queued > 0)
+        .sort((a, b) => b.queued - a.queued || a.id - b.id);
+      for (const victim of victims) {
+        next = victim.policy.next(time, core.id);
+        if (next) {
+          source = victim;
+          steals += 1;
+          break;
+        }
+      }
+    }
+    if (!next) {
+      return;
+    }
+
+    const stolen = source !== core ? ` (stolen from core ${source.id})` : '';
+    source.queued -= 1;
+    if (next.lastCore !== null && next.lastCore !== core.id) {
+      next.migrations += 1;
+    }
+    next.lastCore = core.id;
+    next.homeCore = core.id;
+    const runsAt = chargeContextSwitch(slices, core.lastId, next, time, switchCost, core.id);
+    next.waitingTime += runsAt - next.readySince;
+    core.switchLeft = runsAt - time;
+    core.running = next;
+    core.lastId = next.id;
+    core.quantumLeft = core.policy.quantum(next);
+    const where = coreCount > 1 ? `Core ${core.id}` : 'CPU';
+    const cost = core.switchLeft > 0 ? ` after a ${core.switchLeft}-unit context switch` : '';
+    note(
+      time,
+      'dispatch',
+      `${where} runs ${next.name}${stolen}: ${source.policy.explain(next, time)}${cost}.`,
+    );
+  };
+
+  while (finished < data.length) {
+    const now = time;
+    admitEvents(now);
+    if (policies.map((policy) => policy.advance?.(now)).some(Boolean)) {
+      note(now, 'boost', 'Priority boost: every job moves back to the top queue.');
+      cores
+        .filter((core) => core.running)
+        .forEach((core) => {
+          core.quantumLeft = core.policy.quantum(core.running);
+        });
+    }
+
+    // Cores that went idle most recently pick first, so a process whose quantum just expired
+    // tends to stay put; stealing only happens once every core has tried its own queue.
+    const idle = cores
+      .filter((core) => !core.running)
+      .sort((a, b) => b.idleSince - a.idleSince || a.id - b.id);
+    idle.forEach((core) => dispatch(core, false));
+    if (queueMode === 'steal') {
+      idle.filter((core) => !core.running).forEach((core) => dispatch(core, true));
+    }
+
+    // When several cores could be preempted, only the one running the least urgent process
+    // gives up its CPU; the loop then re-dispatches and checks again.
+    const preemptible = cores.filter(
+      (core) =>
+        core.running && !core.switchLeft && core.policy.shouldPreempt?.(core.running, now, core.id),
+    );
+    if (preemptible.length) {
+      const victim = preemptible.reduce((worst, core) =>
+        worst.policy.compare?.(core.running, worst.running) > 0 ? core : worst,
+      );
+      const challenger = victim.policy
+        .peek()
+        .flatMap((queue) => queue.processes)
+        .find((process) => canRun(process, victim.id));
+      note(
+        now,
+        'preempt',
+        `${victim.running.name} is preempted because ${challenger.name} ranks ahead: ${victim.policy.explain(challenger, now)}.`,
+      );
+      releaseCpu(victim, 'preempt');
+      continue;
+    }
+
+    const busy = cores.filter((core) => core.running);
+    if (!busy.length) {
+      const eventTime = nextEventTime();
+      if (!Number.isFinite(eventTime)) {
+        break;
+      }
+      if (eventTime > now) {
+        const who = coreCount > 1 ? 'every core idles' : 'the CPU idles';
+        note(now, 'idle', `Nothing is ready, so ${who} until ${eventTime}.`);
+      }
+      time = eventTime;
+      continue;
+    }
+
+    const until = roundTime(
+      Math.min(
+        ...busy.map((core) =>
+          core.switchLeft > 0
+            ? now + core.switchLeft
+            : Math.min(now + core.running.remaining, now + core.quantumLeft),
+        ),
+        nextEventTime(),
+        ...policies.map((policy) => policy.nextEventTime?.(now) ?? Infinity),
+      ),
+    );
+    const elapsed = until - now;
+    const executing = busy.filter((core) => {
+      if (core.switchLeft > 0) {
+        core.switchLeft = roundTime(core.switchLeft - elapsed);
+        return false;
+      }
+      const current = core.running;
+      if (elapsed > 0 && current.startTime === null) {
+        current.startTime = now;
+      }
+      recordSlice(slices, current, now, until, core.policy.level?.(current) ?? null, core.id);
+      core.policy.charge?.(current, elapsed);
+      current.remaining = roundTime(current.remaining - elapsed);
+      core.quantumLeft = roundTime(core.quantumLeft - elapsed);
+      return true;
+    });
+    time = until;
+
+    const expired = [];
+    for (const core of executing) {
+      const current = core.running;
+      if (current.remaining <= 0) {
+        core.running = null;
+        core.idleSince = time;
+        if (current.phase < current.bursts.length - 1) {
+          current.phase += 1;
+          current.blockedSince = time;
+          ioQueue.push(current);
+          note(time, 'block', `${current.name} finishes its CPU burst and blocks for I/O.`);
+          startIo(time);
+        } else {
+          current.completionTime = time;
+          finished += 1;
+          note(time, 'complete', `${current.name} completes.`);
+        }
+      } else if (core.quantumLeft <= 0) {
+        expired.push(core);
+      }
+    }
+    if (expired.length) {
+      admitEvents(time);
+      expired.forEach((core) => releaseCpu(core, 'quantum'));
+    }
+  }
+
+  const schedule = data.map((process) => {
+    const {
+      readySince,
+      blockedSince,
+      phase,
+      remaining,
+      currentBurst,
+      homeCore,
+      lastCore,
+      ...rest
+    } = process;
+    const completionTime = process.completionTime ?? process.arrival + process.burst;
+    return {
+      ...rest,
+      startTime: process.startTime ?? process.arrival,
+      completionTime,
+      turnaroundTime: roundTime(completionTime - process.arrival),
+      waitingTime: roundTime(process.waitingTime),
+    };
+  });
+
+  return { schedule, slices, ioSlices, cores: coreCount, steals, trace };
+};
+
+const readyReasons = {
+  arrival: 'arrives and joins the ready queue',
+  io: 'finishes I/O and rejoins the ready queue',
+  preempt: 'goes back to the ready queue',
+  quantum: 'used up its time slice and goes back to the ready queue',
+};
+
+const canRun = (process, core) => !process.affinity || process.affinity.includes(core);
+
+const createFifoPolicy = (quantum = Infinity) => {
+  const ready = [];
+  return {
+    add: (process) => ready.push(process),
+    next: (time, core) => {
+      const index = ready.findIndex((process) => canRun(process, core));
+      return index === -1 ? null : ready.splice(index, 1)[0];
+    },
+    quantum: () => quantum,
+    peek: () => [{ label: 'Ready', processes: [...ready] }],
+    explain: () =>
+      Number.isFinite(quantum)
+        ? `next in round-robin order, for up to ${quantum} units`
+        : 'it has waited in the queue the longest',
+  };
+};
+
+const createOrderedPolicy = (comparator, preemptive, agingInterval = 0) => {
+  const ready = [];
+  const best = (core) => ready.filter((process) => canRun(process, core)).sort(comparator)[0];
+
+  // Aging: every full `agingInterval` spent in the ready queue raises priority by one step.
+  // The boost is kept while the process runs and dropped once it re-enters the queue.
+  const age = (time) => {
+    if (!agingInterval) {
+      return;
+    }
+    ready.forEach((process) => {
+      const steps = Math.floor(roundTime((time - process.readySince) / agingInterval));
+      const applied = process.priority - process.agedPriority;
+      for (let step = applied + 1; step <= steps; step += 1) {
+        process.agedPriority = process.priority - step;
+        process.priorityHistory.push({
+          time: roundTime(process.readySince + step * agingInterval),
+          priority: process.agedPriority,
+        });
+      }
+    });
+  };
+
+  return {
+    add: (process) => {
+      if (process.agedPriority !== process.priority) {
+        process.agedPriority = process.priority;
+        process.priorityHistory.push({ time: process.readySince, priority: process.priority });
+      }
+      ready.push(process);
+    },
+    next: (time, core) => {
+      age(time);
+      const chosen = best(core);
+      if (!chosen) {
+        return null;
+      }
+      ready.splice(ready.indexOf(chosen), 1);
+      return chosen;
+    },
+    quantum: () => Infinity,
+    shouldPreempt: (running, time, core) => {
+      if (!preemptive || !ready.length) {
+        return false;
+      }
+      age(time);
+      const candidate = best(core);
+      return Boolean(candidate) && comparator(candidate, running) < 0;
+    },
+    compare: comparator,
+    peek: () => [{ label: 'Ready', processes: [...ready].sort(comparator) }],
+    explain: (process) => describeChoice(comparator, process),
+    nextEventTime: (time) => {
+      if (!preemptive || !agingInterval) {
+        return Infinity;
+      }
+      return ready.reduce((min, process) => {
+        const steps = Math.floor(roundTime((time - process.readySince) / agingInterval)) + 1;
+        return Math.min(min, process.readySince + steps * agingInterval);
+      }, Infinity);
+    },
+  };
+};
+
+const createMlfqPolicy = ({ quantums, policies, boostPeriod, preempt, accounting }) => {
+  const queues = quantums.map(() => []);
+  const members = [];
+  let nextBoost = boostPeriod > 0 ? boostPeriod : Infinity;
+
+  const sliceFor = (process) =>
+    policies[process.level] === 'FCFS' ? Infinity : quantums[process.level];
+
+  const setLevel = (process, level, time) => {
+    if (process.level !== level) {
+      process.level = level;
+      process.levelHistory.push({ time, level });
+    }
+    process.levelUsage = 0;
+  };
+
+  return {
+    add: (process, reason) => {
+      const time = process.readySince;
+      if (reason === 'arrival') {
+        process.level = 0;
+        process.levelUsage = 0;
+        process.levelHistory = [{ time, level: 0 }];
+        members.push(process);
+      } else if (reason === 'quantum' || (accounting && process.levelUsage >= sliceFor(process))) {
+        setLevel(process, Math.min(process.level + 1, queues.length - 1), time);
+      } else if (!accounting) {
+        process.levelUsage = 0;
+      }
+      queues[process.level].push(process);
+    },
+    next: (time, core) => {
+      for (const queue of queues) {
+        const index = queue.findIndex((process) => canRun(process, core));
+        if (index !== -1) {
+          return queue.splice(index, 1)[0];
+        }
+      }
+      return null;
+    },
+    // With accounting on, a job only gets what is left of its allotment at the current level,
+    // so yielding just before the quantum expires no longer keeps it at the top.
+    quantum: (process) => sliceFor(process) - process.levelUsage,
+    charge: (process, elapsed) => {
+      process.levelUsage = roundTime(process.levelUsage + elapsed);
+    },
+    level: (process) => process.level,
+    shouldPreempt: (running, time, core) =>
+      preempt &&
+      queues
+        .slice(0, running.level)
+        .some((queue) => queue.some((process) => canRun(process, core))),
+    compare: (a, b) => a.level - b.level,
+    peek: () => queues.map((queue, level) => ({ label: `Q${level}`, processes: [...queue] })),
+    explain: (process) =>
+      `front of Q${process.level}, the highest non-empty queue (${policies[process.level]}${
+        policies[process.level] === 'RR' ? ` quantum ${quantums[process.level]}` : ''
+      })`,
+    nextEventTime: () => nextBoost,
+    advance: (time) => {
+      let boosted = false;
+      while (nextBoost <= time) {
+        const boostTime = nextBoost;
+        const active = members.filter((process) => process.completionTime === null);
+        const waiting = queues.flatMap((queue) => queue.splice(0));
+        active.forEach((process) => setLevel(process, 0, boostTime));
+        queues[0].push(...waiting);
+        boosted = true;
+        nextBoost = roundTime(nextBoost + boostPeriod);
+      }
+      return boosted;
+    },
+  };
+};
+
+const createHrrnPolicy = () => {
+  const ready = [];
+  const ratio = (process, time) =>
+    (time - process.readySince + process.currentBurst) / process.currentBurst;
+
+  return {
+    add: (process) => ready.push(process),
+    next: (time, core) => {
+      const eligible = ready.filter((process) => canRun(process, core));
+      if (!eligible.length) {
+        return null;
+      }
+      const chosen = eligible.reduce((best, process) => {
+        const difference = ratio(process, time) - ratio(best, time);
+        return difference > 0 || (difference === 0 && sortByArrival(process, best) < 0)
+          ? process
+          : best;
+      });
+      ready.splice(ready.indexOf(chosen), 1);
+      return chosen;
+    },
+    quantum: () => Infinity,
+    peek: () => [{ label: 'Ready', processes: [...ready] }],
+    explain: (process, time) => `highest response ratio (${ratio(process, time).toFixed(2)})`,
+  };
+};
+
+const createLotteryPolicy = (quantum, random) => {
+  const ready = [];
+  let drawnFrom = 0;
+  return {
+    add: (process) => ready.push(process),
+    next: (time, core) => {
+      const eligible = ready.filter((process) => canRun(process, core));
+      if (!eligible.length) {
+        return null;
+      }
+      const total = eligible.reduce((sum, process) => sum + process.tickets, 0);
+      drawnFrom = total;
+      let ticket = random() * total;
+      const winner =
+        eligible.find((process) => {
+          ticket -= process.tickets;
+          return ticket < 0;
+        }) ?? eligible[eligible.length - 1];
+      ready.splice(ready.indexOf(winner), 1);
+      return winner;
+    },
+    quantum: () => quantum,
+    peek: () => [{ label: 'Ready', processes: [...ready] }],
+    explain: (process) => `won the draw holding ${process.tickets} of ${drawnFrom} tickets`,
+  };
+};
+
+// Stride scheduling: each process advances its pass by stride = 10000 / tickets per full
+// quantum of CPU, and the lowest pass runs next. Newcomers join at the current global pass
+// so they cannot bank credit for time spent away.
+const createStridePolicy = (quantum) => {
+  const ready = [];
+  let globalPass = 0;
+
+  return {
+    add: (process) => {
+      process.pass = Math.max(process.pass ?? 0, globalPass);
+      ready.push(process);
+    },
+    next: (time, core) => {
+      const chosen = ready
+        .filter((process) => canRun(process, core))
+        .sort((a, b) => (a.pass === b.pass ? sortByArrival(a, b) : a.pass - b.pass))[0];
+      if (!chosen) {
+        return null;
+      }
+      ready.splice(ready.indexOf(chosen), 1);
+      globalPass = chosen.pass;
+      return chosen;
+    },
+    quantum: () => quantum,
+    charge: (process, elapsed) => {
+      process.pass = roundTime(process.pass + ((10000 / process.tickets) * elapsed) / quantum);
+    },
+    peek: () => [
+      {
+        label: 'Ready',
+        processes: [...ready].sort((a, b) =>
+          a.pass === b.pass ? sortByArrival(a, b) : a.pass - b.pass,
+        ),
+      },
+    ],
+    explain: (process) => `lowest pass value (${roundTime(process.pass)})`,
+  };
+};
+
+const runFcfs = (processes, settings) => simulateCpu(processes, settings, () => createFifoPolicy());
+
+const runNonPreemptive = (processes, comparator, settings) => {
+  const agingInterval = parseOptionalSetting(settings?.agingInterval, 'Aging interval');
+  return simulateCpu(processes, settings, () =>
+    createOrderedPolicy(comparator, false, agingInterval),
+  );
+};
+
+const runPreemptive = (processes, comparator, settings) => {
+  const agingInterval = parseOptionalSetting(settings?.agingInterval, 'Aging interval');
+  return simulateCpu(processes, settings, () =>
+    createOrderedPolicy(comparator, true, agingInterval),
+  );
+};
+
+const runRoundRobin = (processes, settings) => {
+  const quantum = Number(settings?.rrQuantum);
+  if (!Number.isFinite(quantum) || quantum <= 0) {
+    throw new Error('Provide a positive time quantum for Round Robin.');
+  }
+
+  return simulateCpu(processes, settings, () => createFifoPolicy(quantum));
+};
+
+const runQuantumPolicy = (processes, settings, createPolicy, label) => {
+  const quantum = Number(settings?.rrQuantum);
+  if (!Number.isFinite(quantum) || quantum <= 0) {
+    throw new Error(`Provide a positive time quantum for ${label}.`);
+  }
+
+  return simulateCpu(processes, settings, () => createPolicy(quantum));
+};
+
+const runRealTime = (processes, settings, comparator, analyse) => {
+  const jobs = expandPeriodicTasks(processes);
+  const result = simulateCpu(jobs, settings, () => createOrderedPolicy(comparator, true));
+  const schedule = result.schedule.map((job) => ({
+    ...job,
+    missedDeadline: job.completionTime > roundTime(job.absoluteDeadline),
+  }));
+  return {
+    ...result,
+    schedule,
+    realtime: {
+      ...analyse(prepareProcesses(processes).filter((process) => process.period)),
+      misses: schedule.filter((job) => job.missedDeadline).length,
+    },
+  };
+};
+
+// Periodic tasks release a job every `period` from their arrival until one hyperperiod past
+// the last arrival; each job's absolute deadline is its release plus the relative deadline
+// (the period when none is given). Aperiodic processes become a single job.
+const expandPeriodicTasks = (processes) => {
+  const tasks = prepareProcesses(processes);
+  const periods = tasks.filter((task) => task.period).map((task) => task.period);
+  const lastArrival = Math.max(0, ...tasks.map((task) => task.arrival));
+  const horizon = lastArrival + Math.min(hyperperiod(periods), maxHyperperiod);
+
+  return tasks.flatMap((task) => {
+    if (!task.period) {
+      return [
+        {
+          ...task,
+          absoluteDeadline: task.deadline ? roundTime(task.arrival + task.deadline) : Infinity,
+        },
+      ];
+    }
+    const releases = [];
+    for (
+      let release = task.arrival;
+      release < horizon;
+      release = roundTime(release + task.period)
+    ) {
+      releases.push(release);
+    }
+    return releases.map((release, index) => ({
+      ...task,
+      id: index === 0 ? task.id : `${task.id}#${index + 1}`,
+      name: index === 0 ? task.name : `${task.name}#${index + 1}`,
+      arrival: release,
+      absoluteDeadline: roundTime(release + (task.deadline ?? task.period)),
+    }));
+  });
+};
+
+const maxHyperperiod = 200;
+
+const hyperperiod = (periods) => {
+  if (!periods.length) {
+    return 0;
+  }
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  // Periods are entered in tenths, so work in integer tenths for the LCM.
+  const lcm = periods
+    .map((period) => Math.round(period * 10))
+    .reduce((acc, value) => (acc / gcd(acc, value)) * value);
+  return lcm / 10;
+};
+
+const analyseRateMonotonic = (tasks) => {
+  const count = tasks.length;
+  const utilization = tasks.reduce((sum, task) => sum + task.burst / task.period, 0);
+  const bound = count ? count * (2 ** (1 / count) - 1) : 1;
+  let verdict = 'schedulable (Liu–Layland test passed)';
+  if (utilization > 1) {
+    verdict = 'not schedulable (U > 1)';
+  } else if (utilization > bound) {
+    verdict = 'inconclusive (above the Liu–Layland bound, see the simulation)';
+  }
+  return {
+    utilization,
+    bound,
+    test: 'Liu–Layland n(2^(1/n) − 1)',
+    schedulable: utilization <= bound,
+    verdict,
+  };
+};
+
+// With deadlines shorter than periods U ≤ 1 is no longer sufficient, so the density
+// Σ C / min(D, T) is tested instead.
+const analyseEdf = (tasks) => {
+  const constrained = tasks.some((task) => task.deadline && task.deadline < task.period);
+  const utilization = tasks.reduce(
+    (sum, task) => sum + task.burst / Math.min(task.deadline ?? task.period, task.period),
+    0,
+  );
+  const schedulable = utilization <= 1;
+  return {
+    utilization,
+    bound: 1,
+    test: constrained ? 'EDF density' : 'EDF',
+    schedulable,
+    verdict: schedulable ? 'schedulable' : 'not schedulable',
+  };
+};
+
+const runMlfq = (processes, settings) => {
+  const levels = parseMlfqLevels(settings?.mlfqLevels);
+  if (!levels.length) {
+    throw new Error('Enter at least one time quantum for MLFQ (e.g. 2,4,8).');
+  }
+
+  const quantums = [...levels, levels[levels.length - 1]];
+  const options = {
+    quantums,
+    policies: parseMlfqPolicies(settings?.mlfqPolicies, quantums.length),
+    boostPeriod: parseOptionalSetting(settings?.mlfqBoost, 'Priority boost period'),
+    preempt: Boolean(settings?.mlfqPreempt),
+    accounting: Boolean(settings?.mlfqAccounting),
+  };
+  const result = simulateCpu(processes, settings, () => createMlfqPolicy(options));
+  return { ...result, levelTimeline: buildLevelTimeline(result.schedule) };
+};
+
+const parseMlfqPolicies = (value, count) => {
+  const tokens = (value || '')
+    .split(',')
+    .map((token) => token.trim().toUpperCase())
+    .filter(Boolean);
+  if (tokens.length > count) {
+    throw new Error(`MLFQ has ${count} levels but ${tokens.length} level policies were given.`);
+  }
+
+  return Array.from({ length: count }, (_, level) => {
+    const policy = tokens[level] || (level === count - 1 ? 'FCFS' : 'RR');
+    if (policy !== 'RR' && policy !== 'FCFS') {
+      throw new Error(`Unknown MLFQ level policy "${policy}". Use RR or FCFS.`);
+    }
+    return policy;
+  });
+};
+
+const buildLevelTimeline = (schedule) =>
+  schedule.flatMap((process) =>
+    process.levelHistory
+      .map((point, index) => ({
+        level: point.level,
+        id: process.id,
+        name: process.name,
+        start: point.time,
+        end: process.levelHistory[index + 1]?.time ?? process.completionTime,
+      }))
+      .filter((segment) => segment.end > segment.start),
+  );
+
+const parseMlfqLevels = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map((token) => Number(token.trim()))
+    .filter((number) => Number.isFinite(number) && number > 0);
+};
+
+const parseOptionalSetting = (value, label) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return 0;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${label} must be blank or a positive number.`);
+  }
+  return number;
+};
+
+const parseCoreCount = (settings) => {
+  const cores = Number(settings?.cores || 1);
+  if (!Number.isInteger(cores) || cores < 1 || cores > 16) {
+    throw new Error('Cores must be a whole number between 1 and 16.');
+  }
+  return cores;
+};
+
+const parseSwitchCost = (settings) => {
+  const cost = Number(settings?.contextSwitch || 0);
+  if (!Number.isFinite(cost) || cost < 0) {
+    throw new Error('Context switch cost must be zero or a positive number.');
+  }
+  return cost;
+};
+
+const schedulingStrategies = {
+  fcfs: (processes, settings) => runFcfs(processes, settings),
+  sjfNonPreemptive: (processes, settings) => runNonPreemptive(processes, compareByBurst, settings),
+  sjfPreemptive: (processes, settings) => runPreemptive(processes, compareByRemaining, settings),
+  priorityNonPreemptive: (processes, settings) =>
+    runNonPreemptive(processes, compareByPriority, settings),
+  priorityPreemptive: (processes, settings) =>
+    runPreemptive(processes, compareByPriority, settings),
+  roundRobin: (processes, settings) => runRoundRobin(processes, settings),
+  mlfq: (processes, settings) => runMlfq(processes, settings),
+  hrrn: (processes, settings) => simulateCpu(processes, settings, createHrrnPolicy),
+  lottery: (processes, settings) => {
+    const random = createRng(settings?.lotterySeed ?? '');
+    return runQuantumPolicy(
+      processes,
+      settings,
+      (quantum) => createLotteryPolicy(quantum, random),
+      'Lottery scheduling',
+    );
+  },
+  stride: (processes, settings) =>
+    runQuantumPolicy(processes, settings, createStridePolicy, 'Stride scheduling'),
+  edf: (processes, settings) => runRealTime(processes, settings, compareByDeadline, analyseEdf),
+  rateMonotonic: (processes, settings) =>
+    runRealTime(processes, settings, compareByPeriod, analyseRateMonotonic),
+};
+
+export {
+  algorithmOptions,
+  comparisonMetrics,
+  defaultSettings,
+  schedulingStrategies,
+  runStrategy,
+  prepareProcesses,
+  simulateCpu,
+  runFcfs,
+  runNonPreemptive,
+  runPreemptive,
+  runRoundRobin,
+  runMlfq,
+  createFifoPolicy,
+  createOrderedPolicy,
+  createMlfqPolicy,
+  createHrrnPolicy,
+  createLotteryPolicy,
+  createStridePolicy,
+  compareByBurst,
+  compareByPriority,
+  compareByRemaining,
+  compareByDeadline,
+  compareByPeriod,
+  computeAverages,
+  withIdleSlices,
+  expandPeriodicTasks,
+  sweepQuantum,
+  rankComparison,
+  isBestValue,
+  roundTime,
+};
@@ -0,0 +1,193 @@
+import { defaultSettings, runStrategy, schedulingStrategies, sweepQuantum } from './scheduling.js';
+
+const workload = (rows) =>
+  rows.map(([name, arrival, burst, priority = 1], index) => ({
+    id: index + 1,
+    name,
+    arrival,
+    burst,
+    priority,
+  }));
+
+const run = (key, processes, settings = {}) =>
+  runStrategy(schedulingStrategies[key], processes, settings);
+
+const finishTimes = (result) =>
+  Object.fromEntries(result.schedule.map((process) => [process.name, process.completionTime]));
+
+const cpuOrder = (result) =>
+  result.slices
+    .filter((slice) => slice.type === 'cpu')
+    .map((slice) => `${slice.name} ${slice.start}-${slice.end}`);
+
+// Convoy example: three jobs at time 0 with bursts 24, 3, 3.
+const convoy = workload([
+  ['P1', 0, 24],
+  ['P2', 0, 3],
+  ['P3', 0, 3],
+]);
+
+describe('textbook fixtures', () => {
+  test('FCFS waits 17 on average behind the long job', () => {
+    const result = run('fcfs', convoy);
+    expect(result.averageWaiting).toBe(17);
+    expect(result.averageTurnaround).toBe(27);
+  });
+
+  test('non-preemptive SJF runs the shortest job first', () => {
+    const result = run(
+      'sjfNonPreemptive',
+      workload([
+        ['P1', 0, 6],
+        ['P2', 0, 8],
+        ['P3', 0, 7],
+        ['P4', 0, 3],
+      ]),
+    );
+    expect(result.schedule.map((process) => process.name)).toEqual(['P4', 'P1', 'P3', 'P2']);
+    expect(result.averageWaiting).toBe(7);
+  });
+
+  test('SRTF preempts for a shorter remaining time', () => {
+    const result = run(
+      'sjfPreemptive',
+      workload([
+        ['P1', 0, 8],
+        ['P2', 1, 4],
+        ['P3', 2, 9],
+        ['P4', 3, 5],
+      ]),
+    );
+    expect(cpuOrder(result)).toEqual(['P1 0-1', 'P2 1-5', 'P4 5-10', 'P1 10-17', 'P3 17-26']);
+    expect(result.averageWaiting).toBe(6.5);
+  });
+
+  test('non-preemptive priority favours the lowest number', () => {
+    const result = run(
+      'priorityNonPreemptive',
+      workload([
+        ['P1', 0, 10, 3],
+        ['P2', 0, 1, 1],
+        ['P3', 0, 2, 4],
+        ['P4', 0, 1, 5],
+        ['P5', 0, 5, 2],
+      ]),
+    );
+    expect(result.schedule.map((process) => process.name)).toEqual(['P2', 'P5', 'P1', 'P3', 'P4']);
+    expect(result.averageWaiting).toBeCloseTo(8.2);
+  });
+
+  test('Round Robin with q = 4 interleaves the convoy', () => {
+    const result = run('roundRobin', convoy, { rrQuantum: '4' });
+    expect(cpuOrder(result)).toEqual(['P1 0-4', 'P2 4-7', 'P3 7-10', 'P1 10-30']);
+    expect(result.averageWaiting).toBeCloseTo(17 / 3);
+  });
+
+  test('HRRN picks by response ratio', () => {
+    const result = run(
+      'hrrn',
+      workload([
+        ['A', 0, 3],
+        ['B', 2, 6],
+        ['C', 4, 4],
+        ['D', 6, 5],
+        ['E', 8, 2],
+      ]),
+    );
+    expect(finishTimes(result)).toEqual({ A: 3, B: 9, C: 13, D: 20, E: 15 });
+  });
+
+  test('MLFQ demotes a CPU-bound job one level per expired quantum', () => {
+    const result = run('mlfq', workload([['P1', 0, 10]]), { mlfqLevels: '2,4' });
+    expect(result.slices.map((slice) => [slice.level, slice.start, slice.end])).toEqual([
+      [0, 0, 2],
+      [1, 2, 6],
+      [2, 6, 10],
+    ]);
+  });
+});
+
+describe('real-time scheduling', () => {
+  const tasks = [
+    { id: 1, name: 'T1', arrival: 0, burst: 25, period: 50 },
+    { id: 2, name: 'T2', arrival: 0, burst: 35, period: 80 },
+  ];
+
+  test('rate monotonic misses a deadline above the Liu–Layland bound', () => {
+    const result = run('rateMonotonic', tasks);
+    expect(result.realtime.utilization).toBeCloseTo(0.9375);
+    expect(result.realtime.bound).toBeCloseTo(0.8284, 4);
+    expect(result.realtime.misses).toBe(1);
+  });
+
+  test('EDF meets every deadline when U ≤ 1', () => {
+    const result = run('edf', tasks);
+    expect(result.realtime.schedulable).toBe(true);
+    expect(result.realtime.misses).toBe(0);
+  });
+});
+
+describe('engine options', () => {
+  test('context switches add overhead between different processes', () => {
+    const result = run('fcfs', convoy, { contextSwitch: '1' });
+    expect(result.contextSwitches).toBe(2);
+    expect(result.switchOverhead).toBe(2);
+    expect(result.makespan).toBe(32);
+  });
+
+  test('dispatches of a different process count as switches even when they are free', () => {
+    expect(run('fcfs', convoy)).toMatchObject({ contextSwitches: 2, switchOverhead: 0 });
+    expect(run('roundRobin', convoy, { rrQuantum: '4' }).contextSwitches).toBe(3);
+  });
+
+  test('I/O bursts block the process on the device', () => {
+    const result = run('fcfs', [{ id: 1, name: 'A', arrival: 0, burst: 6, bursts: [4, 3, 2] }]);
+    expect(result.schedule[0].completionTime).toBe(9);
+    expect(result.schedule[0].ioTime).toBe(3);
+    expect(result.ioSlices).toHaveLength(1);
+  });
+
+  test('two cores share a global queue', () => {
+    const result = run(
+      'fcfs',
+      workload([
+        ['P1', 0, 4],
+        ['P2', 0, 4],
+        ['P3', 0, 4],
+      ]),
+      { cores: '2' },
+    );
+    expect(finishTimes(result)).toEqual({ P1: 4, P2: 4, P3: 8 });
+    expect(result.coreUtilization.map((core) => core.utilization)).toEqual([1, 0.5]);
+  });
+
+  test('the quantum sweep finds where RR turns into FCFS', () => {
+    const sweep = sweepQuantum(convoy, { sweepFrom: '1', sweepTo: '30', sweepStep: '1' });
+    expect(sweep.rows).toHaveLength(30);
+    expect(sweep.degenerateAt).toBe(24);
+    expect(sweep.maxBurst).toBe(24);
+  });
+
+  test('invalid settings throw readable errors', () => {
+    expect(() => run('roundRobin', convoy, { rrQuantum: '0' })).toThrow(
+      'Provide a positive time quantum for Round Robin.',
+    );
+    expect(() => run('fcfs', convoy, { cores: '0' })).toThrow(/Cores must be/);
+  });
+
+  test('invalid arrivals and bursts throw instead of running forever', () => {
+    const one = (fields) => [{ id: 1, name: 'A', arrival: 0, burst: 3, priority: 1, ...fields }];
+    ['fcfs', 'roundRobin', 'sjfPreemptive', 'mlfq'].forEach((key) => {
+      expect(() => run(key, one({ burst: 'x' }), defaultSettings)).toThrow(
+        'A needs burst times greater than zero.',
+      );
+    });
+    expect(() => run('fcfs', one({ burst: -3 }))).toThrow(/burst times greater than zero/);
+    expect(() => run('fcfs', one({ bursts: [2, 0, 1] }))).toThrow(/burst times greater than zero/);
+    expect(() => run('fcfs', one({ arrival: 'x' }))).toThrow(
+      'A needs an arrival time of 0 or more.',
+    );
+    expect(() => run('fcfs', one({ arrival: -1 }))).toThrow(/arrival time of 0 or more/);
+    expect(() => run('fcfs', one({ arrival: Infinity }))).toThrow(/arrival time of 0 or more/);
+  });
+});
@@ -0,0 +1,191 @@
+// Semaphore-based Producer–Consumer over a circular buffer. Every thread runs a fixed program
+// one instruction per scheduler step, so a thread that holds the mutex keeps it across steps and
+// the others really block on it. Semaphores keep a FIFO wait queue: signal hands the permit
+// straight to the first waiter instead of raising the count.
+
+const producerProgram = [
+  { op: 'wait', semaphore: 'empty' },
+  { op: 'wait', semaphore: 'mutex' },
+  { op: 'insert' },
+  { op: 'signal', semaphore: 'mutex' },
+  { op: 'signal', semaphore: 'full' },
+];
+
+const consumerProgram = [
+  { op: 'wait', semaphore: 'full' },
+  { op: 'wait', semaphore: 'mutex' },
+  { op: 'remove' },
+  { op: 'signal', semaphore: 'mutex' },
+  { op: 'signal', semaphore: 'empty' },
+];
+
+const programs = { producer: producerProgram, consumer: consumerProgram };
+
+const instructionLabel = ({ op, semaphore }) => {
+  if (op === 'insert') return 'insert item';
+  if (op === 'remove') return 'remove item';
+  return `${op}(${semaphore})`;
+};
+
+const createSemaphore = (value) => ({ value, queue: [] });
+
+// wait(): take a permit, or join the back of the queue and block.
+const semaphoreWait = (semaphore, thread) =>
+  semaphore.value > 0
+    ? { semaphore: { ...semaphore, value: semaphore.value - 1 }, blocked: false }
+    : { semaphore: { ...semaphore, queue: [...semaphore.queue, thread] }, blocked: true };
+
+// signal(): the first waiter's wait() completes with the permit; with nobody waiting it is counted.
+const semaphoreSignal = (semaphore) => {
+  const [woken, ...rest] = semaphore.queue;
+  return woken === undefined
+    ? { semaphore: { ...semaphore, value: semaphore.value + 1 }, woken: null }
+    : { semaphore: { ...semaphore, queue: rest }, woken };
+};
+
+const createThreads = (count, role, prefix) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: `${prefix}${i}`,
+    role,
+    pc: 0,
+    blockedOn: null,
+    item: null,
+  }));
+
+// `items` slots start filled (numbered from 1), so `in` starts just past them and `out` at slot 0.
+const createProducerConsumer = ({ producers, consumers, capacity, items = 0 }) => {
+  const filled = Math.min(Math.max(items, 0), capacity);
+  return {
+    capacity,
+    buffer: Array.from({ length: capacity }, (_, slot) => (slot < filled ? slot + 1 : null)),
+    in: filled % capacity,
+    out: 0,
+    produced: filled,
+    consumed: 0,
+    semaphores: {
+      empty: createSemaphore(capacity - filled),
+      full: createSemaphore(filled),
+      mutex: createSemaphore(1),
+    },
+    threads: [
+      ...createThreads(producers, 'producer', 'P'),
+      ...createThreads(consumers, 'consumer', 'C'),
+    ],
+  };
+};
+
+// Runs the next instruction of one ready thread and describes what happened.
+const stepThread = (state, id) => {
+  const thread = state.threads.find((candidate) => candidate.id === id);
+  if (!thread) throw new Error(`Unknown thread ${id}.`);
+  if (thread.blockedOn) throw new Error(`${id} is blocked on ${thread.blockedOn}.`);
+
+  const program = programs[thread.role];
+  const instruction = program[thread.pc];
+  const advance = (current) => ({ ...current, pc: (current.pc + 1) % program.length });
+  const semaphores = { ...state.semaphores };
+  const buffer = [...state.buffer];
+  let next = { ...state, semaphores, buffer };
+  let moved = advance(thread);
+  let woken = null;
+  let text;
+
+  if (instruction.op === 'wait') {
+    const name = instruction.semaphore;
+    const before = semaphores[name].value;
+    const result = semaphoreWait(semaphores[name], id);
+    semaphores[name] = result.semaphore;
+    if (result.blocked) {
+      moved = { ...thread, blockedOn: name };
+      text = `${id}: wait(${name}) finds ${name} = 0 and blocks; queue [${result.semaphore.queue.join(', ')}].`;
+    } else {
+      text = `${id}: wait(${name}) ${before} → ${result.semaphore.value}.`;
+    }
+  } else if (instruction.op === 'signal') {
+    const name = instruction.semaphore;
+    const before = semaphores[name].value;
+    const result = semaphoreSignal(semaphores[name]);
+    semaphores[name] = result.semaphore;
+    woken = result.woken;
+    text = woken
+      ? `${id}: signal(${name}) wakes ${woken}, whose wait(${name}) completes.`
+      : `${id}: signal(${name}) ${before} → ${result.semaphore.value}.`;
+  } else if (instruction.op === 'insert') {
+    const item = state.produced + 1;
+    buffer[state.in] = item;
+    next = { ...next, in: (state.in + 1) % state.capacity, produced: item };
+    moved = { ...moved, item };
+    text = `${id}: puts item ${item} in slot ${state.in}; in → ${next.in}.`;
+  } else {
+    const item = buffer[state.out];
+    buffer[state.out] = null;
+    next = { ...next, out: (state.out + 1) % state.capacity, consumed: state.consumed + 1 };
+    moved = { ...moved, item };
+    text = `${id}: takes item ${item} from slot ${state.out}; out → ${next.out}.`;
+  }
+
+  next.threads = state.threads.map((current) => {
+    if (current.id === id) return moved;
+    if (current.id === woken) return advance({ ...current, blockedOn: null });
+    return current;
+  });
+
+  return {
+    state: next,
+    event: {
+      thread: id,
+      instruction: instructionLabel(instruction),
+      blocked: Boolean(moved.blockedOn),
+      woken,
+      text,
+    },
+  };
+};
+
+const readyThreads = (state) =>
+  state.threads.filter((thread) => !thread.blockedOn).map((thread) => thread.id);
+
+// The thread that acted last is running; the others are ready unless a wait() blocked them.
+const threadStatus = (thread, running = null) => {
+  if (thread.blockedOn) return `blocked on ${thread.blockedOn}`;
+  return thread.id === running ? 'running' : 'ready';
+};
+
+// Between wait(mutex) and signal(mutex) a thread is inside its critical section.
+const inCriticalSection = (thread) => !thread.blockedOn && (thread.pc === 2 || thread.pc === 3);
+
+// Round robin continues with the first ready thread after `last` in thread order; random draws
+// from the ready threads with `random` (a function returning values in [0, 1)).
+const pickNextThread = (
+  state,
+  { policy = 'round-robin', last = null, random = Math.random } = {},
+) => {
+  const ready = readyThreads(state);
+  if (!ready.length) return null;
+  if (policy === 'random') return ready[Math.floor(random() * ready.length)];
+  const ids = state.threads.map((thread) => thread.id);
+  const start = ids.indexOf(last) + 1;
+  const order = [...ids.slice(start), ...ids.slice(0, start)];
+  return order.find((id) => ready.includes(id));
+};
+
+const threadPolicyOptions = [
+  { value: 'round-robin', label: 'Round robin' },
+  { value: 'random', label: 'Random' },
+];
+
+export {
+  producerProgram,
+  consumerProgram,
+  instructionLabel,
+  createSemaphore,
+  semaphoreWait,
+  semaphoreSignal,
+  createProducerConsumer,
+  stepThread,
+  readyThreads,
+  threadStatus,
+  inCriticalSection,
+  pickNextThread,
+  threadPolicyOptions,
+};
@@ -0,0 +1,76 @@
+import {
+  createProducerConsumer,
+  inCriticalSection,
+  pickNextThread,
+  readyThreads,
+  stepThread,
+  threadStatus,
+} from './synchronization.js';
+
+const run = (state, ids) =>
+  ids.reduce(
+    ({ state: current, events }, id) => {
+      const { state: next, event } = stepThread(current, id);
+      return { state: next, events: [...events, event] };
+    },
+    { state, events: [] },
+  );
+
+const threadOf = (state, id) => state.threads.find((thread) => thread.id === id);
+
+test('a producer fills the circular buffer and wraps the in pointer', () => {
+  const start = createProducerConsumer({ producers: 1, consumers: 1, capacity: 3, items: 2 });
+  expect(start.buffer).toEqual([1, 2, null]);
+  expect(start.in).toBe(2);
+
+  const { state } = run(start, ['P0', 'P0', 'P0', 'P0', 'P0']);
+  expect(state.buffer).toEqual([1, 2, 3]);
+  expect(state.in).toBe(0);
+  expect(state.semaphores.empty.value).toBe(0);
+  expect(state.semaphores.full.value).toBe(3);
+  expect(state.semaphores.mutex.value).toBe(1);
+});
+
+test('a producer holding the mutex blocks the consumer until it signals', () => {
+  const start = createProducerConsumer({ producers: 1, consumers: 1, capacity: 3, items: 1 });
+  const { state, events } = run(start, ['P0', 'P0', 'C0', 'C0']);
+  expect(inCriticalSection(threadOf(state, 'P0'))).toBe(true);
+  expect(threadStatus(threadOf(state, 'P0'))).toBe('ready');
+  expect(threadStatus(threadOf(state, 'C0'), 'C0')).toBe('blocked on mutex');
+  expect(state.semaphores.mutex.queue).toEqual(['C0']);
+  expect(events[3].blocked).toBe(true);
+
+  const released = run(state, ['P0', 'P0']);
+  expect(released.events[1]).toMatchObject({ thread: 'P0', woken: 'C0' });
+  // The permit is handed over, so the count stays at 0 while C0 owns the mutex.
+  expect(released.state.semaphores.mutex).toEqual({ value: 0, queue: [] });
+  expect(inCriticalSection(threadOf(released.state, 'C0'))).toBe(true);
+  expect(threadStatus(threadOf(released.state, 'P0'), 'P0')).toBe('running');
+
+  const consumed = run(released.state, ['C0']);
+  expect(consumed.state.buffer).toEqual([null, 2, null]);
+  expect(consumed.state.out).toBe(1);
+});
+
+test('consumers queue on full in arrival order and are woken FIFO', () => {
+  const start = createProducerConsumer({ producers: 1, consumers: 2, capacity: 2 });
+  const { state } = run(start, ['C1', 'C0']);
+  expect(state.semaphores.full.queue).toEqual(['C1', 'C0']);
+  expect(readyThreads(state)).toEqual(['P0']);
+  expect(() => stepThread(state, 'C0')).toThrow('C0 is blocked on full.');
+
+  const produced = run(state, ['P0', 'P0', 'P0', 'P0', 'P0']);
+  expect(produced.events[4].woken).toBe('C1');
+  expect(produced.state.semaphores.full.queue).toEqual(['C0']);
+});
+
+test('the scheduler skips blocked threads and reports when none can run', () => {
+  const start = createProducerConsumer({ producers: 2, consumers: 1, capacity: 2 });
+  const { state } = run(start, ['C0']);
+  expect(pickNextThread(state, { last: 'P1' })).toBe('P0');
+  expect(pickNextThread(state, { last: 'P0' })).toBe('P1');
+  expect(pickNextThread(state, { policy: 'random', random: () => 0.99 })).toBe('P1');
+
+  const stuck = run(createProducerConsumer({ producers: 0, consumers: 1, capacity: 2 }), ['C0']);
+  expect(pickNextThread(stuck.state)).toBeNull();
+});
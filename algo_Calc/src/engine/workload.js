@@ -0,0 +1,334 @@
+import { createRng } from './random.js';
+import { comparisonMetrics } from './scheduling.js';
+
+const parseBurstSequence = (value) => {
+  const tokens = value
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean);
+
+  const bursts = tokens.map((token, index) => {
+    const match = token.match(/^(cpu|io)?\s*(\d*\.?\d+)$/i);
+    if (!match) {
+      throw new Error(`Could not read burst "${token}". Use a list like CPU 4, IO 3, CPU 2.`);
+    }
+    const expected = index % 2 === 0 ? 'cpu' : 'io';
+    if (match[1] && match[1].toLowerCase() !== expected) {
+      throw new Error('Bursts must alternate CPU and IO, starting with CPU.');
+    }
+    const length = Number(match[2]);
+    if (!Number.isFinite(length) || length <= 0) {
+      throw new Error('Every burst must be a finite number greater than zero.');
+    }
+    return length;
+  });
+
+  if (bursts.length % 2 === 0) {
+    throw new Error('A burst sequence must end with a CPU burst.');
+  }
+  return bursts;
+};
+
+const buildProcess = (fields, fallbackName) => {
+  const text = (field) => {
+    const value = fields[field];
+    return Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+  };
+
+  const bursts = text('bursts') ? parseBurstSequence(text('bursts')) : null;
+  const affinity = parseAffinity(text('affinity'));
+  const arrival = Number(text('arrival'));
+  const burst = bursts
+    ? bursts.filter((_, index) => index % 2 === 0).reduce((sum, value) => sum + value, 0)
+    : Number(text('burst'));
+  const priority = Number(text('priority') || 1);
+  const optional = ['period', 'deadline', 'tickets'].reduce((acc, field) => {
+    if (text(field)) {
+      acc[field] = Number(text(field));
+    }
+    return acc;
+  }, {});
+
+  // Number('') is 0, so an empty arrival cell has to be caught before it reads as time 0.
+  if (!text('arrival')) {
+    throw new Error('Arrival time is required.');
+  }
+  if (![arrival, burst, priority].every(Number.isFinite)) {
+    throw new Error('Arrival, burst, and priority must be numeric values.');
+  }
+  if (arrival < 0) {
+    throw new Error('Arrival time cannot be negative.');
+  }
+  if (Object.values(optional).some((value) => !Number.isFinite(value) || value <= 0)) {
+    throw new Error('Period, deadline, and tickets must be positive numbers when provided.');
+  }
+  if (burst <= 0) {
+    throw new Error('Burst time must be greater than zero.');
+  }
+
+  return {
+    name: text('name') || fallbackName,
+    arrival,
+    burst,
+    priority,
+    ...optional,
+    ...(affinity ? { affinity } : {}),
+    ...(bursts && bursts.length > 1 ? { bursts } : {}),
+  };
+};
+
+const workloadColumns = [
+  'name',
+  'arrival',
+  'burst',
+  'priority',
+  'bursts',
+  'period',
+  'deadline',
+  'tickets',
+  'affinity',
+];
+
+// Accepts a JSON array (or an exported `{ processes }` object) or CSV rows. A CSV header row is
+// optional; without one the columns follow `workloadColumns`. Only the first CSV table is read,
+// so the schedule section of an exported file is ignored on re-import.
+const parseWorkload = (input, existingCount = 0) => {
+  const trimmed = input.trim();
+  if (!trimmed) {
+    return { processes: [], errors: [] };
+  }
+
+  let rows;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const items = Array.isArray(parsed) ? parsed : parsed.processes;
+      if (!Array.isArray(items)) {
+        return {
+          processes: [],
+          errors: ['JSON must be an array of processes or { "processes": [...] }.'],
+        };
+      }
+      rows = items.map((item, index) => ({ label: `Item ${index + 1}`, fields: item || {} }));
+    } catch (error) {
+      return { processes: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+  } else {
+    const lines = trimmed.split(/\r?\n/);
+    const blank = lines.findIndex((line) => !line.trim());
+    const table = (blank === -1 ? lines : lines.slice(0, blank)).map(splitCsvLine);
+    const hasHeader = table[0].some((cell) => cell.toLowerCase() === 'arrival');
+    const header = hasHeader ? table[0].map((cell) => cell.toLowerCase()) : workloadColumns;
+    rows = table.slice(hasHeader ? 1 : 0).map((cells, index) => ({
+      label: `Row ${index + (hasHeader ? 2 : 1)}`,
+      fields: Object.fromEntries(header.map((column, columnIndex) => [column, cells[columnIndex]])),
+    }));
+  }
+
+  const processes = [];
+  const errors = [];
+  rows.forEach(({ label, fields }) => {
+    try {
+      processes.push(buildProcess(fields, `P${existingCount + processes.length + 1}`));
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  });
+  return { processes, errors };
+};
+
+const splitCsvLine = (line) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (char === '"' && quoted && line[index + 1] === '"') {
+      current += '"';
+      index += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      const cell = String(value ?? '');
+      return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(',');
+
+const workloadToCsv = (processes, results) => {
+  const lines = [
+    toCsvRow(workloadColumns),
+    ...processes.map((process) =>
+      toCsvRow([
+        process.name,
+        process.arrival,
+        process.burst,
+        process.priority,
+        process.bursts ? formatBursts(process.bursts) : '',
+        process.period,
+        process.deadline,
+        process.tickets,
+        process.affinity ? process.affinity.join(', ') : '',
+      ]),
+    ),
+  ];
+  if (results) {
+    lines.push(
+      '',
+      toCsvRow([`schedule: ${results.algorithmLabel}`]),
+      toCsvRow([
+        'name',
+        'arrival',
+        'burst',
+        'start',
+        'finish',
+        'waiting',
+        'turnaround',
+        'response',
+      ]),
+      ...results.schedule.map((process) =>
+        toCsvRow([
+          process.name,
+          process.arrival,
+          process.burst,
+          process.startTime,
+          process.completionTime,
+          process.waitingTime,
+          process.turnaroundTime,
+          process.responseTime,
+        ]),
+      ),
+    );
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const buildExport = (processes, results, settings) => ({
+  processes: processes.map(({ id, ...process }) => process),
+  ...(results && {
+    schedule: {
+      algorithm: results.algorithmKey,
+      settings,
+      rows: results.schedule.map((process) => ({
+        name: process.name,
+        arrival: process.arrival,
+        burst: process.burst,
+        start: process.startTime,
+        finish: process.completionTime,
+        waiting: process.waitingTime,
+        turnaround: process.turnaroundTime,
+        response: process.responseTime,
+      })),
+      slices: results.slices,
+      metrics: Object.fromEntries(
+        comparisonMetrics.map((metric) => [metric.key, results[metric.key]]),
+      ),
+    },
+  }),
+});
+
+// Arrivals form a Poisson process (exponential gaps with rate λ); bursts come from the chosen
+// distribution. Everything is rounded to one decimal so the table stays readable.
+const generateWorkload = (options) => {
+  const number = (field) => Number(options[field]);
+  const count = number('count');
+  if (!Number.isInteger(count) || count < 1 || count > 200) {
+    throw new Error('Generate between 1 and 200 processes.');
+  }
+  if (!(number('arrivalRate') > 0)) {
+    throw new Error('Arrival rate must be greater than zero.');
+  }
+  const priorityMin = number('priorityMin');
+  const priorityMax = number('priorityMax');
+  if (![priorityMin, priorityMax].every(Number.isInteger) || priorityMin > priorityMax) {
+    throw new Error('Priority range must be two whole numbers with min ≤ max.');
+  }
+
+  const random = createRng(options.seed);
+  const exponential = (mean) => -Math.log(1 - random()) * mean;
+  const sampleBurst = createBurstSampler(options, random, exponential);
+  const oneDecimal = (value) => Math.round(value * 10) / 10;
+
+  let arrival = 0;
+  return Array.from({ length: count }, (_, index) => {
+    if (index > 0) {
+      arrival += exponential(1 / number('arrivalRate'));
+    }
+    return {
+      name: `P${index + 1}`,
+      arrival: oneDecimal(arrival),
+      burst: Math.max(0.1, oneDecimal(sampleBurst())),
+      priority: priorityMin + Math.floor(random() * (priorityMax - priorityMin + 1)),
+    };
+  });
+};
+
+const createBurstSampler = (options, random, exponential) => {
+  const positive = (field, label) => {
+    const value = Number(options[field]);
+    if (!(value > 0)) {
+      throw new Error(`${label} must be greater than zero.`);
+    }
+    return value;
+  };
+
+  if (options.distribution === 'uniform') {
+    const min = positive('burstMin', 'Min burst');
+    const max = positive('burstMax', 'Max burst');
+    if (min > max) {
+      throw new Error('Min burst cannot exceed max burst.');
+    }
+    return () => min + random() * (max - min);
+  }
+  if (options.distribution === 'bimodal') {
+    const shortMean = positive('shortMean', 'Short mean');
+    const longMean = positive('longMean', 'Long mean');
+    const longShare = Number(options.longShare);
+    if (!(longShare >= 0 && longShare <= 1)) {
+      throw new Error('Long share must be between 0 and 1.');
+    }
+    return () => exponential(random() < longShare ? longMean : shortMean);
+  }
+  const mean = positive('burstMean', 'Mean burst');
+  return () => exponential(mean);
+};
+
+const parseAffinity = (value) => {
+  if (!value.trim()) {
+    return null;
+  }
+  const cores = value.split(',').map((token) => Number(token.trim()));
+  if (cores.some((core) => !Number.isInteger(core) || core < 1)) {
+    throw new Error('Core affinity must be a comma-separated list of core numbers (e.g. 1,2).');
+  }
+  return [...new Set(cores)].sort((a, b) => a - b);
+};
+
+const formatBursts = (bursts) =>
+  bursts.map((length, index) => `${index % 2 === 0 ? 'CPU' : 'IO'} ${length}`).join(', ');
+
+export {
+  buildProcess,
+  parseWorkload,
+  workloadToCsv,
+  buildExport,
+  generateWorkload,
+  parseBurstSequence,
+  parseAffinity,
+  formatBursts,
+  splitCsvLine,
+  toCsvRow,
+  workloadColumns,
+};
@@ -0,0 +1,84 @@
+import { generateWorkload, parseWorkload, workloadToCsv } from './workload.js';
+
+describe('parseWorkload', () => {
+  test('reads CSV with a header and quoted burst lists', () => {
+    const { processes, errors } = parseWorkload(
+      'name,arrival,burst,priority,bursts\nA,0,4,2,"CPU 2, IO 3, CPU 2"\nB,1,3,1,',
+    );
+    expect(errors).toEqual([]);
+    expect(processes).toEqual([
+      { name: 'A', arrival: 0, burst: 4, priority: 2, bursts: [2, 3, 2] },
+      { name: 'B', arrival: 1, burst: 3, priority: 1 },
+    ]);
+  });
+
+  test('reports every invalid row by its line number', () => {
+    const { errors } = parseWorkload(
+      'P1,0,x,1\nP2,1,3,1\nP3,2,0,1\nP4,0,1e400,1\nP5,Infinity,2,1\nP6,0,2,-Infinity',
+    );
+    expect(errors).toEqual([
+      'Row 1: Arrival, burst, and priority must be numeric values.',
+      'Row 3: Burst time must be greater than zero.',
+      'Row 4: Arrival, burst, and priority must be numeric values.',
+      'Row 5: Arrival, burst, and priority must be numeric values.',
+      'Row 6: Arrival, burst, and priority must be numeric values.',
+    ]);
+  });
+
+  test('a missing or negative arrival is a row error, not time 0', () => {
+    const { processes, errors } = parseWorkload('name,arrival,burst\nA,,5\nB,-3,2\nC,1,2');
+    expect(processes).toEqual([{ name: 'C', arrival: 1, burst: 2, priority: 1 }]);
+    expect(errors).toEqual([
+      'Row 2: Arrival time is required.',
+      'Row 3: Arrival time cannot be negative.',
+    ]);
+    expect(parseWorkload('[{"name":"J","burst":2}]').errors).toEqual([
+      'Item 1: Arrival time is required.',
+    ]);
+  });
+
+  test('round-trips through the CSV export', () => {
+    const table = [
+      { id: 1, name: 'A', arrival: 0, burst: 4, priority: 2, bursts: [2, 3, 2], affinity: [1, 2] },
+      { id: 2, name: 'B', arrival: 1, burst: 3, priority: 1, period: 6 },
+    ];
+    const { processes } = parseWorkload(workloadToCsv(table, null));
+    expect(processes).toEqual(table.map(({ id, ...process }) => process));
+  });
+
+  test('accepts exported JSON objects', () => {
+    const { processes } = parseWorkload('{"processes":[{"name":"J","arrival":3,"burst":2}]}');
+    expect(processes).toEqual([{ name: 'J', arrival: 3, burst: 2, priority: 1 }]);
+  });
+});
+
+describe('generateWorkload', () => {
+  const options = {
+    count: '8',
+    seed: 'lab-3',
+    arrivalRate: '0.5',
+    distribution: 'bimodal',
+    shortMean: '2',
+    longMean: '12',
+    longShare: '0.25',
+    priorityMin: '1',
+    priorityMax: '4',
+  };
+
+  test('the same seed reproduces the same table', () => {
+    expect(generateWorkload(options)).toEqual(generateWorkload(options));
+    expect(generateWorkload(options)).not.toEqual(generateWorkload({ ...options, seed: 'lab-4' }));
+  });
+
+  test('values stay within the requested ranges', () => {
+    const processes = generateWorkload(options);
+    expect(processes).toHaveLength(8);
+    processes.forEach((process) => {
+      expect(process.burst).toBeGreaterThan(0);
+      expect(process.priority).toBeGreaterThanOrEqual(1);
+      expect(process.priority).toBeLessThanOrEqual(4);
+    });
+    const arrivals = processes.map((process) => process.arrival);
+    expect(arrivals).toEqual([...arrivals].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,82 @@
+// localStorage persistence for the per-module store kept by App. Module state is the same
+// encoded query string the URL carries (see urlState.js), so a saved session or scenario is
+// just `{ view, query }` pairs. Storage can be unavailable (private mode, quota), in which case
+// reads return empty values and writes are dropped.
+
+const keys = {
+  persist: 'algolab.persist',
+  session: 'algolab.session',
+  scenarios: 'algolab.scenarios',
+};
+
+const read = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch {
+    // Nothing to do: the in-memory store still works for this visit.
+  }
+};
+
+const loadPersistPreference = () => read(keys.persist, false) === true;
+
+const savePersistPreference = (enabled) => {
+  write(keys.persist, enabled);
+  if (!enabled) {
+    write(keys.session, null);
+  }
+};
+
+// A session is `{ active, modules: { [view]: query }, savedAt }`.
+const loadSession = () => {
+  const session = read(keys.session, null);
+  return session && session.modules && Object.keys(session.modules).length ? session : null;
+};
+
+const saveSession = (active, modules) =>
+  write(keys.session, { active, modules, savedAt: new Date().toISOString() });
+
+const loadScenarios = () => {
+  const scenarios = read(keys.scenarios, []);
+  return Array.isArray(scenarios) ? scenarios : [];
+};
+
+// Saving under an existing name for the same view replaces that scenario.
+const saveScenario = (name, view, query) => {
+  const scenarios = loadScenarios().filter(
+    (scenario) => !(scenario.view === view && scenario.name === name),
+  );
+  const next = [...scenarios, { name, view, query, savedAt: new Date().toISOString() }];
+  write(keys.scenarios, next);
+  return next;
+};
+
+const deleteScenario = (name, view) => {
+  const next = loadScenarios().filter(
+    (scenario) => !(scenario.view === view && scenario.name === name),
+  );
+  write(keys.scenarios, next);
+  return next;
+};
+
+export {
+  loadPersistPreference,
+  savePersistPreference,
+  loadSession,
+  saveSession,
+  loadScenarios,
+  saveScenario,
+  deleteScenario,
+};
@@ -0,0 +1,36 @@
+import {
+  deleteScenario,
+  loadScenarios,
+  loadSession,
+  savePersistPreference,
+  saveScenario,
+  saveSession,
+} from './sessionStore';
+
+beforeEach(() => window.localStorage.clear());
+
+test('scenarios are keyed by view and name', () => {
+  saveScenario('convoy', 'process-scheduling', 'alg=fcfs');
+  saveScenario('convoy', 'page-replacement', 'frames=3');
+  saveScenario('convoy', 'process-scheduling', 'alg=roundRobin');
+  expect(loadScenarios().map((scenario) => [scenario.view, scenario.query])).toEqual([
+    ['page-replacement', 'frames=3'],
+    ['process-scheduling', 'alg=roundRobin'],
+  ]);
+  expect(deleteScenario('convoy', 'page-replacement')).toHaveLength(1);
+});
+
+test('turning persistence off forgets the saved session', () => {
+  savePersistPreference(true);
+  saveSession('disk-scheduling', { 'disk-scheduling': 'head=53' });
+  expect(loadSession()).toMatchObject({ active: 'disk-scheduling' });
+  savePersistPreference(false);
+  expect(loadSession()).toBeNull();
+});
+
+test('corrupt storage reads as empty', () => {
+  window.localStorage.setItem('algolab.scenarios', '{not json');
+  window.localStorage.setItem('algolab.session', '{"modules":{}}');
+  expect(loadScenarios()).toEqual([]);
+  expect(loadSession()).toBeNull();
+});
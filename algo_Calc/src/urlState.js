@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+
+// The active view and its inputs live in the location hash as `#/<view>?<field>=<value>&...`.
+// Each view declares its shareable fields with defaults; values are decoded against those
+// defaults, so strings stay strings, numbers and booleans are parsed, and arrays and objects
+// travel as JSON. A field that is missing or does not decode falls back to its default. Views
+// can pass `checks`, predicates keyed by field that receive the value and the whole decoded
+// state; a field whose check fails falls back to its default as well, so a hand-edited or stale
+// link cannot feed a view values it cannot render.
+
+const parseHash = (hash) => {
+  const body = hash.replace(/^#\/?/, '');
+  const split = body.indexOf('?');
+  return split === -1
+    ? { view: body || 'home', query: '' }
+    : { view: body.slice(0, split) || 'home', query: body.slice(split + 1) };
+};
+
+const buildHash = (view, query = '') =>
+  `#/${view === 'home' ? '' : view}${query ? `?${query}` : ''}`;
+
+const encodeState = (state) =>
+  new URLSearchParams(
+    Object.entries(state).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? value : JSON.stringify(value),
+    ]),
+  ).toString();
+
+const decodeValue = (raw, fallback) => {
+  if (typeof fallback === 'string') {
+    return raw;
+  }
+  const value = JSON.parse(raw);
+  const sameShape =
+    typeof value === typeof fallback && Array.isArray(value) === Array.isArray(fallback);
+  return sameShape && value !== null ? value : fallback;
+};
+
+const decodeState = (query, defaults, checks = {}) => {
+  const params = new URLSearchParams(query);
+  const decoded = Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => {
+      if (!params.has(key)) {
+        return [key, fallback];
+      }
+      try {
+        return [key, decodeValue(params.get(key), fallback)];
+      } catch {
+        return [key, fallback];
+      }
+    }),
+  );
+  return Object.fromEntries(
+    Object.entries(decoded).map(([key, value]) => {
+      const check = checks[key];
+      return [key, !check || check(value, decoded) ? value : defaults[key]];
+    }),
+  );
+};
+
+// Shared checks for the `checks` argument of decodeState.
+const isIntegerIn = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+const isOneOf = (options) => (value) => options.includes(value);
+
+// Reports the encoded state whenever it changes; the App writes it into the current history
+// entry. The second argument tells whether the state differs from what the view mounted with,
+// so merely opening a view is not mistaken for an edit.
+const useUrlState = (state, onChange) => {
+  const query = encodeState(state);
+  const [mountedQuery] = useState(query);
+  useEffect(() => {
+    if (onChange) {
+      onChange(query, query !== mountedQuery);
+    }
+  }, [query, mountedQuery, onChange]);
+};
+
+export { parseHash, buildHash, encodeState, decodeState, isIntegerIn, isOneOf, useUrlState };
@@ -0,0 +1,52 @@
+import { buildHash, decodeState, encodeState, isIntegerIn, isOneOf, parseHash } from './urlState';
+
+const defaults = {
+  refs: '7 0 1',
+  frames: 3,
+  preempt: false,
+  matrix: [[0]],
+  request: { process: 0 },
+};
+
+test('hashes carry the view and its query', () => {
+  expect(parseHash('')).toEqual({ view: 'home', query: '' });
+  expect(parseHash('#/disk-scheduling?head=53')).toEqual({
+    view: 'disk-scheduling',
+    query: 'head=53',
+  });
+  expect(buildHash('home')).toBe('#/');
+  expect(buildHash('disk-scheduling', 'head=53')).toBe('#/disk-scheduling?head=53');
+});
+
+test('state round-trips through the query string with its types', () => {
+  const state = {
+    refs: '1 2 3 4',
+    frames: 4,
+    preempt: true,
+    matrix: [
+      [1, 2],
+      [3, 4],
+    ],
+    request: { process: 2 },
+  };
+  expect(decodeState(encodeState(state), defaults)).toEqual(state);
+});
+
+test('missing or malformed fields fall back to their defaults', () => {
+  expect(decodeState('frames=abc&matrix=%7B%7D&extra=1', defaults)).toEqual(defaults);
+  expect(decodeState('refs=42', defaults).refs).toBe('42');
+});
+
+test('fields that fail their view checks fall back to the defaults', () => {
+  const checks = {
+    frames: isIntegerIn(1, 10),
+    matrix: (value, decoded) => value.length === decoded.frames,
+  };
+  expect(decodeState('frames=1.5', defaults, checks).frames).toBe(3);
+  expect(decodeState('frames=1&matrix=[[1],[2]]', defaults, checks)).toEqual({
+    ...defaults,
+    frames: 1,
+  });
+  expect(decodeState('frames=2&matrix=[[1],[2]]', defaults, checks).matrix).toEqual([[1], [2]]);
+  expect(decodeState('refs=x', defaults, { refs: isOneOf(['7 0 1']) }).refs).toBe('7 0 1');
+});